@@ -0,0 +1,434 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiShuffle, FiPlay, FiPlus, FiTrash2, FiX } from 'react-icons/fi';
+import { banditPolicies } from '../utils/banditEngine';
+import { useCalculatorTask } from '../hooks/useCalculatorTask';
+import { BanditRegretChart } from './Charts';
+
+const BanditContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 16px;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 6px 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+const CellInput = styled.input`
+  width: 100%;
+  padding: 8px 10px;
+  border: 2px solid #e2e8f0;
+  border-radius: 6px;
+  font-size: 14px;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const IconButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  padding: 8px 12px;
+  background: ${props => props.color || '#e53e3e'};
+  color: white;
+  border: none;
+  border-radius: 6px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 16px;
+  margin: 16px 0 24px;
+`;
+
+const Field = styled.div`
+  min-width: 160px;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-bottom: 6px;
+`;
+
+const PolicyButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  margin-right: 8px;
+`;
+
+const ShareBar = styled.div`
+  height: 8px;
+  background: #e2e8f0;
+  border-radius: 4px;
+  overflow: hidden;
+  min-width: 120px;
+`;
+
+const ShareFill = styled.div`
+  height: 100%;
+  width: ${props => props.$share * 100}%;
+  background: linear-gradient(90deg, #667eea, #764ba2);
+`;
+
+const ProgressBar = styled.div`
+  width: 100%;
+  height: 8px;
+  background: #e2e8f0;
+  border-radius: 4px;
+  overflow: hidden;
+  margin: 16px 0;
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${props => props.$progress * 100}%;
+  background: linear-gradient(90deg, #667eea, #764ba2);
+  border-radius: 4px;
+  transition: width 0.2s ease;
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: #e53e3e;
+  margin-top: 12px;
+`;
+
+const minArms = 2;
+const maxArms = 8;
+
+const defaultArms = [
+  { name: 'Subject A', successes: 240, trials: 1000 },
+  { name: 'Subject B', successes: 262, trials: 1000 },
+  { name: 'Subject C', successes: 251, trials: 1000 }
+];
+
+const countFields = ['successes', 'trials'];
+
+/**
+ * Bandit Allocation Component
+ * Recommends next-period traffic per arm from the current posteriors and
+ * simulates the regret of fixed split, epsilon-greedy and Thompson sampling
+ */
+export const BanditAllocation = ({ prior, seed }) => {
+  const [arms, setArms] = useState(defaultArms);
+  const [policy, setPolicy] = useState('thompson');
+  const [epsilon, setEpsilon] = useState(0.1);
+  const [visitors, setVisitors] = useState(5000);
+  const [simulation, setSimulation] = useState({ periods: 30, replications: 100 });
+  // Set by Run Simulation only, so editing the inputs afterwards keeps the last result
+  const [regretPayload, setRegretPayload] = useState(null);
+  const [selectedScenario, setSelectedScenario] = useState(0);
+
+  const updateArm = (index, field, value) => {
+    setArms(prev => prev.map((arm, i) => {
+      if (i !== index) return arm;
+      const parsed = countFields.includes(field) ? Math.max(0, parseInt(value) || 0) : value;
+      return { ...arm, [field]: parsed };
+    }));
+  };
+
+  const addArm = () => {
+    setArms(prev => [...prev, { name: `Arm ${prev.length + 1}`, successes: 0, trials: 0 }]);
+  };
+
+  const removeArm = (index) => {
+    setArms(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const armsValid = arms.every(arm => arm.successes <= arm.trials);
+
+  const recommendationPayload = useMemo(() => (
+    armsValid ? { arms, policy, visitors, prior, epsilon, seed } : null
+  ), [armsValid, arms, policy, visitors, prior, epsilon, seed]);
+
+  const recommendation = useCalculatorTask('recommendBanditAllocation', recommendationPayload).data;
+  const regretTask = useCalculatorTask('simulateBanditRegret', regretPayload);
+  const regret = regretTask.data;
+  const running = regretTask.isComputing;
+
+  const runSimulation = () => {
+    setSelectedScenario(0);
+    setRegretPayload({
+      periods: simulation.periods,
+      replications: simulation.replications,
+      epsilon,
+      seed
+    });
+  };
+
+  const simulationValid = simulation.periods >= 1 && simulation.periods <= 120 &&
+    simulation.replications >= 1 && simulation.replications <= 1000;
+
+  return (
+    <>
+      <BanditContainer>
+        <Title>
+          <FiShuffle />
+          Bandit Traffic Allocation
+        </Title>
+        <Subtitle>
+          For email subject lines, ad creatives and other short-lived tests, shift traffic toward the arms that are
+          likely best while the test runs instead of holding a fixed split.
+        </Subtitle>
+
+        <Table>
+          <thead>
+            <tr>
+              <th>Arm</th>
+              <th>Conversions</th>
+              <th>Visitors</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {arms.map((arm, index) => (
+              <tr key={index}>
+                <td>
+                  <CellInput value={arm.name} onChange={(e) => updateArm(index, 'name', e.target.value)} />
+                </td>
+                {countFields.map(field => (
+                  <td key={field}>
+                    <CellInput
+                      type="number"
+                      min="0"
+                      value={arm[field]}
+                      onChange={(e) => updateArm(index, field, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td>
+                  <IconButton onClick={() => removeArm(index)} disabled={arms.length <= minArms} title="Remove arm">
+                    <FiTrash2 />
+                  </IconButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <IconButton color="#667eea" onClick={addArm} disabled={arms.length >= maxArms}>
+          <FiPlus />
+          Add Arm
+        </IconButton>
+
+        <ControlRow>
+          <div>
+            <FieldLabel>Allocation Policy</FieldLabel>
+            {Object.entries(banditPolicies).map(([key, label]) => (
+              <PolicyButton key={key} $active={policy === key} onClick={() => setPolicy(key)}>
+                {label}
+              </PolicyButton>
+            ))}
+          </div>
+          <Field>
+            <FieldLabel>Epsilon (exploration share)</FieldLabel>
+            <CellInput
+              type="number"
+              min="0"
+              max="1"
+              step="0.05"
+              value={epsilon}
+              onChange={(e) => setEpsilon(Math.min(1, Math.max(0, parseFloat(e.target.value) || 0)))}
+            />
+          </Field>
+          <Field>
+            <FieldLabel>Next-Period Visitors</FieldLabel>
+            <CellInput
+              type="number"
+              min="0"
+              step="100"
+              value={visitors}
+              onChange={(e) => setVisitors(Math.max(0, parseInt(e.target.value) || 0))}
+            />
+          </Field>
+        </ControlRow>
+
+        {!armsValid && <ErrorText>Conversions cannot exceed visitors for any arm.</ErrorText>}
+
+        {armsValid && recommendation && (
+          <Table>
+            <thead>
+              <tr>
+                <th>Arm</th>
+                <th>Posterior Mean</th>
+                <th>Traffic Share</th>
+                <th />
+                <th>Next-Period Visitors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recommendation.arms.map((arm, index) => (
+                <tr key={index}>
+                  <td>{arm === recommendation.best ? <strong>{arm.name}</strong> : arm.name}</td>
+                  <td>{(arm.expectedValue * 100).toFixed(2)}%</td>
+                  <td>{(arm.share * 100).toFixed(1)}%</td>
+                  <td>
+                    <ShareBar>
+                      <ShareFill $share={arm.share} />
+                    </ShareBar>
+                  </td>
+                  <td>{arm.visitors.toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </BanditContainer>
+
+      <BanditContainer>
+        <Title>
+          <FiPlay />
+          Policy Regret Simulator
+        </Title>
+        <Subtitle>
+          Each built-in scenario runs as a two-arm bandit at its daily traffic, reallocating after every day.
+          Regret counts the conversions lost versus sending everyone to the truly better arm.
+        </Subtitle>
+
+        <ControlRow>
+          <Field>
+            <FieldLabel>Days per Run</FieldLabel>
+            <CellInput
+              type="number"
+              min="1"
+              max="120"
+              value={simulation.periods}
+              onChange={(e) => setSimulation(prev => ({ ...prev, periods: parseInt(e.target.value) || 0 }))}
+            />
+          </Field>
+          <Field>
+            <FieldLabel>Runs per Scenario</FieldLabel>
+            <CellInput
+              type="number"
+              min="1"
+              max="1000"
+              step="50"
+              value={simulation.replications}
+              onChange={(e) => setSimulation(prev => ({ ...prev, replications: parseInt(e.target.value) || 0 }))}
+            />
+          </Field>
+          <IconButton color="#667eea" onClick={runSimulation} disabled={running || !simulationValid}>
+            <FiPlay />
+            {running ? `Simulating… ${(regretTask.progress * 100).toFixed(0)}%` : 'Run Simulation'}
+          </IconButton>
+          {running && (
+            <IconButton onClick={() => setRegretPayload(null)}>
+              <FiX />
+              Cancel
+            </IconButton>
+          )}
+        </ControlRow>
+
+        {!simulationValid && <ErrorText>Use 1–120 days and 1–1,000 runs per scenario.</ErrorText>}
+
+        {running && (
+          <ProgressBar>
+            <ProgressFill $progress={regretTask.progress} />
+          </ProgressBar>
+        )}
+
+        {regretTask.error && <ErrorText>Simulation failed: {regretTask.error.message}</ErrorText>}
+
+        {regret && (
+          <Table>
+            <thead>
+              <tr>
+                <th>Scenario</th>
+                <th>Rates A / B</th>
+                {regret[0].policies.map(result => (
+                  <th key={result.policy}>{banditPolicies[result.policy]} Regret (Best-Arm Share)</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {regret.map((scenario, index) => (
+                <tr
+                  key={scenario.scenario}
+                  onClick={() => setSelectedScenario(index)}
+                  style={{ cursor: 'pointer', background: index === selectedScenario ? '#edf2f7' : 'transparent' }}
+                >
+                  <td>{scenario.scenario}</td>
+                  <td>{(scenario.rates[0] * 100).toFixed(1)}% / {(scenario.rates[1] * 100).toFixed(1)}%</td>
+                  {scenario.policies.map(result => (
+                    <td key={result.policy}>
+                      {result.finalRegret.toFixed(1)} ({(result.bestArmShare * 100).toFixed(0)}%)
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </BanditContainer>
+
+      {regret && (
+        <BanditRegretChart policies={regret[selectedScenario].policies} labels={banditPolicies} />
+      )}
+    </>
+  );
+};
@@ -177,12 +177,15 @@ export const PosteriorDistributionChart = ({ posteriorA, posteriorB, calculator
 
 /**
  * Credible Interval Chart Component
- * Shows credible intervals for both variants
+ * Shows equal-tailed or highest-density credible intervals for both variants
  */
-export const CredibleIntervalChart = ({ posteriorA, posteriorB, calculator }) => {
+export const CredibleIntervalChart = ({ posteriorA, posteriorB, calculator, method = 'equal-tailed', confidence = 0.95 }) => {
+  const levelLabel = `${(confidence * 100).toFixed(0)}%`;
+  const methodLabel = method === 'hdi' ? 'Highest Density' : 'Equal-Tailed';
+
   const chartData = useMemo(() => {
-    const ciA = calculator.calculateCredibleInterval(posteriorA, 0.95);
-    const ciB = calculator.calculateCredibleInterval(posteriorB, 0.95);
+    const ciA = calculator.calculateCredibleInterval(posteriorA, confidence, method);
+    const ciB = calculator.calculateCredibleInterval(posteriorB, confidence, method);
     const meanA = calculator.calculateExpectedValue(posteriorA);
     const meanB = calculator.calculateExpectedValue(posteriorB);
     
@@ -190,7 +193,7 @@ export const CredibleIntervalChart = ({ posteriorA, posteriorB, calculator }) =>
       labels: ['Variant A', 'Variant B'],
       datasets: [
         {
-          label: '95% Credible Interval',
+          label: `${levelLabel} ${methodLabel} Interval`,
           data: [
             {
               x: 'A',
@@ -209,13 +212,15 @@ export const CredibleIntervalChart = ({ posteriorA, posteriorB, calculator }) =>
         }
       ]
     };
-  }, [posteriorA, posteriorB, calculator]);
+  }, [posteriorA, posteriorB, calculator, method, confidence, levelLabel, methodLabel]);
 
   return (
     <ChartContainer>
-      <ChartTitle>95% Credible Intervals</ChartTitle>
+      <ChartTitle>{levelLabel} {methodLabel} Credible Intervals</ChartTitle>
       <ChartSubtitle>
-        Bayesian credible intervals showing uncertainty in conversion rate estimates
+        {method === 'hdi'
+          ? 'Narrowest intervals containing the stated posterior mass'
+          : 'Exact Beta quantiles with equal probability in each tail'}
       </ChartSubtitle>
       <div style={{ height: '300px' }}>
         <Bar data={chartData} />
@@ -226,27 +231,14 @@ export const CredibleIntervalChart = ({ posteriorA, posteriorB, calculator }) =>
 
 /**
  * Monte Carlo Simulation Chart
- * Shows the distribution of differences B - A
+ * Shows the distribution of differences B - A, binned by the analysis task
  */
-export const MonteCarloChart = ({ posteriorA, posteriorB, calculator }) => {
+export const MonteCarloChart = ({ histogram, seed }) => {
   const chartData = useMemo(() => {
-    const samplesA = calculator.monteCarloSample(posteriorA, 10000);
-    const samplesB = calculator.monteCarloSample(posteriorB, 10000);
-    
-    const differences = samplesB.map((b, i) => b - samplesA[i]);
-    const histogram = new Array(50).fill(0);
-    const minDiff = Math.min(...differences);
-    const maxDiff = Math.max(...differences);
-    const binWidth = (maxDiff - minDiff) / 50;
-    
-    differences.forEach(diff => {
-      const binIndex = Math.min(49, Math.floor((diff - minDiff) / binWidth));
-      histogram[binIndex]++;
-    });
-    
-    const labels = histogram.map((_, i) => {
-      const binStart = minDiff + i * binWidth;
-      const binEnd = minDiff + (i + 1) * binWidth;
+    const { counts, min, binWidth } = histogram;
+    const labels = counts.map((_, i) => {
+      const binStart = min + i * binWidth;
+      const binEnd = min + (i + 1) * binWidth;
       return `${(binStart * 100).toFixed(1)}% - ${(binEnd * 100).toFixed(1)}%`;
     });
     
@@ -255,14 +247,14 @@ export const MonteCarloChart = ({ posteriorA, posteriorB, calculator }) => {
       datasets: [
         {
           label: 'Frequency',
-          data: histogram,
+          data: counts,
           backgroundColor: 'rgba(16, 185, 129, 0.6)',
           borderColor: 'rgb(16, 185, 129)',
           borderWidth: 1
         }
       ]
     };
-  }, [posteriorA, posteriorB, calculator]);
+  }, [histogram]);
 
   const options = {
     responsive: true,
@@ -308,7 +300,8 @@ export const MonteCarloChart = ({ posteriorA, posteriorB, calculator }) => {
     <ChartContainer>
       <ChartTitle>Monte Carlo Simulation: B - A Distribution</ChartTitle>
       <ChartSubtitle>
-        10,000 samples showing the distribution of conversion rate differences
+        {histogram.samples.toLocaleString()} samples showing the distribution of conversion rate differences
+        {seed !== undefined && ` (seed ${seed})`}
       </ChartSubtitle>
       <div style={{ height: '300px' }}>
         <Bar data={chartData} options={options} />
@@ -318,70 +311,1335 @@ export const MonteCarloChart = ({ posteriorA, posteriorB, calculator }) => {
 };
 
 /**
- * Probability Gauge Chart
- * Shows the probability that B > A
+ * Relative Lift Chart
+ * Histogram of the posterior relative lift θB/θA − 1 with the ROPE shaded
  */
-export const ProbabilityGaugeChart = ({ probability }) => {
-  const chartData = {
-    labels: ['B > A', 'A ≥ B'],
-    datasets: [
-      {
-        data: [probability * 100, (1 - probability) * 100],
-        backgroundColor: [
-          'rgba(16, 185, 129, 0.8)',
-          'rgba(239, 68, 68, 0.8)'
-        ],
-        borderColor: [
-          'rgb(16, 185, 129)',
-          'rgb(239, 68, 68)'
-        ],
-        borderWidth: 2,
-        cutout: '70%'
+export const RelativeLiftChart = ({ lift }) => {
+  const chartData = useMemo(() => {
+    const { samples, credibleInterval, rope } = lift;
+    const numBins = 50;
+    // Trim the extreme tails so a few huge ratios do not flatten the histogram
+    const span = credibleInterval.upper - credibleInterval.lower;
+    const min = Math.min(rope.lower, credibleInterval.lower - 0.25 * span);
+    const max = Math.max(rope.upper, credibleInterval.upper + 0.25 * span);
+    const binWidth = (max - min) / numBins || 1;
+    const histogram = new Array(numBins).fill(0);
+
+    samples.forEach(value => {
+      if (value < min || value > max) return;
+      histogram[Math.min(numBins - 1, Math.floor((value - min) / binWidth))]++;
+    });
+
+    const centers = histogram.map((_, i) => min + (i + 0.5) * binWidth);
+    const colorFor = (center, alpha) => {
+      if (center >= rope.lower && center <= rope.upper) return `rgba(245, 158, 11, ${alpha})`;
+      return center > rope.upper ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+    };
+
+    return {
+      labels: centers.map(center => `${(center * 100).toFixed(1)}%`),
+      datasets: [
+        {
+          label: 'Frequency',
+          data: histogram,
+          backgroundColor: centers.map(center => colorFor(center, 0.6)),
+          borderColor: centers.map(center => colorFor(center, 1)),
+          borderWidth: 1
+        }
+      ]
+    };
+  }, [lift]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `Frequency: ${context.parsed.y}`;
+          }
+        }
       }
-    ]
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Relative Lift (B / A − 1)',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Frequency',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        },
+        beginAtZero: true
+      }
+    }
   };
 
+  const { rope } = lift;
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Relative Lift with Region of Practical Equivalence</ChartTitle>
+      <ChartSubtitle>
+        ROPE {(rope.lower * 100).toFixed(1)}% to {(rope.upper * 100).toFixed(1)}% shaded amber:
+        P(below) {(rope.probBelow * 100).toFixed(1)}%, P(inside) {(rope.probInside * 100).toFixed(1)}%, P(above) {(rope.probAbove * 100).toFixed(1)}%
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Count Posterior Chart
+ * Displays the Gamma posterior densities of the event rate for both variants
+ */
+export const CountPosteriorChart = ({ posteriorA, posteriorB, calculator }) => {
+  const chartData = useMemo(() => {
+    const [dataA, dataB] = calculator.generateCountDistributionData([posteriorA, posteriorB], 200);
+    
+    return {
+      labels: dataA.map(point => point.x.toFixed(3)),
+      datasets: [
+        {
+          label: 'Variant A',
+          data: dataA.map(point => point.y),
+          borderColor: 'rgb(99, 102, 241)',
+          backgroundColor: 'rgba(99, 102, 241, 0.1)',
+          borderWidth: 2,
+          fill: true,
+          tension: 0.4,
+          pointRadius: 0,
+          pointHoverRadius: 4
+        },
+        {
+          label: 'Variant B',
+          data: dataB.map(point => point.y),
+          borderColor: 'rgb(236, 72, 153)',
+          backgroundColor: 'rgba(236, 72, 153, 0.1)',
+          borderWidth: 2,
+          fill: true,
+          tension: 0.4,
+          pointRadius: 0,
+          pointHoverRadius: 4
+        }
+      ]
+    };
+  }, [posteriorA, posteriorB, calculator]);
+
   const options = {
     responsive: true,
     maintainAspectRatio: false,
     plugins: {
       legend: {
-        position: 'bottom',
+        position: 'top',
         labels: {
-          padding: 20,
-          usePointStyle: true
+          usePointStyle: true,
+          padding: 20
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Events per Visitor (λ)',
+          font: {
+            size: 12,
+            weight: '600'
+          }
         }
       },
-      tooltip: {
-        callbacks: {
-          label: function(context) {
-            return `${context.label}: ${context.parsed.toFixed(1)}%`;
+      y: {
+        title: {
+          display: true,
+          text: 'Probability Density',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        },
+        beginAtZero: true
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Posterior Event Rate Distributions</ChartTitle>
+      <ChartSubtitle>
+        Gamma(a={posteriorA.shape.toFixed(1)}, b={posteriorA.rate.toFixed(1)}) vs Gamma(a={posteriorB.shape.toFixed(1)}, b={posteriorB.rate.toFixed(1)})
+      </ChartSubtitle>
+      <div style={{ height: '400px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Revenue per Visitor Chart
+ * Overlays the posterior draws of revenue per visitor for both variants
+ */
+export const RevenuePerVisitorChart = ({ revenue }) => {
+  const chartData = useMemo(() => {
+    const { samplesA, samplesB } = revenue;
+    const numBins = 40;
+    let min = Infinity;
+    let max = -Infinity;
+    [samplesA, samplesB].forEach(samples => samples.forEach(value => {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }));
+    const binWidth = (max - min) / numBins || 1;
+    
+    const toHistogram = (samples) => {
+      const histogram = new Array(numBins).fill(0);
+      samples.forEach(value => {
+        histogram[Math.min(numBins - 1, Math.floor((value - min) / binWidth))]++;
+      });
+      return histogram;
+    };
+    
+    return {
+      labels: Array.from({ length: numBins }, (_, i) => (min + (i + 0.5) * binWidth).toFixed(2)),
+      datasets: [
+        {
+          label: 'Variant A',
+          data: toHistogram(samplesA),
+          backgroundColor: 'rgba(99, 102, 241, 0.5)',
+          borderColor: 'rgb(99, 102, 241)',
+          borderWidth: 1
+        },
+        {
+          label: 'Variant B',
+          data: toHistogram(samplesB),
+          backgroundColor: 'rgba(236, 72, 153, 0.5)',
+          borderColor: 'rgb(236, 72, 153)',
+          borderWidth: 1
+        }
+      ]
+    };
+  }, [revenue]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Revenue per Visitor',
+          font: {
+            size: 12,
+            weight: '600'
           }
         }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Frequency',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        },
+        beginAtZero: true
       }
     }
   };
 
   return (
     <ChartContainer>
-      <ChartTitle>Probability that B > A</ChartTitle>
+      <ChartTitle>Posterior Revenue per Visitor</ChartTitle>
       <ChartSubtitle>
-        {probability > 0.5 ? 'Variant B is likely superior' : 'Variant A is likely superior'}
+        Beta conversion posterior × log-normal order value posterior ({revenue.samplesA.length.toLocaleString()} draws per variant)
       </ChartSubtitle>
-      <div style={{ height: '300px', position: 'relative' }}>
-        <Doughnut data={chartData} options={options} />
-        <div style={{
-          position: 'absolute',
-          top: '50%',
-          left: '50%',
-          transform: 'translate(-50%, -50%)',
-          fontSize: '24px',
-          fontWeight: 'bold',
-          color: '#2d3748'
-        }}>
-          {(probability * 100).toFixed(1)}%
-        </div>
+      <div style={{ height: '300px' }}>
+        <Bar data={chartData} options={options} />
       </div>
     </ChartContainer>
   );
 };
+
+const variantChartColors = [
+  '99, 102, 241',
+  '236, 72, 153',
+  '16, 185, 129',
+  '245, 158, 11',
+  '139, 92, 246',
+  '6, 182, 212'
+];
+
+/**
+ * Multi-Variant Posterior Chart
+ * Overlays the posterior densities of any number of arms
+ */
+export const MultiVariantPosteriorChart = ({ arms, metricType = 'conversion', calculator }) => {
+  const isCount = metricType === 'count';
+  const chartData = useMemo(() => {
+    const series = isCount
+      ? calculator.generateCountDistributionData(arms.map(arm => arm.posterior), 200)
+      : arms.map(arm => calculator.generateDistributionData(arm.posterior, 200));
+    
+    return {
+      labels: series[0].map(point => isCount ? point.x.toFixed(3) : (point.x * 100).toFixed(1) + '%'),
+      datasets: arms.map((arm, i) => {
+        const rgb = variantChartColors[i % variantChartColors.length];
+        return {
+          label: `Variant ${arm.name}`,
+          data: series[i].map(point => point.y),
+          borderColor: `rgb(${rgb})`,
+          backgroundColor: `rgba(${rgb}, 0.1)`,
+          borderWidth: 2,
+          fill: true,
+          tension: 0.4,
+          pointRadius: 0,
+          pointHoverRadius: 4
+        };
+      })
+    };
+  }, [arms, isCount, calculator]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          usePointStyle: true,
+          padding: 20
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: isCount ? 'Events per Visitor (λ)' : 'Conversion Rate',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Probability Density',
+          font: {
+            size: 12,
+            weight: '600'
+          }
+        },
+        beginAtZero: true
+      }
+    },
+    interaction: {
+      mode: 'nearest',
+      axis: 'x',
+      intersect: false
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Posterior Distributions for All Variants</ChartTitle>
+      <ChartSubtitle>
+        {arms.length} arms compared against control Variant {arms[0].name}
+      </ChartSubtitle>
+      <div style={{ height: '400px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Probability to Be Best Chart
+ * Shows each arm's probability of being best alongside its expected loss
+ */
+export const ProbabilityToBeBestChart = ({ arms }) => {
+  const chartData = {
+    labels: arms.map(arm => `Variant ${arm.name}`),
+    datasets: [
+      {
+        label: 'P(Best)',
+        data: arms.map(arm => arm.probabilityBest * 100),
+        backgroundColor: arms.map((_, i) => `rgba(${variantChartColors[i % variantChartColors.length]}, 0.6)`),
+        borderColor: arms.map((_, i) => `rgb(${variantChartColors[i % variantChartColors.length]})`),
+        borderWidth: 2,
+        yAxisID: 'y'
+      },
+      {
+        label: 'Expected Loss',
+        data: arms.map(arm => arm.expectedLoss * 100),
+        backgroundColor: 'rgba(239, 68, 68, 0.3)',
+        borderColor: 'rgb(239, 68, 68)',
+        borderWidth: 1,
+        yAxisID: 'loss'
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            const digits = context.dataset.yAxisID === 'loss' ? 3 : 1;
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(digits)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Probability to Be Best (%)'
+        },
+        beginAtZero: true,
+        max: 100
+      },
+      loss: {
+        position: 'right',
+        title: {
+          display: true,
+          text: 'Expected Loss (%)'
+        },
+        beginAtZero: true,
+        grid: {
+          drawOnChartArea: false
+        }
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Probability to Be Best</ChartTitle>
+      <ChartSubtitle>
+        Share of posterior draws in which each arm has the highest conversion rate
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Probability Gauge Chart
+ * Shows the probability that B > A
+ */
+export const ProbabilityGaugeChart = ({ probability }) => {
+  const chartData = {
+    labels: ['B > A', 'A ≥ B'],
+    datasets: [
+      {
+        data: [probability * 100, (1 - probability) * 100],
+        backgroundColor: [
+          'rgba(16, 185, 129, 0.8)',
+          'rgba(239, 68, 68, 0.8)'
+        ],
+        borderColor: [
+          'rgb(16, 185, 129)',
+          'rgb(239, 68, 68)'
+        ],
+        borderWidth: 2,
+        cutout: '70%'
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'bottom',
+        labels: {
+          padding: 20,
+          usePointStyle: true
+        }
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `${context.label}: ${context.parsed.toFixed(1)}%`;
+          }
+        }
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Probability that B > A</ChartTitle>
+      <ChartSubtitle>
+        {probability > 0.5 ? 'Variant B is likely superior' : 'Variant A is likely superior'}
+      </ChartSubtitle>
+      <div style={{ height: '300px', position: 'relative' }}>
+        <Doughnut data={chartData} options={options} />
+        <div style={{
+          position: 'absolute',
+          top: '50%',
+          left: '50%',
+          transform: 'translate(-50%, -50%)',
+          fontSize: '24px',
+          fontWeight: 'bold',
+          color: '#2d3748'
+        }}>
+          {(probability * 100).toFixed(1)}%
+        </div>
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Segment Shrinkage Chart
+ * Compares per-segment P(B > A) with and without hierarchical partial pooling
+ */
+export const SegmentShrinkageChart = ({ segments }) => {
+  const chartData = {
+    labels: segments.map(segment => segment.name),
+    datasets: [
+      {
+        label: 'Unpooled P(B > A)',
+        data: segments.map(segment => segment.unpooledProbBGreater * 100),
+        backgroundColor: 'rgba(160, 174, 192, 0.5)',
+        borderColor: 'rgb(160, 174, 192)',
+        borderWidth: 1
+      },
+      {
+        label: 'Partially Pooled P(B > A)',
+        data: segments.map(segment => segment.probBGreater * 100),
+        backgroundColor: 'rgba(99, 102, 241, 0.6)',
+        borderColor: 'rgb(99, 102, 241)',
+        borderWidth: 2
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'P(B > A) (%)'
+        },
+        beginAtZero: true,
+        max: 100
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Segment Shrinkage</ChartTitle>
+      <ChartSubtitle>
+        Small segments are pulled toward the population, moving their P(B &gt; A) toward 50%
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Assurance Curve Chart
+ * Probability of a correct decision and expected credible-interval width by sample size
+ */
+export const AssuranceCurveChart = ({ curve, targetAssurance }) => {
+  const chartData = {
+    labels: curve.map(point => point.sampleSize.toLocaleString()),
+    datasets: [
+      {
+        label: 'Assurance (correct decision)',
+        data: curve.map(point => point.assurance * 100),
+        borderColor: 'rgb(16, 185, 129)',
+        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+        borderWidth: 2,
+        fill: true,
+        tension: 0.3,
+        yAxisID: 'y'
+      },
+      {
+        label: 'Wrong decision',
+        data: curve.map(point => point.errorRate * 100),
+        borderColor: 'rgb(239, 68, 68)',
+        borderWidth: 2,
+        borderDash: [4, 4],
+        pointRadius: 2,
+        tension: 0.3,
+        yAxisID: 'y'
+      },
+      {
+        label: 'Expected interval width (B − A)',
+        data: curve.map(point => point.expectedIntervalWidth * 100),
+        borderColor: 'rgb(99, 102, 241)',
+        borderWidth: 2,
+        tension: 0.3,
+        yAxisID: 'width'
+      },
+      {
+        label: 'Target assurance',
+        data: curve.map(() => targetAssurance * 100),
+        borderColor: 'rgba(245, 158, 11, 0.8)',
+        borderWidth: 1,
+        borderDash: [6, 6],
+        pointRadius: 0,
+        yAxisID: 'y'
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            const unit = context.dataset.yAxisID === 'width' ? ' pp' : '%';
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(2)}${unit}`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Visitors per Variant'
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Probability (%)'
+        },
+        beginAtZero: true,
+        max: 100
+      },
+      width: {
+        position: 'right',
+        title: {
+          display: true,
+          text: 'Interval Width (pp)'
+        },
+        beginAtZero: true,
+        grid: {
+          drawOnChartArea: false
+        }
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Bayesian Assurance by Sample Size</ChartTitle>
+      <ChartSubtitle>
+        Share of simulated experiments in which the decision rule picks the truly better variant
+      </ChartSubtitle>
+      <div style={{ height: '350px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+const formatLift = (lift) => (lift === 0 ? 'A/A (no lift)' : `${lift > 0 ? '+' : ''}${(lift * 100).toFixed(1)}% lift`);
+
+/**
+ * Operating Characteristics Chart
+ * Correct, wrong and undecided outcomes of a stopping rule for each true lift
+ */
+export const OperatingCharacteristicsChart = ({ summaries }) => {
+  const chartData = {
+    labels: summaries.map(summary => formatLift(summary.lift)),
+    datasets: [
+      {
+        label: 'Correct decision (power)',
+        data: summaries.map(summary => (summary.power ?? 0) * 100),
+        backgroundColor: 'rgba(16, 185, 129, 0.7)',
+        borderColor: 'rgb(16, 185, 129)',
+        borderWidth: 1
+      },
+      {
+        label: 'False decision',
+        data: summaries.map(summary => summary.falseDecisionRate * 100),
+        backgroundColor: 'rgba(239, 68, 68, 0.7)',
+        borderColor: 'rgb(239, 68, 68)',
+        borderWidth: 1
+      },
+      {
+        label: 'No decision',
+        data: summaries.map(summary => summary.undecidedRate * 100),
+        backgroundColor: 'rgba(160, 174, 192, 0.6)',
+        borderColor: 'rgb(160, 174, 192)',
+        borderWidth: 1
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      x: {
+        stacked: true
+      },
+      y: {
+        stacked: true,
+        title: {
+          display: true,
+          text: 'Share of Experiments (%)'
+        },
+        beginAtZero: true,
+        max: 100
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Decision Outcomes by True Lift</ChartTitle>
+      <ChartSubtitle>
+        Any winner declared in an A/A test is a false decision
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Time to Decision Chart
+ * Distribution of the day on which the stopping rule fired, per true lift
+ */
+export const TimeToDecisionChart = ({ summaries }) => {
+  const maxDays = Math.max(...summaries.map(summary => summary.timeToDecision.length));
+
+  const chartData = {
+    labels: Array.from({ length: maxDays }, (_, i) => `Day ${i + 1}`),
+    datasets: summaries.map((summary, index) => {
+      const color = variantChartColors[index % variantChartColors.length];
+      return {
+        label: formatLift(summary.lift),
+        data: summary.timeToDecision.map(count => (count / summary.experiments) * 100),
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgba(${color}, 0.1)`,
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 2
+      };
+    })
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}% stopped`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Experiments Stopping (%)'
+        },
+        beginAtZero: true
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Time to Decision</ChartTitle>
+      <ChartSubtitle>
+        Share of experiments whose stopping rule fired on each daily look
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Bandit Regret Chart
+ * Mean cumulative regret per allocation policy over the simulated periods
+ */
+export const BanditRegretChart = ({ policies, labels }) => {
+  const periods = policies[0].cumulativeRegret.length;
+
+  const chartData = {
+    labels: Array.from({ length: periods }, (_, i) => `Day ${i + 1}`),
+    datasets: policies.map((policy, index) => {
+      const color = variantChartColors[index % variantChartColors.length];
+      return {
+        label: labels[policy.policy] || policy.policy,
+        data: policy.cumulativeRegret,
+        borderColor: `rgb(${color})`,
+        backgroundColor: `rgba(${color}, 0.1)`,
+        borderWidth: 2,
+        tension: 0.3,
+        pointRadius: 0
+      };
+    })
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)} conversions lost`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Cumulative Regret (conversions)'
+        },
+        beginAtZero: true
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Cumulative Regret</ChartTitle>
+      <ChartSubtitle>
+        Expected conversions lost versus always showing the better arm
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Posterior Predictive Check Chart
+ * Observed daily conversions against the held-out Beta-Binomial predictive
+ * interval; days outside the interval are drawn in red
+ */
+export const PredictiveCheckChart = ({ check, label, color, confidence = 0.95 }) => {
+  const flaggedColor = 'rgb(239, 68, 68)';
+
+  const chartData = {
+    labels: check.days.map(day => `Day ${day.step}`),
+    datasets: [
+      {
+        label: 'Observed',
+        data: check.days.map(day => day.observed),
+        borderColor: `rgb(${color})`,
+        backgroundColor: check.days.map(day => (day.outside ? flaggedColor : `rgb(${color})`)),
+        pointBorderColor: check.days.map(day => (day.outside ? flaggedColor : `rgb(${color})`)),
+        showLine: false,
+        pointRadius: check.days.map(day => (day.outside ? 7 : 5)),
+        pointHoverRadius: 8
+      },
+      {
+        label: 'Predicted',
+        data: check.days.map(day => day.expected),
+        borderColor: 'rgba(113, 128, 150, 0.9)',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: 0
+      },
+      {
+        label: `${(confidence * 100).toFixed(0)}% predictive interval`,
+        data: check.days.map(day => day.upper),
+        borderColor: 'rgba(113, 128, 150, 0)',
+        backgroundColor: 'rgba(113, 128, 150, 0.15)',
+        fill: '+1',
+        pointRadius: 0
+      },
+      {
+        label: 'Interval lower',
+        data: check.days.map(day => day.lower),
+        borderColor: 'rgba(113, 128, 150, 0)',
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          filter: (item) => item.text !== 'Interval lower'
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        filter: (item) => item.dataset.label !== 'Interval lower',
+        callbacks: {
+          label: function(context) {
+            const day = check.days[context.dataIndex];
+            if (context.datasetIndex === 0) {
+              return `Observed: ${day.observed} of ${day.trials} (p = ${day.pValue.toPrecision(2)})`;
+            }
+            if (context.datasetIndex === 1) {
+              return `Predicted: ${day.expected.toFixed(1)}`;
+            }
+            return `Interval: ${day.lower} – ${day.upper}`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Conversions per Day'
+        }
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Posterior Predictive Check: {label}</ChartTitle>
+      <ChartSubtitle>
+        {check.flagged} of {check.days.length} days outside the interval
+        (about {check.expectedFlagged.toFixed(1)} expected by chance)
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Lift Trajectory Chart
+ * Smoothed relative lift per period with its credible band, the raw
+ * per-period lift, and the most probable changepoint
+ */
+export const LiftTrajectoryChart = ({ periods, confidence = 0.95, changeStep = null }) => {
+  const chartData = {
+    labels: periods.map(period => period.label),
+    datasets: [
+      {
+        label: 'Observed lift',
+        data: periods.map(period => (period.observedLift === null ? null : period.observedLift * 100)),
+        borderColor: 'rgb(236, 72, 153)',
+        backgroundColor: periods.map(period => (period.step === changeStep ? 'rgb(239, 68, 68)' : 'rgb(236, 72, 153)')),
+        showLine: false,
+        pointRadius: periods.map(period => (period.step === changeStep ? 7 : 4)),
+        pointHoverRadius: 8
+      },
+      {
+        label: 'Estimated lift',
+        data: periods.map(period => period.lift.mean * 100),
+        borderColor: 'rgb(99, 102, 241)',
+        borderWidth: 3,
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: `${(confidence * 100).toFixed(0)}% credible band`,
+        data: periods.map(period => period.lift.upper * 100),
+        borderColor: 'rgba(99, 102, 241, 0)',
+        backgroundColor: 'rgba(99, 102, 241, 0.15)',
+        fill: '+1',
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: 'Band lower',
+        data: periods.map(period => period.lift.lower * 100),
+        borderColor: 'rgba(99, 102, 241, 0)',
+        tension: 0.3,
+        pointRadius: 0
+      },
+      {
+        label: 'No effect',
+        data: periods.map(() => 0),
+        borderColor: 'rgba(113, 128, 150, 0.6)',
+        borderDash: [4, 4],
+        borderWidth: 1,
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top',
+        labels: {
+          filter: (item) => item.text !== 'Band lower'
+        }
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false,
+        filter: (item) => item.dataset.label !== 'Band lower' && item.dataset.label !== 'No effect',
+        callbacks: {
+          label: function(context) {
+            const period = periods[context.dataIndex];
+            if (context.datasetIndex === 2) {
+              return `Band: ${(period.lift.lower * 100).toFixed(1)}% to ${(period.lift.upper * 100).toFixed(1)}%`;
+            }
+            return `${context.dataset.label}: ${context.parsed.y.toFixed(1)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Relative Lift (%)'
+        }
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Lift Trajectory</ChartTitle>
+      <ChartSubtitle>
+        Random-walk estimate of B / A − 1 per period{changeStep && `; most probable shift at ${periods[changeStep - 1].label}`}
+      </ChartSubtitle>
+      <div style={{ height: '320px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Changepoint Posterior Chart
+ * Posterior probability that the treatment effect shifts at each period
+ */
+export const ChangepointPosteriorChart = ({ periods, probabilities }) => {
+  const chartData = {
+    labels: periods.map(period => period.label),
+    datasets: [
+      {
+        label: 'P(effect shifts here)',
+        data: probabilities.map(probability => probability * 100),
+        backgroundColor: 'rgba(245, 158, 11, 0.7)',
+        borderColor: 'rgb(245, 158, 11)',
+        borderWidth: 1
+      }
+    ]
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        display: false
+      },
+      tooltip: {
+        callbacks: {
+          label: function(context) {
+            return `P(shift at ${context.label}) = ${context.parsed.y.toFixed(1)}%`;
+          }
+        }
+      }
+    },
+    scales: {
+      y: {
+        title: {
+          display: true,
+          text: 'Posterior Probability (%)'
+        },
+        beginAtZero: true
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Changepoint Posterior</ChartTitle>
+      <ChartSubtitle>Where a single shift in the treatment effect most plausibly happened</ChartSubtitle>
+      <div style={{ height: '240px' }}>
+        <Bar data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Historical Prior Chart
+ * Histogram of past control-arm rates against the fitted Beta prior density
+ */
+export const HistoricalPriorChart = ({ rates, prior, calculator }) => {
+  const chartData = useMemo(() => {
+    const numPoints = 120;
+    const numBins = Math.min(30, Math.max(8, Math.ceil(Math.sqrt(rates.length) * 2)));
+    const upper = Math.min(1, Math.max(
+      ...rates,
+      calculator.calculateCredibleInterval(prior, 0.998).upper
+    ) * 1.1);
+    const binWidth = upper / numBins;
+
+    const counts = new Array(numBins).fill(0);
+    rates.forEach(rate => {
+      counts[Math.min(numBins - 1, Math.floor(rate / binWidth))]++;
+    });
+
+    const xs = Array.from({ length: numPoints + 1 }, (_, i) => (i / numPoints) * upper);
+
+    return {
+      labels: xs.map(x => (x * 100).toFixed(1) + '%'),
+      datasets: [
+        {
+          label: `Past control rates (n = ${rates.length})`,
+          // Scaled to a density so it shares the axis with the prior
+          data: xs.map(x => counts[Math.min(numBins - 1, Math.floor(x / binWidth))] / (rates.length * binWidth)),
+          borderColor: 'rgb(160, 174, 192)',
+          backgroundColor: 'rgba(160, 174, 192, 0.35)',
+          borderWidth: 1,
+          fill: true,
+          stepped: true,
+          pointRadius: 0
+        },
+        {
+          label: `Fitted prior Beta(${prior.alpha.toFixed(2)}, ${prior.beta.toFixed(2)})`,
+          data: xs.map(x => calculator.betaPDF(x, prior.alpha, prior.beta)),
+          borderColor: 'rgb(6, 182, 212)',
+          backgroundColor: 'rgba(6, 182, 212, 0.1)',
+          borderWidth: 2,
+          tension: 0.4,
+          pointRadius: 0
+        }
+      ]
+    };
+  }, [rates, prior, calculator]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Control Conversion Rate'
+        },
+        ticks: {
+          maxTicksLimit: 12
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Density'
+        },
+        beginAtZero: true
+      }
+    }
+  };
+
+  return (
+    <ChartContainer>
+      <ChartTitle>Historical Rates vs Fitted Prior</ChartTitle>
+      <ChartSubtitle>
+        The prior should cover the spread of true rates; the histogram also includes each test's sampling noise
+      </ChartSubtitle>
+      <div style={{ height: '300px' }}>
+        <Line data={chartData} options={options} />
+      </div>
+    </ChartContainer>
+  );
+};
+
+/**
+ * Elicited Prior Chart
+ * Density of the Beta prior solved from stated quantiles, with the stated
+ * range shaded and the stated values marked
+ */
+export const ElicitedPriorChart = ({ prior, beliefs, calculator }) => {
+  const chartData = useMemo(() => {
+    const numPoints = 200;
+    const upper = Math.min(1, Math.max(
+      beliefs.upper,
+      calculator.betaQuantile(0.999, prior.alpha, prior.beta)
+    ) * 1.15);
+    const xs = Array.from({ length: numPoints + 1 }, (_, i) => (i / numPoints) * upper);
+    const density = xs.map(x => calculator.betaPDF(x, prior.alpha, prior.beta));
+    const nearestIndex = (value) => Math.round((value / upper) * numPoints);
+    const markers = new Array(xs.length).fill(null);
+    [beliefs.lower, beliefs.median, beliefs.upper].forEach(value => {
+      const index = nearestIndex(value);
+      markers[index] = density[index];
+    });
+
+    return {
+      labels: xs.map(x => (x * 100).toFixed(1) + '%'),
+      datasets: [
+        {
+          label: 'Stated values',
+          data: markers,
+          borderColor: 'rgb(239, 68, 68)',
+          backgroundColor: 'rgb(239, 68, 68)',
+          showLine: false,
+          pointRadius: 6,
+          pointHoverRadius: 8
+        },
+        {
+          label: `Fitted prior Beta(${prior.alpha.toFixed(2)}, ${prior.beta.toFixed(2)})`,
+          data: density,
+          borderColor: 'rgb(102, 126, 234)',
+          backgroundColor: 'rgba(102, 126, 234, 0.1)',
+          borderWidth: 2,
+          tension: 0.4,
+          pointRadius: 0
+        },
+        {
+          label: `Stated ${(beliefs.probability * 100).toFixed(0)}% range`,
+          data: xs.map((x, i) => (x >= beliefs.lower && x <= beliefs.upper ? density[i] : null)),
+          borderColor: 'rgba(102, 126, 234, 0)',
+          backgroundColor: 'rgba(102, 126, 234, 0.3)',
+          fill: 'origin',
+          pointRadius: 0
+        }
+      ]
+    };
+  }, [prior, beliefs, calculator]);
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: {
+        position: 'top'
+      },
+      tooltip: {
+        mode: 'index',
+        intersect: false
+      }
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Conversion Rate'
+        },
+        ticks: {
+          maxTicksLimit: 12
+        }
+      },
+      y: {
+        title: {
+          display: true,
+          text: 'Density'
+        },
+        beginAtZero: true
+      }
+    }
+  };
+
+  return (
+    <div style={{ height: '260px', marginTop: '16px' }}>
+      <Line data={chartData} options={options} />
+    </div>
+  );
+};
@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiUpload, FiDatabase } from 'react-icons/fi';
+import { dataSimulation } from '../services/dataSimulationService';
+import { CovariateAdjustment, covariateMetricTypes } from '../utils/covariateAdjustment';
+
+const InputContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  text-align: center;
+`;
+
+const SectionSubtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  text-align: center;
+  margin-bottom: 24px;
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 16px;
+`;
+
+const ToggleButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+`;
+
+const FileLabel = styled.label`
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  color: #667eea;
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+
+  input {
+    display: none;
+  }
+`;
+
+const CsvArea = styled.textarea`
+  width: 100%;
+  min-height: 160px;
+  padding: 12px 16px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-family: 'Courier New', monospace;
+  font-size: 13px;
+  color: #2d3748;
+  resize: vertical;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const ErrorList = styled.ul`
+  margin: 12px 0 0;
+  padding-left: 20px;
+  font-size: 14px;
+  color: #e53e3e;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-top: 24px;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+const MathNotation = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 16px 20px;
+  margin-top: 16px;
+  border-left: 4px solid #667eea;
+  font-family: 'Courier New', monospace;
+  font-size: 14px;
+  color: #4a5568;
+  line-height: 1.8;
+`;
+
+const csvHeader = 'variant,outcome,covariate,units';
+
+const toCsv = (rows) => [
+  csvHeader,
+  ...rows.map(({ variant, outcome, covariate, units }) => `${variant},${outcome},${covariate},${units}`)
+].join('\n');
+
+const formatMean = (value, metricType) => (
+  metricType === 'count' ? value.toFixed(4) : `${(value * 100).toFixed(2)}%`
+);
+
+/**
+ * Covariate-Adjusted (CUPED) Input Component
+ * Takes per-unit or per-bucket outcomes with a pre-period covariate as CSV,
+ * applies the CUPED regression adjustment and passes each arm on as
+ * effective Beta-Binomial or Gamma-Poisson data, in the same shape as
+ * ABTestInput, so the usual result cards show the adjusted comparison
+ */
+export const CovariateAdjustmentInput = ({ onDataChange, calculator, prior, seed }) => {
+  const [adjustment] = useState(() => new CovariateAdjustment(calculator));
+  const [metricType, setMetricType] = useState('conversion');
+  const [csvText, setCsvText] = useState('');
+
+  const parsed = useMemo(() => adjustment.parseCsv(csvText, metricType), [adjustment, csvText, metricType]);
+  const analysis = useMemo(() => (
+    parsed.errors.length === 0 ? adjustment.analyze(parsed.rows, metricType) : null
+  ), [adjustment, parsed, metricType]);
+
+  useEffect(() => {
+    if (!analysis) {
+      onDataChange(null);
+      return;
+    }
+
+    const summary = {
+      theta: analysis.theta,
+      correlation: analysis.correlation,
+      varianceReduction: analysis.varianceReduction
+    };
+
+    if (metricType === 'count') {
+      const variants = analysis.arms.map(arm => ({
+        name: arm.name,
+        units: arm.units,
+        events: arm.adjustedData.events,
+        exposure: arm.adjustedData.exposure,
+        posterior: calculator.calculateCountPosterior(arm.adjustedData.events, arm.adjustedData.exposure)
+      }));
+      onDataChange({
+        metricType,
+        variantA: variants[0],
+        variantB: variants[1],
+        variants,
+        allocation: variants.map(() => 1),
+        prior: { shape: calculator.countShape, rate: calculator.countRate },
+        covariateAdjustment: summary
+      });
+      return;
+    }
+
+    const variants = analysis.arms.map(arm => ({
+      name: arm.name,
+      units: arm.units,
+      successes: arm.adjustedData.successes,
+      trials: arm.adjustedData.trials,
+      posterior: calculator.calculatePosterior(arm.adjustedData.successes, arm.adjustedData.trials, prior.alpha, prior.beta)
+    }));
+    onDataChange({
+      metricType,
+      variantA: variants[0],
+      variantB: variants[1],
+      variants,
+      allocation: variants.map(() => 1),
+      prior,
+      priorMode: 'shared',
+      covariateAdjustment: summary
+    });
+  }, [analysis, metricType, calculator, prior, onDataChange]);
+
+  const loadFile = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => setCsvText(String(reader.result));
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  const loadExample = () => {
+    dataSimulation.setSeed(seed);
+    setMetricType('conversion');
+    setCsvText(toCsv(dataSimulation.generateCovariateData()));
+  };
+
+  const effectiveSize = (data) => {
+    if (!data) return '—';
+    return Math.round(metricType === 'count' ? data.exposure : data.trials).toLocaleString();
+  };
+
+  return (
+    <InputContainer>
+      <SectionTitle>Covariate-Adjusted Test Data (CUPED)</SectionTitle>
+      <SectionSubtitle>
+        One row per user, or per bucket of users with a units column, giving the outcome during the test and the
+        same metric from before the test. The pre-period covariate soaks up variance between users, so the same
+        traffic gives a more precise comparison.
+      </SectionSubtitle>
+
+      <ControlRow>
+        {Object.entries(covariateMetricTypes).map(([key, label]) => (
+          <ToggleButton key={key} $active={metricType === key} onClick={() => setMetricType(key)}>
+            {label}
+          </ToggleButton>
+        ))}
+        <FileLabel>
+          <FiUpload />
+          Upload CSV
+          <input type="file" accept=".csv,text/csv" onChange={loadFile} />
+        </FileLabel>
+        <ToggleButton onClick={loadExample}>
+          <FiDatabase />
+          Load Example
+        </ToggleButton>
+      </ControlRow>
+
+      <CsvArea
+        value={csvText}
+        placeholder={`${csvHeader}\nA,0,2,1\nB,1,3,1`}
+        onChange={(e) => setCsvText(e.target.value)}
+        spellCheck={false}
+      />
+
+      {csvText.trim() !== '' && parsed.errors.length > 0 && (
+        <ErrorList>
+          {parsed.errors.map(error => <li key={error}>{error}</li>)}
+        </ErrorList>
+      )}
+      {parsed.errors.length === 0 && parsed.rows.length > 0 && !analysis && (
+        <ErrorList>
+          <li>At least two variants with two or more rows each are needed.</li>
+        </ErrorList>
+      )}
+
+      {analysis && (
+        <>
+          <Table>
+            <thead>
+              <tr>
+                <th>Variant</th>
+                <th>Units</th>
+                <th>Mean</th>
+                <th>CUPED Mean</th>
+                <th>Variance Reduction</th>
+                <th>Effective {metricType === 'count' ? 'Exposure' : 'Sample'}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.arms.map(arm => (
+                <tr key={arm.name}>
+                  <td>{arm.name}</td>
+                  <td>{arm.units.toLocaleString()}</td>
+                  <td>{formatMean(arm.mean, metricType)}</td>
+                  <td>{formatMean(arm.adjustedMean, metricType)}</td>
+                  <td>{(arm.varianceReduction * 100).toFixed(1)}%</td>
+                  <td>{effectiveSize(arm.rawData)} → {effectiveSize(arm.adjustedData)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <MathNotation>
+            <strong>Adjustment:</strong> z = y − θ (x − x̄), θ = {analysis.theta.toFixed(4)}, x̄ = {analysis.covariateMean.toFixed(4)}<br/>
+            <strong>Correlation:</strong> ρ(x, y) = {analysis.correlation.toFixed(3)}, so ρ² = {(analysis.correlation ** 2 * 100).toFixed(1)}% of the variance is explainable<br/>
+            <strong>Variance Reduction:</strong> {(analysis.varianceReduction * 100).toFixed(1)}% on the difference against {analysis.arms[0].name}, about
+            {' '}{(analysis.varianceReduction * 100).toFixed(0)}% less traffic for the same precision<br/>
+            <strong>Posterior:</strong> each arm enters the results below as the {metricType === 'count' ? 'Gamma-Poisson' : 'Beta-Binomial'} data
+            with the adjusted mean and variance
+          </MathNotation>
+        </>
+      )}
+    </InputContainer>
+  );
+};
@@ -1,18 +1,38 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
 import { BayesianCalculator } from '../utils/bayesianCalculator';
+import { SeededRandom } from '../utils/random';
+import { SampleRatioMismatchCheck } from '../utils/sampleRatioMismatch';
+import { defaultStoppingRules } from '../utils/stoppingRules';
 import { dbService } from '../services/databaseService';
 import { dataSimulation } from '../services/dataSimulationService';
-import { ABTestInput, SequentialTestInput } from './InputComponents';
+import { useCalculatorTask } from '../hooks/useCalculatorTask';
+import { ABTestInput, SequentialTestInput, StoppingRuleSettings } from './InputComponents';
 import { InteractivePriorSelection } from './InteractivePriorSelection';
 import { DynamicSampleSizeCalculator } from './DynamicSampleSizeCalculator';
 import { StatisticalImagesGallery } from './StatisticalImagesGallery';
 import { DynamicTestScenarioGenerator } from './DynamicTestScenarioGenerator';
+import { HierarchicalSegmentAnalysis } from './HierarchicalSegmentAnalysis';
+import { OperatingCharacteristicsSimulator } from './OperatingCharacteristicsSimulator';
+import { BanditAllocation } from './BanditAllocation';
+import { HistoricalPriorFit } from './HistoricalPriorFit';
+import { SavedResults } from './SavedResults';
+import { PriorSensitivityPanel } from './PriorSensitivityPanel';
+import { SampleRatioMismatchBanner } from './SampleRatioMismatchBanner';
+import { TimeVaryingEffectAnalysis } from './TimeVaryingEffectAnalysis';
+import { SamplerBenchmark } from './SamplerBenchmark';
+import { CovariateAdjustmentInput } from './CovariateAdjustmentInput';
 import {
   PosteriorDistributionChart,
   CredibleIntervalChart,
   MonteCarloChart,
-  ProbabilityGaugeChart
+  ProbabilityGaugeChart,
+  MultiVariantPosteriorChart,
+  ProbabilityToBeBestChart,
+  RevenuePerVisitorChart,
+  CountPosteriorChart,
+  RelativeLiftChart,
+  PredictiveCheckChart
 } from './Charts';
 import toast, { Toaster } from 'react-hot-toast';
 
@@ -90,8 +110,36 @@ const ResultsContainer = styled.div`
   box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
   border: 1px solid rgba(255, 255, 255, 0.2);
   margin: 24px 0;
+  opacity: ${props => props.$stale ? 0.6 : 1};
+  transition: opacity 0.2s ease;
 `;
 
+const ComputingBadge = styled.div`
+  position: sticky;
+  top: 16px;
+  z-index: 10;
+  margin: 0 auto 16px;
+  width: fit-content;
+  padding: 6px 16px;
+  border-radius: 999px;
+  background: #667eea;
+  color: white;
+  font-size: 13px;
+  font-weight: 600;
+  box-shadow: 0 4px 12px rgba(102, 126, 234, 0.4);
+`;
+
+/**
+ * Progress pill shown over stale results while a worker task recomputes them
+ */
+const ComputingIndicator = ({ task, label = 'Updating' }) => (
+  task.isComputing ? (
+    <ComputingBadge>
+      {label}… {task.progress > 0 && `${Math.round(task.progress * 100)}%`}
+    </ComputingBadge>
+  ) : null
+);
+
 const ResultsGrid = styled.div`
   display: grid;
   grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -128,6 +176,62 @@ const StatDescription = styled.div`
   margin-top: 8px;
 `;
 
+const StatError = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: #a0aec0;
+  margin-left: 8px;
+  white-space: nowrap;
+`;
+
+const IntervalControls = styled.div`
+  display: flex;
+  justify-content: center;
+  align-items: center;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 24px;
+`;
+
+const IntervalControlLabel = styled.span`
+  font-size: 14px;
+  font-weight: 600;
+  color: #4a5568;
+  margin: 0 4px 0 12px;
+`;
+
+const IntervalOption = styled.button`
+  padding: 6px 14px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 13px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const SeedInput = styled.input`
+  width: ${props => props.$width || '130px'};
+  padding: 6px 10px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 13px;
+  font-family: 'Courier New', monospace;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
 const MathematicalNotation = styled.div`
   background: #f7fafc;
   border-radius: 12px;
@@ -174,6 +278,8 @@ const InterpretationText = styled.p`
 const RecommendationBox = styled.div`
   background: ${props => props.recommendation === 'B' ? 
     'linear-gradient(135deg, #10b981, #059669)' : 
+    props.recommendation === 'Equivalent' ?
+    'linear-gradient(135deg, #3b82f6, #2563eb)' :
     'linear-gradient(135deg, #f59e0b, #d97706)'};
   color: white;
   border-radius: 12px;
@@ -220,6 +326,76 @@ const LossLabel = styled.div`
   margin-top: 4px;
 `;
 
+const intervalMethods = {
+  'equal-tailed': 'Equal-Tailed',
+  hdi: 'HDI'
+};
+
+const intervalLevels = [0.8, 0.9, 0.95, 0.99];
+
+const monteCarloDrawOptions = [10000, 100000, 1000000];
+
+const inputModes = {
+  aggregate: 'Aggregate Counts',
+  covariate: 'Per-Unit CSV with Covariate (CUPED)'
+};
+
+// Adaptive Monte Carlo targets for the MCSE of probabilities and expected losses
+const monteCarloPrecisions = [null, 0.001, 0.0002];
+
+const bayesFactorMethods = {
+  'model-comparison': 'Shared vs Separate',
+  'savage-dickey': 'Savage–Dickey'
+};
+
+const stoppingRuleLabels = {
+  probability: 'P(B > A) threshold',
+  'expected-loss': 'expected loss below ε',
+  'probability+expected-loss': 'P(B > A) and expected loss',
+  'max-duration': 'maximum duration'
+};
+
+// Posterior mass inside the ROPE needed to call the variants equivalent
+const equivalenceThreshold = 0.95;
+
+/**
+ * Decision for an A/B comparison: equivalence when the lift is inside the
+ * ROPE, otherwise a variant once P(B > A) leaves 20%–80%
+ */
+const recommend = ({ probBGreater, expectedLoss, lift }) => {
+  if (lift && lift.rope.probInside >= equivalenceThreshold) {
+    return {
+      variant: 'Equivalent',
+      confidence: 'High',
+      probability: lift.rope.probInside,
+      expectedLoss: Math.min(expectedLoss.lossA, expectedLoss.lossB)
+    };
+  } else if (probBGreater > 0.8) {
+    return {
+      variant: 'B',
+      confidence: 'High',
+      probability: probBGreater,
+      expectedLoss: expectedLoss.lossA
+    };
+  } else if (probBGreater < 0.2) {
+    return {
+      variant: 'A',
+      confidence: 'High',
+      probability: 1 - probBGreater,
+      expectedLoss: expectedLoss.lossB
+    };
+  } else {
+    return {
+      variant: 'Inconclusive',
+      confidence: 'Low',
+      probability: Math.max(probBGreater, 1 - probBGreater),
+      expectedLoss: Math.min(expectedLoss.lossA, expectedLoss.lossB)
+    };
+  }
+};
+
+const variantColors = ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4'];
+
 /**
  * Main Bayesian A/B Testing Dashboard Component
  * Features advanced statistical analysis, real-time updates, and comprehensive reporting
@@ -227,14 +403,28 @@ const LossLabel = styled.div`
 export const BayesianABDashboard = () => {
   const [activeTab, setActiveTab] = useState('basic');
   const [testData, setTestData] = useState(null);
-  const [sequentialData, setSequentialData] = useState({ variantA: [], variantB: [] });
-  const [debouncedSequentialData, setDebouncedSequentialData] = useState({ variantA: [], variantB: [] });
+  const [inputMode, setInputMode] = useState('aggregate');
+  const [sequentialData, setSequentialData] = useState({ variantA: [], variantB: [], dataMode: 'cumulative' });
+  const [debouncedSequentialData, setDebouncedSequentialData] = useState({ variantA: [], variantB: [], dataMode: 'cumulative' });
   const [calculator] = useState(() => new BayesianCalculator());
+  const [srmCheck] = useState(() => new SampleRatioMismatchCheck(calculator));
+  const [srmOverrides, setSrmOverrides] = useState([]);
   const [isDbInitialized, setIsDbInitialized] = useState(false);
   const [currentPrior, setCurrentPrior] = useState({ alpha: 1, beta: 1 });
   const [sampleSizeData, setSampleSizeData] = useState(null);
   const [selectedScenario, setSelectedScenario] = useState(null);
   const [generatedData, setGeneratedData] = useState(null);
+  const [intervalSettings, setIntervalSettings] = useState({ method: 'equal-tailed', level: 0.95 });
+  const [seed, setSeed] = useState(() => SeededRandom.generateSeed());
+  const [monteCarloDraws, setMonteCarloDraws] = useState(10000);
+  const [precisionTarget, setPrecisionTarget] = useState(null);
+  const [ropeWidth, setRopeWidth] = useState(0.01);
+  const [bayesFactorMethod, setBayesFactorMethod] = useState('model-comparison');
+  const [stoppingRules, setStoppingRules] = useState(defaultStoppingRules);
+  const [historyPrior, setHistoryPrior] = useState(null);
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [saveDetails, setSaveDetails] = useState({ pageType: '', tags: '' });
+  const [restoredResult, setRestoredResult] = useState(null);
 
   // Initialize database on component mount
   useEffect(() => {
@@ -261,13 +451,15 @@ export const BayesianABDashboard = () => {
         variantA: {
           successes: generatedData.variantA.successes,
           trials: generatedData.variantA.trials,
-          posterior: calculator.calculatePosterior(generatedData.variantA.successes, generatedData.variantA.trials)
+          posterior: calculator.calculatePosterior(generatedData.variantA.successes, generatedData.variantA.trials, currentPrior.alpha, currentPrior.beta)
         },
         variantB: {
           successes: generatedData.variantB.successes,
           trials: generatedData.variantB.trials,
-          posterior: calculator.calculatePosterior(generatedData.variantB.successes, generatedData.variantB.trials)
+          posterior: calculator.calculatePosterior(generatedData.variantB.successes, generatedData.variantB.trials, currentPrior.alpha, currentPrior.beta)
         },
+        // Scenarios split traffic evenly
+        allocation: [1, 1],
         prior: currentPrior
       };
       setTestData(newTestData);
@@ -283,81 +475,196 @@ export const BayesianABDashboard = () => {
     return () => clearTimeout(id);
   }, [sequentialData]);
 
-  const results = useMemo(() => {
-    if (!testData) return null;
+  // Heavy analyses run in a Web Worker; the last result stays on screen while a new one computes
+  const resultsPayload = useMemo(() => (
+    testData
+      ? { testData, intervalSettings, seed, ropeWidth, bayesFactorMethod, draws: monteCarloDraws, precisionTarget }
+      : null
+  ), [testData, intervalSettings, seed, ropeWidth, bayesFactorMethod, monteCarloDraws, precisionTarget]);
+  const resultsTask = useCalculatorTask('analyzeTest', resultsPayload);
+  const results = resultsTask.data;
 
-    const { variantA, variantB, prior } = testData;
-    const posteriorA = variantA.posterior;
-    const posteriorB = variantB.posterior;
+  const multiVariantPayload = useMemo(() => {
+    if (!testData || !testData.variants || testData.variants.length <= 2) return null;
+    return {
+      variants: testData.variants,
+      metricType: testData.metricType === 'count' ? 'count' : 'conversion',
+      intervalSettings,
+      seed,
+      draws: monteCarloDraws,
+      precisionTarget
+    };
+  }, [testData, intervalSettings, seed, monteCarloDraws, precisionTarget]);
+  const multiVariantTask = useCalculatorTask('analyzeMultiVariant', multiVariantPayload);
+  const multiVariantResults = multiVariantPayload ? multiVariantTask.data : null;
+  // 'A' when the control leads, so the box is not styled as a treatment win
+  const multiVariantWinner = !multiVariantResults || multiVariantResults.best.probabilityBest <= 0.8
+    ? 'Inconclusive'
+    : multiVariantResults.best.name === multiVariantResults.control.name ? 'A' : 'B';
 
-    // Calculate all statistical measures
-    const probBGreater = calculator.calculateProbabilityBGreaterThanAMonteCarlo(posteriorA, posteriorB);
-    const expectedLoss = calculator.calculateExpectedLoss(posteriorA, posteriorB);
-    const credibleIntervalA = calculator.calculateCredibleInterval(posteriorA, 0.95);
-    const credibleIntervalB = calculator.calculateCredibleInterval(posteriorB, 0.95);
-    const bayesFactor = calculator.calculateBayesFactor(posteriorA, posteriorB);
-    
-    // Posterior predictive distributions
-    const predictiveA = calculator.posteriorPredictive(posteriorA, 1000);
-    const predictiveB = calculator.posteriorPredictive(posteriorB, 1000);
+  const sequentialErrors = useMemo(() => {
+    const { variantA, variantB, dataMode } = debouncedSequentialData;
+    return [
+      ...calculator.validateSequentialData(variantA, dataMode, 'Variant A'),
+      ...calculator.validateSequentialData(variantB, dataMode, 'Variant B')
+    ];
+  }, [debouncedSequentialData, calculator]);
+
+  // The Beta prior of the entered test, or the Prior tab's choice before there is one;
+  // keyed on its parameters so a new testData object alone starts no new task
+  const { alpha: activeAlpha, beta: activeBeta } = testData && testData.metricType !== 'count'
+    ? testData.prior
+    : currentPrior;
+  const activePrior = useMemo(() => ({ alpha: activeAlpha, beta: activeBeta }), [activeAlpha, activeBeta]);
+
+  const sequentialPayload = useMemo(() => {
+    const { variantA, variantB, dataMode } = debouncedSequentialData;
+    if (variantA.length === 0 || variantB.length === 0 || sequentialErrors.length > 0) {
+      return null;
+    }
 
     return {
-      probBGreater,
-      expectedLoss,
-      credibleIntervalA,
-      credibleIntervalB,
-      bayesFactor,
-      predictiveA,
-      predictiveB,
-      posteriorA,
-      posteriorB,
-      prior
+      variantA,
+      variantB,
+      rules: stoppingRules,
+      dataMode,
+      prior: activePrior,
+      seed
     };
-  }, [testData, calculator]);
+  }, [debouncedSequentialData, sequentialErrors, activePrior, seed, stoppingRules]);
+  const sequentialTask = useCalculatorTask('sequentialTest', sequentialPayload);
+  const sequentialResults = sequentialTask.data;
+
+  // Traffic split of the entered test against its intended allocation
+  const testSrm = useMemo(() => {
+    if (!testData) return null;
+    const arms = testData.variants || [testData.variantA, testData.variantB];
+    // Covariate-adjusted arms carry effective sizes, so the split is checked on their real units
+    const counts = arms.map(arm => arm.units || (testData.metricType === 'count' ? arm.exposure : arm.trials));
+    const check = srmCheck.check(counts, testData.allocation);
+    return check && { ...check, labels: arms.map((arm, i) => arm.name || String.fromCharCode(65 + i)) };
+  }, [testData, srmCheck]);
 
-  const sequentialResults = useMemo(() => {
-    if (debouncedSequentialData.variantA.length === 0 || debouncedSequentialData.variantB.length === 0) {
+  const sequentialSrm = useMemo(() => {
+    const { variantA, variantB, dataMode, allocation } = debouncedSequentialData;
+    if (variantA.length === 0 || variantB.length === 0 || sequentialErrors.length > 0) {
       return null;
     }
 
-    const originalSamples = calculator.monteCarloSamples;
-    // Use fewer samples for interactivity in sequential typing
-    calculator.monteCarloSamples = Math.min(3000, originalSamples);
-    const result = calculator.sequentialTest(debouncedSequentialData.variantA, debouncedSequentialData.variantB, 0.95);
-    calculator.monteCarloSamples = originalSamples;
-    return result;
-  }, [debouncedSequentialData, calculator]);
+    const totals = [variantA, variantB].map(series => calculator.toCumulativeTotals(series, dataMode).pop());
+    const check = srmCheck.check(totals.map(total => total.trials), allocation);
+    return check && { ...check, labels: ['A', 'B'] };
+  }, [debouncedSequentialData, sequentialErrors, calculator, srmCheck]);
 
-  const getRecommendation = () => {
-    if (!results) return null;
-    
-    const { probBGreater, expectedLoss } = results;
-    
-    if (probBGreater > 0.8) {
-      return {
-        variant: 'B',
-        confidence: 'High',
-        probability: probBGreater,
-        expectedLoss: expectedLoss.lossA
-      };
-    } else if (probBGreater < 0.2) {
-      return {
-        variant: 'A',
-        confidence: 'High',
-        probability: 1 - probBGreater,
-        expectedLoss: expectedLoss.lossB
-      };
-    } else {
-      return {
-        variant: 'Inconclusive',
-        confidence: 'Low',
-        probability: Math.max(probBGreater, 1 - probBGreater),
-        expectedLoss: Math.min(expectedLoss.lossA, expectedLoss.lossB)
-      };
+  // A mismatch blocks recommendations until the analyst overrides it for this exact split
+  const srmKey = (check) => JSON.stringify([check.counts, check.allocation]);
+  const isSrmBlocking = (check) => Boolean(check && check.mismatch && !srmOverrides.includes(srmKey(check)));
+  const toggleSrmOverride = (check) => {
+    const key = srmKey(check);
+    setSrmOverrides(prev => (prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]));
+  };
+  const renderSrmBanner = (check) => check && check.mismatch && (
+    <SampleRatioMismatchBanner
+      check={check}
+      labels={check.labels}
+      overridden={!isSrmBlocking(check)}
+      onOverride={() => toggleSrmOverride(check)}
+    />
+  );
+
+  // Checked over every entered day, including any after a stopping rule fired
+  const predictiveChecks = useMemo(() => {
+    const { variantA, variantB, dataMode } = debouncedSequentialData;
+    if (variantA.length === 0 || variantB.length === 0 || sequentialErrors.length > 0) {
+      return null;
+    }
+
+    return {
+      variantA: calculator.posteriorPredictiveCheck(variantA, dataMode, intervalSettings.level),
+      variantB: calculator.posteriorPredictiveCheck(variantB, dataMode, intervalSettings.level)
+    };
+  }, [debouncedSequentialData, sequentialErrors, calculator, intervalSettings]);
+
+  const handleSaveResults = async () => {
+    if (!results) return;
+
+    const summarizeVariant = (variant) => results.metricType === 'count'
+      ? { events: variant.events, exposure: variant.exposure }
+      : { successes: variant.successes, trials: variant.trials, ...variant.revenue };
+
+    await dbService.saveTestResult({
+      metricType: results.metricType,
+      variantA: summarizeVariant(testData.variantA),
+      variantB: summarizeVariant(testData.variantB),
+      // Every arm and the intended split, so A/B/n and unequal tests restore as they were run
+      variants: testData.variants.map(variant => ({ name: variant.name, ...summarizeVariant(variant) })),
+      allocation: testData.allocation,
+      prior: results.prior,
+      ...(results.priorMode && results.priorMode !== 'shared' && {
+        priorMode: results.priorMode,
+        ...(results.priorMode === 'joint' ? { jointPrior: results.jointPrior } : { priors: results.priors })
+      }),
+      ...(results.covariateAdjustment && { covariateAdjustment: results.covariateAdjustment }),
+      seed: results.seed,
+      draws: results.draws,
+      precisionTarget: results.precisionTarget,
+      ropeWidth,
+      bayesFactorMethod,
+      probBGreater: results.probBGreater,
+      expectedLoss: { lossA: results.expectedLoss.lossA, lossB: results.expectedLoss.lossB },
+      credibleIntervalA: results.credibleIntervalA,
+      credibleIntervalB: results.credibleIntervalB,
+      ...(results.bayesFactor && {
+        bayesFactor: {
+          value: results.bayesFactor.bayesFactor,
+          method: results.bayesFactor.method,
+          evidence: results.bayesFactor.evidence.label
+        }
+      }),
+      relativeLift: {
+        mean: results.lift.mean,
+        credibleInterval: results.lift.credibleInterval,
+        rope: results.lift.rope
+      },
+      intervalSettings,
+      pageType: saveDetails.pageType.trim() || null,
+      tags: saveDetails.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+    });
+    setHistoryVersion(version => version + 1);
+    toast.success(`Results saved with seed ${results.seed}`);
+  };
+
+  // Reproduce a saved result: its seed and settings here, its data and prior in the input
+  const handleRestoreResult = (saved) => {
+    if (saved.seed !== undefined) setSeed(saved.seed);
+    if (saved.intervalSettings) setIntervalSettings(saved.intervalSettings);
+    if (saved.draws) setMonteCarloDraws(saved.draws);
+    setPrecisionTarget(saved.precisionTarget ?? null);
+    if (saved.ropeWidth !== undefined) setRopeWidth(saved.ropeWidth);
+    if (saved.bayesFactorMethod) setBayesFactorMethod(saved.bayesFactorMethod);
+
+    if (saved.covariateAdjustment) {
+      setInputMode('covariate');
+      toast(`Restored seed ${saved.seed}. Per-unit CSV data is not saved, so load it again to re-run.`);
+      return;
     }
+    setInputMode('aggregate');
+    setRestoredResult({ ...saved });
+    toast.success(`Restored the result saved ${new Date(saved.createdAt).toLocaleString()}`);
   };
 
-  const recommendation = getRecommendation();
+  const recommendation = results ? recommend(results) : null;
+  const isCountResult = results && results.metricType === 'count';
+  // Count metrics are reported as events per unit of exposure, conversions as percentages
+  const formatRate = (value, digits = 1) => isCountResult ? value.toFixed(digits + 2) : `${(value * 100).toFixed(digits)}%`;
+  // Monte Carlo standard errors beside each value; closed-form values are marked exact
+  const formatPercentError = (mcse, digits = 2) => `± ${(mcse * 100).toFixed(digits)}%`;
+  const formatIntervalError = (mcse, format) => `± ${format(mcse.lower)} / ${format(mcse.upper)}`;
+  const formatBayesFactor = (value) => {
+    if (Number.isNaN(value)) return '—';
+    return value >= 1000 || value < 0.001 ? value.toExponential(2) : value.toFixed(2);
+  };
+  const intervalLabel = `${(intervalSettings.level * 100).toFixed(0)}% ${intervalSettings.method === 'hdi' ? 'HDI' : 'Credible Interval'}`;
 
   return (
     <DashboardContainer>
@@ -395,6 +702,24 @@ export const BayesianABDashboard = () => {
           >
             Sequential Testing
           </Tab>
+          <Tab 
+            $active={activeTab === 'operating'} 
+            onClick={() => setActiveTab('operating')}
+          >
+            Decision Rules
+          </Tab>
+          <Tab 
+            $active={activeTab === 'segments'} 
+            onClick={() => setActiveTab('segments')}
+          >
+            Segments
+          </Tab>
+          <Tab 
+            $active={activeTab === 'bandit'} 
+            onClick={() => setActiveTab('bandit')}
+          >
+            Bandits
+          </Tab>
           <Tab 
             $active={activeTab === 'gallery'} 
             onClick={() => setActiveTab('gallery')}
@@ -414,68 +739,243 @@ export const BayesianABDashboard = () => {
             <InteractivePriorSelection 
               onPriorChange={setCurrentPrior} 
               calculator={calculator} 
+              historyPrior={historyPrior}
+            />
+            <HistoricalPriorFit
+              calculator={calculator}
+              onPriorFit={setHistoryPrior}
+              refreshKey={historyVersion}
             />
-            <ABTestInput onDataChange={setTestData} calculator={calculator} />
+            <SavedResults onRestore={handleRestoreResult} refreshKey={historyVersion} />
+            <IntervalControls>
+              <IntervalControlLabel>Input:</IntervalControlLabel>
+              {Object.entries(inputModes).map(([key, name]) => (
+                <IntervalOption key={key} $active={inputMode === key} onClick={() => setInputMode(key)}>
+                  {name}
+                </IntervalOption>
+              ))}
+            </IntervalControls>
+            {inputMode === 'covariate' ? (
+              <CovariateAdjustmentInput
+                onDataChange={setTestData}
+                calculator={calculator}
+                prior={currentPrior}
+                seed={seed}
+              />
+            ) : (
+              <ABTestInput
+                onDataChange={setTestData}
+                calculator={calculator}
+                historyPrior={historyPrior}
+                restoredResult={restoredResult}
+              />
+            )}
+
+            {!results && <ComputingIndicator task={resultsTask} label="Computing results" />}
             
             {results && (
-              <ResultsContainer>
+              <ResultsContainer $stale={resultsTask.isComputing}>
+                <ComputingIndicator task={resultsTask} />
                 <h2 style={{ textAlign: 'center', marginBottom: '32px', color: '#2d3748' }}>
                   Bayesian Analysis Results
                 </h2>
+
+                <IntervalControls>
+                  <IntervalControlLabel>Interval:</IntervalControlLabel>
+                  {Object.entries(intervalMethods).map(([key, name]) => (
+                    <IntervalOption
+                      key={key}
+                      $active={intervalSettings.method === key}
+                      onClick={() => setIntervalSettings(prev => ({ ...prev, method: key }))}
+                    >
+                      {name}
+                    </IntervalOption>
+                  ))}
+                  <IntervalControlLabel>Level:</IntervalControlLabel>
+                  {intervalLevels.map(level => (
+                    <IntervalOption
+                      key={level}
+                      $active={intervalSettings.level === level}
+                      onClick={() => setIntervalSettings(prev => ({ ...prev, level }))}
+                    >
+                      {(level * 100).toFixed(0)}%
+                    </IntervalOption>
+                  ))}
+                  <IntervalControlLabel>Seed:</IntervalControlLabel>
+                  <SeedInput
+                    type="number"
+                    min="0"
+                    value={seed}
+                    onChange={(e) => setSeed((parseInt(e.target.value) || 0) >>> 0)}
+                  />
+                  <IntervalOption onClick={() => setSeed(SeededRandom.generateSeed())}>
+                    New Seed
+                  </IntervalOption>
+                  <IntervalControlLabel>Draws:</IntervalControlLabel>
+                  {monteCarloDrawOptions.map(draws => (
+                    <IntervalOption
+                      key={draws}
+                      $active={monteCarloDraws === draws}
+                      onClick={() => setMonteCarloDraws(draws)}
+                    >
+                      {draws >= 1000000 ? `${draws / 1000000}M` : `${draws / 1000}k`}
+                    </IntervalOption>
+                  ))}
+                  <IntervalControlLabel>MCSE Target:</IntervalControlLabel>
+                  {monteCarloPrecisions.map(target => (
+                    <IntervalOption
+                      key={target || 'fixed'}
+                      $active={precisionTarget === target}
+                      onClick={() => setPrecisionTarget(target)}
+                    >
+                      {target ? `±${(target * 100).toFixed(2)}%` : 'Fixed'}
+                    </IntervalOption>
+                  ))}
+                  {!isCountResult && (
+                    <>
+                      <IntervalControlLabel>Bayes Factor:</IntervalControlLabel>
+                      {Object.entries(bayesFactorMethods).map(([key, name]) => (
+                        <IntervalOption
+                          key={key}
+                          $active={bayesFactorMethod === key}
+                          onClick={() => setBayesFactorMethod(key)}
+                        >
+                          {name}
+                        </IntervalOption>
+                      ))}
+                    </>
+                  )}
+                  <IntervalControlLabel>ROPE ±%:</IntervalControlLabel>
+                  <SeedInput
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    $width="80px"
+                    value={+(ropeWidth * 100).toFixed(2)}
+                    onChange={(e) => setRopeWidth(Math.max(0, parseFloat(e.target.value) || 0) / 100)}
+                  />
+                  <IntervalControlLabel>Page Type:</IntervalControlLabel>
+                  <SeedInput
+                    type="text"
+                    placeholder="e.g. checkout"
+                    value={saveDetails.pageType}
+                    onChange={(e) => setSaveDetails(prev => ({ ...prev, pageType: e.target.value }))}
+                  />
+                  <IntervalControlLabel>Tags:</IntervalControlLabel>
+                  <SeedInput
+                    type="text"
+                    placeholder="comma-separated"
+                    value={saveDetails.tags}
+                    onChange={(e) => setSaveDetails(prev => ({ ...prev, tags: e.target.value }))}
+                  />
+                  <IntervalOption $active onClick={handleSaveResults} disabled={resultsTask.isComputing}>
+                    Save Results
+                  </IntervalOption>
+                </IntervalControls>
                 
                 <ResultsGrid>
                   <StatCard color="#10b981">
                     <StatValue color="#10b981">
                       {(results.probBGreater * 100).toFixed(1)}%
+                      <StatError>{results.priorMode === 'joint' ? 'grid' : 'exact'}</StatError>
                     </StatValue>
-                    <StatLabel>P(B > A)</StatLabel>
+                    <StatLabel>{isCountResult ? 'P(λB > λA)' : 'P(B > A)'}</StatLabel>
                     <StatDescription>
                       Probability that Variant B outperforms Variant A
                     </StatDescription>
                   </StatCard>
 
-                  <StatCard color="#3b82f6">
-                    <StatValue color="#3b82f6">
-                      {results.bayesFactor.toFixed(2)}
-                    </StatValue>
-                    <StatLabel>Bayes Factor</StatLabel>
-                    <StatDescription>
-                      Evidence strength for model comparison
-                    </StatDescription>
-                  </StatCard>
+                  {!isCountResult && (
+                    <StatCard color="#3b82f6">
+                      <StatValue color="#3b82f6">
+                        {formatBayesFactor(results.bayesFactor.bayesFactor)}
+                        <StatError>{results.priorMode === 'joint' ? 'grid' : 'exact'}</StatError>
+                      </StatValue>
+                      <StatLabel>Bayes Factor BF₁₀</StatLabel>
+                      <StatDescription>
+                        {results.bayesFactor.evidence.favors
+                          ? `${results.bayesFactor.evidence.label} evidence for ${results.bayesFactor.evidence.favors === 'H1' ? 'a difference' : 'no difference'}`
+                          : results.bayesFactor.evidence.label}
+                        {' '}({bayesFactorMethods[results.bayesFactor.method]})
+                      </StatDescription>
+                    </StatCard>
+                  )}
 
                   <StatCard color="#8b5cf6">
                     <StatValue color="#8b5cf6">
-                      {(results.credibleIntervalA.lower * 100).toFixed(1)}% - {(results.credibleIntervalA.upper * 100).toFixed(1)}%
+                      {formatRate(results.credibleIntervalA.lower)} - {formatRate(results.credibleIntervalA.upper)}
+                      <StatError>
+                        {results.credibleIntervalA.mcse
+                          ? formatIntervalError(results.credibleIntervalA.mcse, value => formatRate(value, 2))
+                          : 'exact'}
+                      </StatError>
                     </StatValue>
-                    <StatLabel>A 95% Credible Interval</StatLabel>
+                    <StatLabel>A {intervalLabel}</StatLabel>
                     <StatDescription>
-                      Bayesian confidence interval for Variant A
+                      {isCountResult ? `Events per unit of exposure for Variant A` : `Bayesian confidence interval for Variant A`}
                     </StatDescription>
                   </StatCard>
 
                   <StatCard color="#ec4899">
                     <StatValue color="#ec4899">
-                      {(results.credibleIntervalB.lower * 100).toFixed(1)}% - {(results.credibleIntervalB.upper * 100).toFixed(1)}%
+                      {formatRate(results.credibleIntervalB.lower)} - {formatRate(results.credibleIntervalB.upper)}
+                      <StatError>
+                        {results.credibleIntervalB.mcse
+                          ? formatIntervalError(results.credibleIntervalB.mcse, value => formatRate(value, 2))
+                          : 'exact'}
+                      </StatError>
+                    </StatValue>
+                    <StatLabel>B {intervalLabel}</StatLabel>
+                    <StatDescription>
+                      {isCountResult ? `Events per unit of exposure for Variant B` : `Bayesian confidence interval for Variant B`}
+                    </StatDescription>
+                  </StatCard>
+                </ResultsGrid>
+
+                <ResultsGrid>
+                  <StatCard color="#f59e0b">
+                    <StatValue color="#f59e0b">
+                      {(results.lift.credibleInterval.lower * 100).toFixed(1)}% - {(results.lift.credibleInterval.upper * 100).toFixed(1)}%
+                      <StatError>
+                        {formatIntervalError(results.lift.credibleInterval.mcse, value => `${(value * 100).toFixed(2)}%`)}
+                      </StatError>
+                    </StatValue>
+                    <StatLabel>Relative Lift {intervalLabel}</StatLabel>
+                    <StatDescription>
+                      Posterior of B / A − 1, median {(results.lift.median * 100).toFixed(1)}%
+                      {' '}({results.lift.draws.toLocaleString()} draws)
+                    </StatDescription>
+                  </StatCard>
+
+                  <StatCard color="#3b82f6">
+                    <StatValue color="#3b82f6">
+                      {(results.lift.rope.probInside * 100).toFixed(1)}%
+                      <StatError>{formatPercentError(results.lift.mcse.probInside)}</StatError>
                     </StatValue>
-                    <StatLabel>B 95% Credible Interval</StatLabel>
+                    <StatLabel>P(Lift in ROPE)</StatLabel>
                     <StatDescription>
-                      Bayesian confidence interval for Variant B
+                      Within ±{(ropeWidth * 100).toFixed(1)}%: below {(results.lift.rope.probBelow * 100).toFixed(1)}%, above {(results.lift.rope.probAbove * 100).toFixed(1)}%
                     </StatDescription>
                   </StatCard>
                 </ResultsGrid>
 
-                {recommendation && (
+                {renderSrmBanner(testSrm)}
+
+                {recommendation && !isSrmBlocking(testSrm) && (
                   <RecommendationBox recommendation={recommendation.variant}>
                     <RecommendationText>
                       {recommendation.variant === 'Inconclusive' 
                         ? 'Insufficient Evidence' 
-                        : `Recommendation: Choose Variant ${recommendation.variant}`}
+                        : recommendation.variant === 'Equivalent'
+                          ? 'Variants are Practically Equivalent'
+                          : `Recommendation: Choose Variant ${recommendation.variant}`}
                     </RecommendationText>
                     <RecommendationSubtext>
                       {recommendation.variant === 'Inconclusive' 
                         ? 'Collect more data to reach statistical significance'
-                        : `${recommendation.confidence} confidence (${(recommendation.probability * 100).toFixed(1)}% probability)`}
+                        : recommendation.variant === 'Equivalent'
+                          ? `${(recommendation.probability * 100).toFixed(1)}% probability the lift lies within ±${(ropeWidth * 100).toFixed(1)}%`
+                          : `${recommendation.confidence} confidence (${(recommendation.probability * 100).toFixed(1)}% probability)`}
                     </RecommendationSubtext>
                   </RecommendationBox>
                 )}
@@ -483,26 +983,137 @@ export const BayesianABDashboard = () => {
                 <ExpectedLossContainer>
                   <LossCard higher={results.expectedLoss.lossA > results.expectedLoss.lossB}>
                     <LossValue higher={results.expectedLoss.lossA > results.expectedLoss.lossB}>
-                      {(results.expectedLoss.lossA * 100).toFixed(2)}%
+                      {formatRate(results.expectedLoss.lossA, 2)}
+                      {results.expectedLoss.mcse && (
+                        <StatError>± {formatRate(results.expectedLoss.mcse.lossA, 4)}</StatError>
+                      )}
                     </LossValue>
                     <LossLabel>Expected Loss (Choose A)</LossLabel>
                   </LossCard>
                   <LossCard higher={results.expectedLoss.lossB > results.expectedLoss.lossA}>
                     <LossValue higher={results.expectedLoss.lossB > results.expectedLoss.lossA}>
-                      {(results.expectedLoss.lossB * 100).toFixed(2)}%
+                      {formatRate(results.expectedLoss.lossB, 2)}
+                      {results.expectedLoss.mcse && (
+                        <StatError>± {formatRate(results.expectedLoss.mcse.lossB, 4)}</StatError>
+                      )}
                     </LossValue>
                     <LossLabel>Expected Loss (Choose B)</LossLabel>
                   </LossCard>
                 </ExpectedLossContainer>
 
+                {results.revenue && (
+                  <>
+                    <h3 style={{ textAlign: 'center', margin: '32px 0 16px', color: '#2d3748' }}>
+                      Revenue per Visitor
+                    </h3>
+                    <ResultsGrid>
+                      <StatCard color="#10b981">
+                        <StatValue color="#10b981">
+                          {(results.revenue.probBGreater * 100).toFixed(1)}%
+                          <StatError>{formatPercentError(results.revenue.mcse.probBGreater)}</StatError>
+                        </StatValue>
+                        <StatLabel>P(RPV B > RPV A)</StatLabel>
+                        <StatDescription>
+                          Relative lift in revenue per visitor: {(results.revenue.relativeLift * 100).toFixed(1)}%
+                        </StatDescription>
+                      </StatCard>
+
+                      <StatCard color="#8b5cf6">
+                        <StatValue color="#8b5cf6">
+                          {results.revenue.credibleIntervalA.lower.toFixed(2)} - {results.revenue.credibleIntervalA.upper.toFixed(2)}
+                          <StatError>{formatIntervalError(results.revenue.credibleIntervalA.mcse, value => value.toFixed(3))}</StatError>
+                        </StatValue>
+                        <StatLabel>A RPV {intervalLabel}</StatLabel>
+                        <StatDescription>
+                          Mean {results.revenue.meanA.toFixed(2)} per visitor, order value {results.revenue.averageOrderValueA.toFixed(2)}
+                        </StatDescription>
+                      </StatCard>
+
+                      <StatCard color="#ec4899">
+                        <StatValue color="#ec4899">
+                          {results.revenue.credibleIntervalB.lower.toFixed(2)} - {results.revenue.credibleIntervalB.upper.toFixed(2)}
+                          <StatError>{formatIntervalError(results.revenue.credibleIntervalB.mcse, value => value.toFixed(3))}</StatError>
+                        </StatValue>
+                        <StatLabel>B RPV {intervalLabel}</StatLabel>
+                        <StatDescription>
+                          Mean {results.revenue.meanB.toFixed(2)} per visitor, order value {results.revenue.averageOrderValueB.toFixed(2)}
+                        </StatDescription>
+                      </StatCard>
+                    </ResultsGrid>
+
+                    <ExpectedLossContainer>
+                      <LossCard higher={results.revenue.expectedLoss.lossA > results.revenue.expectedLoss.lossB}>
+                        <LossValue higher={results.revenue.expectedLoss.lossA > results.revenue.expectedLoss.lossB}>
+                          {results.revenue.expectedLoss.lossA.toFixed(3)}
+                          <StatError>± {results.revenue.mcse.lossA.toFixed(4)}</StatError>
+                        </LossValue>
+                        <LossLabel>Expected RPV Loss (Choose A)</LossLabel>
+                      </LossCard>
+                      <LossCard higher={results.revenue.expectedLoss.lossB > results.revenue.expectedLoss.lossA}>
+                        <LossValue higher={results.revenue.expectedLoss.lossB > results.revenue.expectedLoss.lossA}>
+                          {results.revenue.expectedLoss.lossB.toFixed(3)}
+                          <StatError>± {results.revenue.mcse.lossB.toFixed(4)}</StatError>
+                        </LossValue>
+                        <LossLabel>Expected RPV Loss (Choose B)</LossLabel>
+                      </LossCard>
+                    </ExpectedLossContainer>
+                  </>
+                )}
+
                 <MathematicalNotation>
                   <MathTitle>Mathematical Summary</MathTitle>
                   <MathContent>
-                    <strong>Prior Distribution:</strong> θ ~ Beta(α₀ = {results.prior.alpha}, β₀ = {results.prior.beta})<br/>
-                    <strong>Posterior A:</strong> θ_A|X_A ~ Beta(α = {results.posteriorA.alpha.toFixed(2)}, β = {results.posteriorA.beta.toFixed(2)})<br/>
-                    <strong>Posterior B:</strong> θ_B|X_B ~ Beta(α = {results.posteriorB.alpha.toFixed(2)}, β = {results.posteriorB.beta.toFixed(2)})<br/>
+                    <strong>Random Seed:</strong> {results.seed} (xoshiro128**)<br/>
+                    <strong>Monte Carlo:</strong>{' '}
+                    {results.precisionTarget
+                      ? `${results.draws.toLocaleString()} draws per variant, extended until the MCSE of probabilities and expected losses is at most ${(results.precisionTarget * 100).toFixed(2)}%`
+                      : `${results.draws.toLocaleString()} draws per variant`}
+                    ; ± values are one Monte Carlo standard error<br/>
+                    {results.covariateAdjustment && (
+                      <>
+                        <strong>CUPED Adjustment:</strong> θ = {results.covariateAdjustment.theta.toFixed(4)},
+                        ρ = {results.covariateAdjustment.correlation.toFixed(3)}, variance of the difference reduced by
+                        {' '}{(results.covariateAdjustment.varianceReduction * 100).toFixed(1)}%; posteriors use the effective adjusted sample<br/>
+                      </>
+                    )}
+                    {isCountResult ? (
+                      <>
+                        <strong>Likelihood:</strong> X ~ Poisson(λ · exposure)<br/>
+                        <strong>Prior Distribution:</strong> λ ~ Gamma(α₀ = {results.prior.shape}, β₀ = {results.prior.rate})<br/>
+                        <strong>Posterior A:</strong> λ_A|X_A ~ Gamma(α = {results.posteriorA.shape.toFixed(2)}, β = {results.posteriorA.rate.toFixed(2)})<br/>
+                        <strong>Posterior B:</strong> λ_B|X_B ~ Gamma(α = {results.posteriorB.shape.toFixed(2)}, β = {results.posteriorB.rate.toFixed(2)})<br/>
+                        <strong>Expected Values:</strong> E[λ_A] = {(results.posteriorA.shape / results.posteriorA.rate).toFixed(4)}, E[λ_B] = {(results.posteriorB.shape / results.posteriorB.rate).toFixed(4)}
+                      </>
+                    ) : (
+                      <>
+                    {results.priorMode === 'shared' && (
+                      <><strong>Prior Distribution:</strong> θ ~ Beta(α₀ = {results.prior.alpha}, β₀ = {results.prior.beta})<br/></>
+                    )}
+                    {results.priorMode === 'separate' && (
+                      <>
+                        <strong>Prior Distribution:</strong> θ_A ~ Beta(α₀ = {results.priors[0].alpha}, β₀ = {results.priors[0].beta}),
+                        θ_B ~ Beta(α₀ = {results.priors[1].alpha}, β₀ = {results.priors[1].beta}), independent<br/>
+                      </>
+                    )}
+                    {results.priorMode === 'joint' && (
+                      <>
+                        <strong>Prior Distribution:</strong> θ_A ~ Beta(α₀ = {results.jointPrior.control.alpha}, β₀ = {results.jointPrior.control.beta}),
+                        δ = logit θ_B − logit θ_A ~ Normal(0, σ = {results.jointPrior.effectScale.toFixed(4)})
+                        {' '}(95% prior mass on |lift| ≲ {(results.jointPrior.liftBound * 100).toFixed(0)}%)<br/>
+                        <strong>Posterior Effect:</strong> E[δ|X] = {results.effect.mean.toFixed(4)},
+                        odds ratio e^δ ∈ [{Math.exp(results.effect.credibleInterval.lower).toFixed(3)}, {Math.exp(results.effect.credibleInterval.upper).toFixed(3)}]
+                        {' '}({(intervalSettings.level * 100).toFixed(0)}%, grid posterior)<br/>
+                      </>
+                    )}
+                    <strong>Posterior A:</strong> θ_A|X ~ Beta(α = {results.posteriorA.alpha.toFixed(2)}, β = {results.posteriorA.beta.toFixed(2)}){results.priorMode === 'joint' && ' (moment-matched)'}<br/>
+                    <strong>Posterior B:</strong> θ_B|X ~ Beta(α = {results.posteriorB.alpha.toFixed(2)}, β = {results.posteriorB.beta.toFixed(2)}){results.priorMode === 'joint' && ' (moment-matched)'}<br/>
                     <strong>Expected Values:</strong> E[θ_A] = {(calculator.calculateExpectedValue(results.posteriorA) * 100).toFixed(2)}%, E[θ_B] = {(calculator.calculateExpectedValue(results.posteriorB) * 100).toFixed(2)}%<br/>
-                    <strong>Posterior Predictive (1000 trials):</strong> A ~ {(results.predictiveA.expectedSuccesses).toFixed(0)} ± {(Math.sqrt(results.predictiveA.variance)).toFixed(0)}, B ~ {(results.predictiveB.expectedSuccesses).toFixed(0)} ± {(Math.sqrt(results.predictiveB.variance)).toFixed(0)}
+                    <strong>Posterior Predictive (1000 trials):</strong> X ~ Beta-Binomial(1000, α, β), median
+                    {' '}A {results.predictiveA.median} [{results.predictiveA.interval.lower}, {results.predictiveA.interval.upper}],
+                    {' '}B {results.predictiveB.median} [{results.predictiveB.interval.lower}, {results.predictiveB.interval.upper}]
+                    {' '}({(intervalSettings.level * 100).toFixed(0)}% predictive intervals)
+                      </>
+                    )}
                   </MathContent>
                 </MathematicalNotation>
 
@@ -525,7 +1136,81 @@ export const BayesianABDashboard = () => {
               </ResultsContainer>
             )}
 
-            {results && (
+            {multiVariantResults && (
+              <ResultsContainer $stale={multiVariantTask.isComputing}>
+                <ComputingIndicator task={multiVariantTask} />
+                <h2 style={{ textAlign: 'center', marginBottom: '32px', color: '#2d3748' }}>
+                  Multi-Variant Analysis (A/B/n)
+                </h2>
+
+                <ResultsGrid>
+                  {multiVariantResults.arms.map((arm, index) => {
+                    const color = variantColors[index % variantColors.length];
+                    const comparison = multiVariantResults.comparisons.find(c => c.name === arm.name);
+                    // Count arms are in events per unit, conversion arms in percentage points
+                    const isCountArm = multiVariantResults.metricType === 'count';
+                    const formatArmValue = (value, digits) => isCountArm ? value.toFixed(digits + 2) : `${(value * 100).toFixed(digits)}%`;
+                    return (
+                      <StatCard key={arm.name} color={color}>
+                        <StatValue color={color}>
+                          {(arm.probabilityBest * 100).toFixed(1)}%
+                          <StatError>{formatPercentError(arm.mcse.probabilityBest)}</StatError>
+                        </StatValue>
+                        <StatLabel>P(Variant {arm.name} is Best)</StatLabel>
+                        <StatDescription>
+                          Expected loss if chosen: {formatArmValue(arm.expectedLoss, 3)} ± {formatArmValue(arm.mcse.expectedLoss, 4)}<br/>
+                          {intervalLabel}: {formatArmValue(arm.credibleInterval.lower, 1)} - {formatArmValue(arm.credibleInterval.upper, 1)}<br/>
+                          {comparison
+                            ? `P(${arm.name} > ${multiVariantResults.control.name}) = ${(comparison.probBeatsControl * 100).toFixed(1)}%, lift ${(comparison.relativeLift * 100).toFixed(1)}%`
+                            : 'Control'}
+                        </StatDescription>
+                      </StatCard>
+                    );
+                  })}
+                </ResultsGrid>
+
+                {renderSrmBanner(testSrm)}
+
+                {!isSrmBlocking(testSrm) && (
+                  <RecommendationBox recommendation={multiVariantWinner}>
+                    <RecommendationText>
+                      {multiVariantWinner === 'Inconclusive'
+                        ? 'No Clear Winner Yet'
+                        : `Leading Arm: Variant ${multiVariantResults.best.name}${multiVariantWinner === 'A' ? ' (control)' : ''}`}
+                    </RecommendationText>
+                    <RecommendationSubtext>
+                      Variant {multiVariantResults.best.name} is best with {(multiVariantResults.best.probabilityBest * 100).toFixed(1)}% probability
+                      (expected loss {(multiVariantResults.best.expectedLoss * 100).toFixed(3)}%)
+                    </RecommendationSubtext>
+                  </RecommendationBox>
+                )}
+              </ResultsContainer>
+            )}
+
+            {multiVariantResults && (
+              <>
+                <ProbabilityToBeBestChart arms={multiVariantResults.arms} />
+                <MultiVariantPosteriorChart
+                  arms={multiVariantResults.arms}
+                  metricType={multiVariantResults.metricType}
+                  calculator={calculator}
+                />
+              </>
+            )}
+
+            {isCountResult && (
+              <>
+                <ProbabilityGaugeChart probability={results.probBGreater} />
+                <CountPosteriorChart
+                  posteriorA={results.posteriorA}
+                  posteriorB={results.posteriorB}
+                  calculator={calculator}
+                />
+                <RelativeLiftChart lift={results.lift} />
+              </>
+            )}
+
+            {results && !isCountResult && (
               <>
                 <ProbabilityGaugeChart probability={results.probBGreater} />
                 <PosteriorDistributionChart 
@@ -537,12 +1222,12 @@ export const BayesianABDashboard = () => {
                   posteriorA={results.posteriorA} 
                   posteriorB={results.posteriorB} 
                   calculator={calculator} 
+                  method={intervalSettings.method}
+                  confidence={intervalSettings.level}
                 />
-                <MonteCarloChart 
-                  posteriorA={results.posteriorA} 
-                  posteriorB={results.posteriorB} 
-                  calculator={calculator} 
-                />
+                <MonteCarloChart histogram={results.differenceHistogram} seed={results.seed} />
+                <RelativeLiftChart lift={results.lift} />
+                {results.revenue && <RevenuePerVisitorChart revenue={results.revenue} />}
               </>
             )}
           </>
@@ -552,15 +1237,38 @@ export const BayesianABDashboard = () => {
           <DynamicTestScenarioGenerator 
             onScenarioSelect={setSelectedScenario}
             onDataGenerated={setGeneratedData}
+            seed={seed}
+            onSeedChange={setSeed}
           />
         )}
 
         {activeTab === 'calculator' && (
           <DynamicSampleSizeCalculator 
             onSampleSizeChange={setSampleSizeData}
+            seed={seed}
           />
         )}
 
+        {activeTab === 'segments' && (
+          <HierarchicalSegmentAnalysis
+            calculator={calculator}
+            prior={activePrior}
+            intervalSettings={intervalSettings}
+            seed={seed}
+          />
+        )}
+
+        {activeTab === 'bandit' && (
+          <BanditAllocation
+            prior={activePrior}
+            seed={seed}
+          />
+        )}
+
+        {activeTab === 'operating' && (
+          <OperatingCharacteristicsSimulator rules={stoppingRules} seed={seed} />
+        )}
+
         {activeTab === 'gallery' && (
           <StatisticalImagesGallery />
         )}
@@ -568,92 +1276,180 @@ export const BayesianABDashboard = () => {
         {activeTab === 'sequential' && (
           <>
             <SequentialTestInput onSequentialDataChange={setSequentialData} />
+            <StoppingRuleSettings rules={stoppingRules} onRulesChange={setStoppingRules} />
+
+            {sequentialErrors.length > 0 && (
+              <ResultsContainer>
+                <h3 style={{ color: '#dc2626', marginBottom: '12px' }}>Invalid Sequential Data</h3>
+                {sequentialErrors.map(error => (
+                  <div key={error} style={{ fontSize: '14px', color: '#b91c1c', marginBottom: '4px' }}>
+                    {error}
+                  </div>
+                ))}
+              </ResultsContainer>
+            )}
             
+            {!sequentialResults && <ComputingIndicator task={sequentialTask} label="Running sequential analysis" />}
+
             {sequentialResults && (
-              <ResultsContainer>
+              <ResultsContainer $stale={sequentialTask.isComputing}>
+                <ComputingIndicator task={sequentialTask} />
                 <h2 style={{ textAlign: 'center', marginBottom: '32px', color: '#2d3748' }}>
                   Sequential Testing Analysis
                 </h2>
                 
-                <div style={{ marginBottom: '24px' }}>
-                  <h3 style={{ color: '#2d3748', marginBottom: '16px' }}>Early Stopping Analysis</h3>
-                  {sequentialResults.map((result, index) => (
-                    <div key={index} style={{
-                      background: result.shouldStop ? '#fef2f2' : '#f0fdf4',
-                      border: `2px solid ${result.shouldStop ? '#fecaca' : '#bbf7d0'}`,
-                      borderRadius: '8px',
-                      padding: '16px',
-                      marginBottom: '12px'
-                    }}>
-                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
-                        <span style={{ fontWeight: '600', color: '#2d3748' }}>
-                          Step {result.step}
-                        </span>
-                        <span style={{ 
-                          fontWeight: '700', 
-                          color: result.shouldStop ? '#dc2626' : '#16a34a',
-                          fontSize: '18px'
-                        }}>
-                          {(result.probBGreater * 100).toFixed(1)}%
-                        </span>
-                      </div>
-                      <div style={{ fontSize: '14px', color: '#6b7280', marginTop: '8px' }}>
-                        Expected Loss A: {(result.expectedLoss.lossA * 100).toFixed(2)}% | 
-                        Expected Loss B: {(result.expectedLoss.lossB * 100).toFixed(2)}%
-                        {result.shouldStop && (
-                          <span style={{ color: '#dc2626', fontWeight: '600', marginLeft: '12px' }}>
-                            → STOP: Sufficient evidence reached
+                {renderSrmBanner(sequentialSrm)}
+
+                {!isSrmBlocking(sequentialSrm) && (
+                  <div style={{ marginBottom: '24px' }}>
+                    <h3 style={{ color: '#2d3748', marginBottom: '16px' }}>Early Stopping Analysis</h3>
+                    {sequentialResults.map((result, index) => (
+                      <div key={index} style={{
+                        background: result.shouldStop ? '#fef2f2' : '#f0fdf4',
+                        border: `2px solid ${result.shouldStop ? '#fecaca' : '#bbf7d0'}`,
+                        borderRadius: '8px',
+                        padding: '16px',
+                        marginBottom: '12px'
+                      }}>
+                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                          <span style={{ fontWeight: '600', color: '#2d3748' }}>
+                            Step {result.step}
+                            <span style={{ fontWeight: '400', color: '#6b7280', marginLeft: '12px', fontSize: '14px' }}>
+                              A {result.cumulativeA.successes}/{result.cumulativeA.trials} · B {result.cumulativeB.successes}/{result.cumulativeB.trials} cumulative
+                            </span>
+                          </span>
+                          <span style={{ 
+                            fontWeight: '700', 
+                            color: result.shouldStop ? '#dc2626' : '#16a34a',
+                            fontSize: '18px'
+                          }}>
+                            {(result.probBGreater * 100).toFixed(1)}%
                           </span>
-                        )}
+                        </div>
+                        <div style={{ fontSize: '14px', color: '#6b7280', marginTop: '8px' }}>
+                          Expected Loss A: {(result.expectedLoss.lossA * 100).toFixed(2)}% | 
+                          Expected Loss B: {(result.expectedLoss.lossB * 100).toFixed(2)}%
+                          {result.shouldStop && (
+                            <span style={{ color: '#dc2626', fontWeight: '600', marginLeft: '12px' }}>
+                              → STOP ({stoppingRuleLabels[result.decision.rule] || result.decision.rule})
+                            </span>
+                          )}
+                        </div>
+                        <div style={{ fontSize: '13px', color: result.shouldStop ? '#b91c1c' : '#4a5568', marginTop: '4px' }}>
+                          {result.decision.reason}
+                        </div>
                       </div>
-                    </div>
-                  ))}
-                </div>
+                    ))}
+                  </div>
+                )}
               </ResultsContainer>
             )}
+
+            {predictiveChecks && (
+              <>
+                <ResultsContainer>
+                  <h3 style={{ color: '#2d3748', marginBottom: '12px' }}>Posterior Predictive Checks</h3>
+                  <div style={{ fontSize: '14px', color: '#4a5568', lineHeight: 1.6 }}>
+                    Each day is held out and predicted from the other days under a constant conversion rate:
+                    x_t ~ Beta-Binomial(n_t, α₀ + x − x_t, β₀ + n − n_t − (x − x_t)).
+                    Days outside the {(intervalSettings.level * 100).toFixed(0)}% predictive interval, especially runs of them
+                    or more than chance allows, suggest tracking problems or a rate that changes over time.
+                  </div>
+                </ResultsContainer>
+                <PredictiveCheckChart
+                  check={predictiveChecks.variantA}
+                  label="Variant A"
+                  color="99, 102, 241"
+                  confidence={intervalSettings.level}
+                />
+                <PredictiveCheckChart
+                  check={predictiveChecks.variantB}
+                  label="Variant B"
+                  color="236, 72, 153"
+                  confidence={intervalSettings.level}
+                />
+              </>
+            )}
+
+            <TimeVaryingEffectAnalysis
+              calculator={calculator}
+              sequentialData={predictiveChecks ? debouncedSequentialData : null}
+              seed={seed}
+              confidence={intervalSettings.level}
+            />
           </>
         )}
 
         {activeTab === 'advanced' && (
-          <ResultsContainer>
-            <h2 style={{ textAlign: 'center', marginBottom: '32px', color: '#2d3748' }}>
-              Advanced Bayesian Analytics
-            </h2>
-            
-            <MathematicalNotation>
-              <MathTitle>Advanced Statistical Methods</MathTitle>
-              <MathContent>
-                <strong>Monte Carlo Integration:</strong> Used for calculating P(B > A) with 10,000 samples<br/>
-                <strong>Cheng's Algorithm:</strong> Efficient Beta distribution sampling for posterior simulation<br/>
-                <strong>Sequential Testing:</strong> Early stopping rules based on posterior probabilities<br/>
-                <strong>Expected Loss:</strong> Bayesian risk quantification for decision theory<br/>
-                <strong>Credible Intervals:</strong> Bayesian alternative to confidence intervals<br/>
-                <strong>Posterior Predictive:</strong> Future outcome prediction using current posterior<br/>
-                <strong>Sensitivity Analysis:</strong> Prior selection impact assessment<br/>
-                <strong>Bayes Factors:</strong> Model comparison using marginal likelihoods
-              </MathContent>
-            </MathematicalNotation>
-
-            <InterpretationContainer>
-              <InterpretationTitle>Methodological Advantages</InterpretationTitle>
-              <InterpretationText>
-                <strong>Probabilistic Interpretation:</strong> Direct probability statements about parameters, 
-                unlike frequentist confidence intervals that are not probability statements about the parameter.
-              </InterpretationText>
-              <InterpretationText>
-                <strong>Prior Knowledge Integration:</strong> Incorporates existing knowledge through prior distributions, 
-                allowing for more informed decision-making when historical data is available.
-              </InterpretationText>
-              <InterpretationText>
-                <strong>Sequential Analysis:</strong> Enables early stopping when sufficient evidence is accumulated, 
-                reducing the cost and time of experimentation while maintaining statistical rigor.
-              </InterpretationText>
-              <InterpretationText>
-                <strong>Decision-Theoretic Framework:</strong> Provides expected loss calculations that directly 
-                inform business decisions by quantifying the cost of making incorrect choices.
-              </InterpretationText>
-            </InterpretationContainer>
-          </ResultsContainer>
+          <>
+            {testData && testData.metricType !== 'count' ? (
+              <PriorSensitivityPanel
+                testData={testData}
+                currentResult={results}
+                intervalSettings={intervalSettings}
+                ropeWidth={ropeWidth}
+                seed={seed}
+                draws={monteCarloDraws}
+                precisionTarget={precisionTarget}
+                historyPrior={historyPrior}
+                recommend={recommend}
+              />
+            ) : (
+              <ResultsContainer>
+                <h3 style={{ color: '#2d3748', marginBottom: '8px' }}>Prior Sensitivity Analysis</h3>
+                <div style={{ fontSize: '14px', color: '#718096' }}>
+                  Enter conversion data on the Basic Analysis tab to see how the decision changes across priors.
+                </div>
+              </ResultsContainer>
+            )}
+
+            <SamplerBenchmark
+              posteriorA={results && results.metricType !== 'count' ? results.posteriorA : null}
+              posteriorB={results && results.metricType !== 'count' ? results.posteriorB : null}
+              seed={seed}
+            />
+
+            <ResultsContainer>
+              <h2 style={{ textAlign: 'center', marginBottom: '32px', color: '#2d3748' }}>
+                Advanced Bayesian Analytics
+              </h2>
+              
+              <MathematicalNotation>
+                <MathTitle>Advanced Statistical Methods</MathTitle>
+                <MathContent>
+                  <strong>Exact P(B > A):</strong> Closed-form summation over Beta functions, computed in log space<br/>
+                  <strong>Monte Carlo Integration:</strong> Used for expected loss with {monteCarloDraws.toLocaleString()} draws per variant, or adaptively until a target standard error is met; every estimate carries its MCSE<br/>
+                  <strong>Marsaglia–Tsang Sampling:</strong> Beta draws as X / (X + Y) from two Gamma draws, batched into Float64Array buffers<br/>
+                  <strong>Sequential Testing:</strong> Stop on a P(B > A) threshold or when min expected loss falls below ε, after a minimum sample and duration<br/>
+                  <strong>Expected Loss:</strong> Bayesian risk quantification for decision theory<br/>
+                  <strong>Credible Intervals:</strong> Bayesian alternative to confidence intervals<br/>
+                  <strong>Posterior Predictive:</strong> Future outcome prediction using current posterior<br/>
+                  <strong>Sensitivity Analysis:</strong> The comparison re-run across preset and grid priors, flagged when the decision flips<br/>
+                  <strong>Bayes Factors:</strong> BF₁₀ = p(X | θA ≠ θB) / p(X | θA = θB), or Savage–Dickey p(δ = 0) / p(δ = 0 | X)
+                </MathContent>
+              </MathematicalNotation>
+
+              <InterpretationContainer>
+                <InterpretationTitle>Methodological Advantages</InterpretationTitle>
+                <InterpretationText>
+                  <strong>Probabilistic Interpretation:</strong> Direct probability statements about parameters, 
+                  unlike frequentist confidence intervals that are not probability statements about the parameter.
+                </InterpretationText>
+                <InterpretationText>
+                  <strong>Prior Knowledge Integration:</strong> Incorporates existing knowledge through prior distributions, 
+                  allowing for more informed decision-making when historical data is available.
+                </InterpretationText>
+                <InterpretationText>
+                  <strong>Sequential Analysis:</strong> Enables early stopping when sufficient evidence is accumulated, 
+                  reducing the cost and time of experimentation while maintaining statistical rigor.
+                </InterpretationText>
+                <InterpretationText>
+                  <strong>Decision-Theoretic Framework:</strong> Provides expected loss calculations that directly 
+                  inform business decisions by quantifying the cost of making incorrect choices.
+                </InterpretationText>
+              </InterpretationContainer>
+            </ResultsContainer>
+          </>
         )}
       </ContentContainer>
       <Toaster 
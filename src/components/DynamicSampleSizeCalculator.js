@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
-import { FiUsers, FiClock, FiTrendingUp, FiTarget, FiBarChart2 } from 'react-icons/fi';
+import { FiUsers, FiClock, FiTrendingUp, FiTarget, FiBarChart2, FiShield, FiSliders } from 'react-icons/fi';
+import { useCalculatorTask } from '../hooks/useCalculatorTask';
+import { AssuranceCurveChart } from './Charts';
 
 const CalculatorContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -166,27 +168,75 @@ const RecommendationSubtext = styled.div`
   opacity: 0.9;
 `;
 
+const ModeToggle = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 8px;
+  margin-bottom: 24px;
+`;
+
+const ModeButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+`;
+
+const planningModes = {
+  frequentist: 'Frequentist Power',
+  bayesian: 'Bayesian Assurance'
+};
+
+const decisionRules = {
+  probability: { label: 'P(B > A) threshold', defaultThreshold: 0.95, step: 0.01 },
+  'expected-loss': { label: 'Expected loss threshold', defaultThreshold: 0.001, step: 0.0005 }
+};
+
+// Simulated experiments per sample size and number of sizes on the curve
+const assuranceSimulations = 400;
+const assuranceGridPoints = 16;
+
+/**
+ * Geometric grid of per-variant sample sizes rounded to two significant figures
+ * @param {number} max - Largest sample size on the grid
+ * @returns {Array} Increasing, de-duplicated sample sizes
+ */
+const buildSampleSizeGrid = (max) => {
+  const min = 100;
+  const ratio = Math.pow(max / min, 1 / (assuranceGridPoints - 1));
+  const sizes = Array.from({ length: assuranceGridPoints }, (_, i) => {
+    const raw = min * Math.pow(ratio, i);
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)) - 1);
+    return Math.round(raw / magnitude) * magnitude;
+  });
+  return [...new Set(sizes)];
+};
+
 /**
  * Dynamic Sample Size Calculator Component
  * Calculates required sample sizes based on user inputs with real-time updates
  */
-export const DynamicSampleSizeCalculator = ({ onSampleSizeChange }) => {
+export const DynamicSampleSizeCalculator = ({ onSampleSizeChange, seed }) => {
+  const [mode, setMode] = useState('frequentist');
   const [baselineRate, setBaselineRate] = useState(0.12);
   const [expectedLift, setExpectedLift] = useState(0.15);
   const [power, setPower] = useState(0.8);
   const [alpha, setAlpha] = useState(0.05);
   const [dailyTraffic, setDailyTraffic] = useState(1000);
   const [maxDuration, setMaxDuration] = useState(30);
+  const [priorStrength, setPriorStrength] = useState(1000);
+  const [liftUncertainty, setLiftUncertainty] = useState(0.1);
+  const [decisionRule, setDecisionRule] = useState({ type: 'probability', threshold: 0.95 });
+  const [targetAssurance, setTargetAssurance] = useState(0.8);
 
   const [results, setResults] = useState(null);
   const [hasUserEdited, setHasUserEdited] = useState(false);
 
-  useEffect(() => {
-    if (hasUserEdited) {
-      calculateSampleSize();
-    }
-  }, [baselineRate, expectedLift, power, alpha, dailyTraffic, maxDuration, hasUserEdited]);
-
   const inverseNormalCDF = (p) => {
     const a = [0, -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
     const b = [0, -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
@@ -233,6 +283,7 @@ export const DynamicSampleSizeCalculator = ({ onSampleSizeChange }) => {
     const actualSampleSize = Math.min(totalSampleSize, dailyTraffic * actualDuration);
     
     const results = {
+      mode: 'frequentist',
       perVariant: sampleSizePerVariant,
       total: totalSampleSize,
       actualTotal: actualSampleSize,
@@ -251,6 +302,68 @@ export const DynamicSampleSizeCalculator = ({ onSampleSizeChange }) => {
     onSampleSizeChange(results);
   };
 
+  // Half of the available traffic goes to each variant
+  const capacityPerVariant = Math.floor(dailyTraffic * maxDuration / 2);
+
+  // Thousands of simulated tests, each decided by the exact rule, so the curve runs in the worker
+  const assurancePayload = useMemo(() => {
+    if (!hasUserEdited || mode !== 'bayesian') return null;
+    if (!(baselineRate > 0 && baselineRate < 1) || !(dailyTraffic > 0) || !(maxDuration > 0)) return null;
+
+    return {
+      baselinePrior: {
+        alpha: baselineRate * priorStrength,
+        beta: (1 - baselineRate) * priorStrength
+      },
+      liftPrior: { mean: expectedLift, sd: Math.max(liftUncertainty, 1e-6) },
+      // Extend the curve past capacity so the required size is visible even when infeasible
+      sampleSizes: buildSampleSizeGrid(Math.max(1000, capacityPerVariant * 2)),
+      simulations: assuranceSimulations,
+      decisionRule,
+      seed
+    };
+  }, [hasUserEdited, mode, baselineRate, expectedLift, dailyTraffic, maxDuration, capacityPerVariant,
+    priorStrength, liftUncertainty, decisionRule, seed]);
+  const assuranceTask = useCalculatorTask('simulateAssurance', assurancePayload);
+
+  useEffect(() => {
+    if (!assurancePayload || !assuranceTask.data) return;
+    const curve = assuranceTask.data;
+
+    const required = curve.find(point => point.assurance >= targetAssurance) || null;
+    const perVariant = required ? required.sampleSize : null;
+    const expectedDuration = perVariant ? Math.ceil(perVariant * 2 / dailyTraffic) : null;
+    const atCapacity = curve.reduce((best, point) => (point.sampleSize <= capacityPerVariant ? point : best), curve[0]);
+
+    const results = {
+      mode: 'bayesian',
+      curve,
+      perVariant,
+      total: perVariant ? perVariant * 2 : null,
+      expectedDuration,
+      actualDuration: expectedDuration ? Math.min(expectedDuration, maxDuration) : maxDuration,
+      assuranceAtCapacity: atCapacity.assurance,
+      capacityPerVariant,
+      intervalWidth: required ? required.expectedIntervalWidth : atCapacity.expectedIntervalWidth,
+      baselineRate,
+      expectedRate: baselineRate * (1 + expectedLift),
+      expectedLift,
+      targetAssurance,
+      decisionRule,
+      dailyTraffic,
+      feasibility: perVariant && expectedDuration <= maxDuration ? 'feasible' : 'challenging'
+    };
+
+    setResults(results);
+    onSampleSizeChange(results);
+  }, [assurancePayload, assuranceTask.data, targetAssurance, capacityPerVariant, baselineRate, expectedLift,
+    dailyTraffic, maxDuration, decisionRule, onSampleSizeChange]);
+
+  useEffect(() => {
+    if (!hasUserEdited || mode === 'bayesian') return;
+    calculateSampleSize();
+  }, [mode, baselineRate, expectedLift, power, alpha, dailyTraffic, maxDuration, hasUserEdited]);
+
   const getFeasibilityColor = (feasibility) => {
     switch (feasibility) {
       case 'feasible': return '#10b981';
@@ -276,9 +389,23 @@ export const DynamicSampleSizeCalculator = ({ onSampleSizeChange }) => {
         Dynamic Sample Size Calculator
       </Title>
       <Subtitle>
-        Calculate the optimal sample size for your A/B test based on your expected conversion rates and traffic.
+        {mode === 'bayesian'
+          ? 'Simulate experiments from your beliefs about the baseline rate and lift to find how many visitors your decision rule needs to pick the right variant.'
+          : 'Calculate the optimal sample size for your A/B test based on your expected conversion rates and traffic.'}
       </Subtitle>
 
+      <ModeToggle>
+        {Object.entries(planningModes).map(([key, label]) => (
+          <ModeButton
+            key={key}
+            $active={mode === key}
+            onClick={() => { setMode(key); setResults(null); setHasUserEdited(true); }}
+          >
+            {label}
+          </ModeButton>
+        ))}
+      </ModeToggle>
+
       <InputGrid>
         <InputGroup color="#6366f1">
           <InputLabel color="#6366f1">
@@ -357,7 +484,153 @@ export const DynamicSampleSizeCalculator = ({ onSampleSizeChange }) => {
         </InputGroup>
       </InputGrid>
 
-      {hasUserEdited && results && (
+      {mode === 'bayesian' && (
+        <InputGrid>
+          <InputGroup color="#8b5cf6">
+            <InputLabel color="#8b5cf6">
+              <FiSliders />
+              Baseline Prior Strength
+            </InputLabel>
+            <Input
+              type="number"
+              min="2"
+              step="100"
+              value={priorStrength}
+              onChange={(e) => { setPriorStrength(Math.max(2, parseFloat(e.target.value) || 2)); setHasUserEdited(true); }}
+              color="#8b5cf6"
+            />
+            <div style={{ fontSize: '12px', color: '#718096', marginTop: '4px' }}>
+              θA ~ Beta({(baselineRate * priorStrength).toFixed(1)}, {((1 - baselineRate) * priorStrength).toFixed(1)})
+            </div>
+          </InputGroup>
+
+          <InputGroup color="#06b6d4">
+            <InputLabel color="#06b6d4">
+              <FiTrendingUp />
+              Lift Uncertainty (SD)
+            </InputLabel>
+            <Input
+              type="number"
+              min="0"
+              max="2.0"
+              step="0.01"
+              value={liftUncertainty}
+              onChange={(e) => { setLiftUncertainty(Math.max(0, parseFloat(e.target.value) || 0)); setHasUserEdited(true); }}
+              color="#06b6d4"
+            />
+            <div style={{ fontSize: '12px', color: '#718096', marginTop: '4px' }}>
+              Lift ~ Normal({(expectedLift * 100).toFixed(1)}%, {(liftUncertainty * 100).toFixed(1)}%)
+            </div>
+          </InputGroup>
+
+          <InputGroup color="#10b981">
+            <InputLabel color="#10b981">
+              <FiShield />
+              Decision Rule
+            </InputLabel>
+            <ModeToggle style={{ marginBottom: '8px' }}>
+              {Object.entries(decisionRules).map(([key, rule]) => (
+                <ModeButton
+                  key={key}
+                  $active={decisionRule.type === key}
+                  onClick={() => { setDecisionRule({ type: key, threshold: rule.defaultThreshold }); setHasUserEdited(true); }}
+                >
+                  {key === 'probability' ? 'P(B > A)' : 'Expected Loss'}
+                </ModeButton>
+              ))}
+            </ModeToggle>
+            <Input
+              type="number"
+              min="0"
+              max="1"
+              step={decisionRules[decisionRule.type].step}
+              value={decisionRule.threshold}
+              onChange={(e) => { setDecisionRule(prev => ({ ...prev, threshold: parseFloat(e.target.value) || 0 })); setHasUserEdited(true); }}
+              color="#10b981"
+            />
+            <div style={{ fontSize: '12px', color: '#718096', marginTop: '4px' }}>
+              {decisionRule.type === 'probability'
+                ? `Ship the winner once P(B > A) ≥ ${(decisionRule.threshold * 100).toFixed(0)}% or ≤ ${((1 - decisionRule.threshold) * 100).toFixed(0)}%`
+                : `Ship the variant whose expected loss is below ${(decisionRule.threshold * 100).toFixed(2)}pp`}
+            </div>
+          </InputGroup>
+
+          <InputGroup color="#f59e0b">
+            <InputLabel color="#f59e0b">
+              <FiTarget />
+              Target Assurance
+            </InputLabel>
+            <Input
+              type="number"
+              min="0.5"
+              max="0.99"
+              step="0.05"
+              value={targetAssurance}
+              onChange={(e) => { setTargetAssurance(parseFloat(e.target.value) || 0.8); setHasUserEdited(true); }}
+              color="#f59e0b"
+            />
+            <div style={{ fontSize: '12px', color: '#718096', marginTop: '4px' }}>
+              Probability of reaching the correct decision
+            </div>
+          </InputGroup>
+        </InputGrid>
+      )}
+
+      {mode === 'bayesian' && assuranceTask.isComputing && (
+        <div style={{ fontSize: '14px', color: '#718096', textAlign: 'center', margin: '16px 0' }}>
+          Simulating {assuranceSimulations} tests per sample size… {Math.round(assuranceTask.progress * 100)}%
+        </div>
+      )}
+
+      {hasUserEdited && results && results.mode === 'bayesian' && (
+        <>
+          <ResultsGrid>
+            <ResultCard color="#6366f1" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+              <ResultValue color="#6366f1">
+                {results.perVariant ? `≈ ${results.perVariant.toLocaleString()}` : '—'}
+              </ResultValue>
+              <ResultLabel>Per Variant for {(results.targetAssurance * 100).toFixed(0)}% Assurance</ResultLabel>
+            </ResultCard>
+
+            <ResultCard color="#10b981" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.1 }}>
+              <ResultValue color="#10b981">{(results.assuranceAtCapacity * 100).toFixed(1)}%</ResultValue>
+              <ResultLabel>Assurance within {maxDuration} days</ResultLabel>
+            </ResultCard>
+
+            <ResultCard color="#8b5cf6" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.2 }}>
+              <ResultValue color="#8b5cf6">±{(results.intervalWidth * 50).toFixed(2)}pp</ResultValue>
+              <ResultLabel>Expected 95% Interval on B − A</ResultLabel>
+            </ResultCard>
+
+            <ResultCard color="#f59e0b" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: 0.3 }}>
+              <ResultValue color="#f59e0b">{results.expectedDuration ?? '—'}</ResultValue>
+              <ResultLabel>Test Duration (days)</ResultLabel>
+            </ResultCard>
+          </ResultsGrid>
+
+          <AssuranceCurveChart curve={results.curve} targetAssurance={results.targetAssurance} />
+
+          <RecommendationBox
+            type={results.feasibility === 'feasible' ? 'success' : 'warning'}
+            initial={{ opacity: 0, scale: 0.9 }}
+            animate={{ opacity: 1, scale: 1 }}
+            transition={{ delay: 0.4 }}
+          >
+            <RecommendationText>
+              {results.perVariant
+                ? getFeasibilityMessage(results.feasibility, results.expectedDuration)
+                : `⚠️ ${(results.targetAssurance * 100).toFixed(0)}% assurance is not reached on the simulated range`}
+            </RecommendationText>
+            <RecommendationSubtext>
+              {results.feasibility === 'feasible'
+                ? `With ${results.total.toLocaleString()} total visitors the decision rule picks the better variant in ${(results.targetAssurance * 100).toFixed(0)}% of simulated experiments.`
+                : `Within ${maxDuration} days (${results.capacityPerVariant.toLocaleString()} per variant) the decision rule picks the better variant ${(results.assuranceAtCapacity * 100).toFixed(0)}% of the time.`}
+            </RecommendationSubtext>
+          </RecommendationBox>
+        </>
+      )}
+
+      {hasUserEdited && results && results.mode === 'frequentist' && (
         <>
           <ResultsGrid>
             <ResultCard color="#6366f1" initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import styled from 'styled-components';
 import { motion } from 'framer-motion';
 import { FiPlay, FiRefreshCw, FiTrendingUp, FiUsers, FiTarget, FiZap } from 'react-icons/fi';
+import { SeededRandom } from '../utils/random';
+import { dataSimulation } from '../services/dataSimulationService';
 
 const ScenarioContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -181,92 +183,34 @@ const ProgressFill = styled(motion.div)`
   border-radius: 3px;
 `;
 
+const scenarioDisplay = {
+  'E-commerce Checkout Button': { category: 'conversion', color: '#6366f1', icon: <FiTarget />, seasonality: 'moderate' },
+  'Email Subject Line': { category: 'engagement', color: '#ec4899', icon: <FiUsers />, seasonality: 'low' },
+  'Landing Page Headline': { category: 'conversion', color: '#10b981', icon: <FiTrendingUp />, seasonality: 'high' },
+  'Pricing Page Layout': { category: 'conversion', color: '#8b5cf6', icon: <FiTarget />, seasonality: 'high' },
+  'Mobile App Onboarding': { category: 'retention', color: '#f59e0b', icon: <FiZap />, seasonality: 'moderate' },
+  'Social Media Ad Creative': { category: 'engagement', color: '#06b6d4', icon: <FiUsers />, seasonality: 'moderate' }
+};
+
 /**
  * Dynamic Test Scenario Generator Component
  * Generates realistic A/B test scenarios with live data simulation
  */
-export const DynamicTestScenarioGenerator = ({ onScenarioSelect, onDataGenerated }) => {
+export const DynamicTestScenarioGenerator = ({ onScenarioSelect, onDataGenerated, seed, onSeedChange }) => {
   const [selectedScenario, setSelectedScenario] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [liveData, setLiveData] = useState(null);
   const [generationProgress, setGenerationProgress] = useState(0);
 
-  const scenarios = [
-    {
-      id: 1,
-      name: 'E-commerce Checkout',
-      description: 'Testing checkout button colors and placement',
-      category: 'conversion',
-      color: '#6366f1',
-      icon: <FiTarget />,
-      baselineRate: 0.12,
-      expectedLift: 0.15,
-      dailyTraffic: 2000,
-      seasonality: 'moderate'
-    },
-    {
-      id: 2,
-      name: 'Email Campaign',
-      description: 'A/B testing email subject lines and content',
-      category: 'engagement',
-      color: '#ec4899',
-      icon: <FiUsers />,
-      baselineRate: 0.25,
-      expectedLift: 0.08,
-      dailyTraffic: 5000,
-      seasonality: 'low'
-    },
-    {
-      id: 3,
-      name: 'Landing Page',
-      description: 'Testing headlines and call-to-action buttons',
-      category: 'conversion',
-      color: '#10b981',
-      icon: <FiTrendingUp />,
-      baselineRate: 0.08,
-      expectedLift: 0.20,
-      dailyTraffic: 1500,
-      seasonality: 'high'
-    },
-    {
-      id: 4,
-      name: 'Mobile App',
-      description: 'Testing onboarding flow and feature placement',
-      category: 'retention',
-      color: '#f59e0b',
-      icon: <FiZap />,
-      baselineRate: 0.35,
-      expectedLift: 0.10,
-      dailyTraffic: 3000,
-      seasonality: 'moderate'
-    },
-    {
-      id: 5,
-      name: 'Pricing Page',
-      description: 'Testing pricing display and subscription options',
-      category: 'conversion',
-      color: '#8b5cf6',
-      icon: <FiTarget />,
-      baselineRate: 0.15,
-      expectedLift: 0.12,
-      dailyTraffic: 800,
-      seasonality: 'high'
-    },
-    {
-      id: 6,
-      name: 'Social Media',
-      description: 'Testing ad creatives and targeting strategies',
-      category: 'engagement',
-      color: '#06b6d4',
-      icon: <FiUsers />,
-      baselineRate: 0.18,
-      expectedLift: 0.14,
-      dailyTraffic: 4000,
-      seasonality: 'moderate'
-    }
-  ];
+  // The simulation service owns the scenario data; the cards only add presentation
+  const scenarios = dataSimulation.scenarios.map((scenario, index) => ({
+    id: index + 1,
+    ...scenario,
+    ...scenarioDisplay[scenario.name]
+  }));
 
-  const generateLiveData = async (scenario) => {
+  const generateLiveData = async (scenario, dataSeed = seed) => {
+    const rng = new SeededRandom(dataSeed);
     setIsGenerating(true);
     setGenerationProgress(0);
     
@@ -285,20 +229,21 @@ export const DynamicTestScenarioGenerator = ({ onScenarioSelect, onDataGenerated
     // Generate realistic data based on scenario
     const data = {
       scenario: scenario.name,
-      currentDay: Math.floor(Math.random() * 30) + 1,
+      currentDay: Math.floor(rng.next() * 30) + 1,
       variantA: {
-        successes: Math.floor(scenario.baselineRate * scenario.dailyTraffic * 0.9 + Math.random() * scenario.dailyTraffic * 0.2),
+        successes: Math.floor(scenario.baselineRate * scenario.dailyTraffic * 0.9 + rng.next() * scenario.dailyTraffic * 0.2),
         trials: scenario.dailyTraffic,
-        rate: scenario.baselineRate * (0.9 + Math.random() * 0.2)
+        rate: scenario.baselineRate * (0.9 + rng.next() * 0.2)
       },
       variantB: {
-        successes: Math.floor(scenario.baselineRate * (1 + scenario.expectedLift) * scenario.dailyTraffic * 0.9 + Math.random() * scenario.dailyTraffic * 0.2),
+        successes: Math.floor(scenario.baselineRate * (1 + scenario.expectedLift) * scenario.dailyTraffic * 0.9 + rng.next() * scenario.dailyTraffic * 0.2),
         trials: scenario.dailyTraffic,
-        rate: scenario.baselineRate * (1 + scenario.expectedLift) * (0.9 + Math.random() * 0.2)
+        rate: scenario.baselineRate * (1 + scenario.expectedLift) * (0.9 + rng.next() * 0.2)
       },
-      confidence: 0.7 + Math.random() * 0.25,
+      confidence: 0.7 + rng.next() * 0.25,
       expectedDuration: Math.ceil(1000 / scenario.dailyTraffic),
-      seasonality: scenario.seasonality
+      seasonality: scenario.seasonality,
+      seed: dataSeed
     };
 
     setTimeout(() => {
@@ -315,7 +260,10 @@ export const DynamicTestScenarioGenerator = ({ onScenarioSelect, onDataGenerated
 
   const refreshData = () => {
     if (selectedScenario) {
-      generateLiveData(selectedScenario);
+      // A refresh draws a new seed; re-selecting a scenario replays the current one
+      const newSeed = SeededRandom.generateSeed();
+      onSeedChange(newSeed);
+      generateLiveData(selectedScenario, newSeed);
     }
   };
 
@@ -446,6 +394,11 @@ export const DynamicTestScenarioGenerator = ({ onScenarioSelect, onDataGenerated
               <DataValue color="#06b6d4">Day {liveData.currentDay}</DataValue>
               <DataLabel>Test Progress</DataLabel>
             </DataCard>
+
+            <DataCard color="#64748b">
+              <DataValue color="#64748b">{liveData.seed}</DataValue>
+              <DataLabel>Random Seed</DataLabel>
+            </DataCard>
           </DataGrid>
         </LiveDataContainer>
       )}
@@ -0,0 +1,274 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiLayers, FiPlus, FiTrash2 } from 'react-icons/fi';
+import { HierarchicalModel } from '../utils/hierarchicalModel';
+import { SegmentShrinkageChart } from './Charts';
+
+const SegmentContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-bottom: 16px;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 6px 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+const CellInput = styled.input`
+  width: 100%;
+  padding: 8px 10px;
+  border: 2px solid #e2e8f0;
+  border-radius: 6px;
+  font-size: 14px;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: ${props => props.color || '#667eea'};
+  }
+`;
+
+const IconButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+  padding: 8px 12px;
+  background: ${props => props.color || '#e53e3e'};
+  color: white;
+  border: none;
+  border-radius: 6px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const PopulationSummary = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 16px 20px;
+  margin: 24px 0 16px;
+  border-left: 4px solid #667eea;
+  font-family: 'Courier New', monospace;
+  font-size: 14px;
+  color: #4a5568;
+  line-height: 1.8;
+`;
+
+const minSegments = 2;
+const maxSegments = 12;
+
+const defaultSegments = [
+  { name: 'Desktop', successesA: 520, trialsA: 5000, successesB: 580, trialsB: 5000 },
+  { name: 'Mobile', successesA: 300, trialsA: 4000, successesB: 330, trialsB: 4000 },
+  { name: 'Tablet', successesA: 3, trialsA: 40, successesB: 9, trialsB: 40 },
+  { name: 'Other', successesA: 1, trialsA: 20, successesB: 0, trialsB: 20 }
+];
+
+const countFields = ['successesA', 'trialsA', 'successesB', 'trialsB'];
+
+/**
+ * Hierarchical Segment Analysis Component
+ * Partially pools segment-level conversion rates (device, country, traffic
+ * source, ...) toward a shared population and reports shrunken per-segment results
+ */
+export const HierarchicalSegmentAnalysis = ({ calculator, prior, intervalSettings, seed }) => {
+  const [segments, setSegments] = useState(defaultSegments);
+  const [model] = useState(() => new HierarchicalModel(calculator));
+
+  const updateSegment = (index, field, value) => {
+    setSegments(prev => prev.map((segment, i) => {
+      if (i !== index) return segment;
+      const parsed = countFields.includes(field) ? Math.max(0, parseInt(value) || 0) : value;
+      return { ...segment, [field]: parsed };
+    }));
+  };
+
+  const addSegment = () => {
+    setSegments(prev => [
+      ...prev,
+      { name: `Segment ${prev.length + 1}`, successesA: 0, trialsA: 100, successesB: 0, trialsB: 100 }
+    ]);
+  };
+
+  const removeSegment = (index) => {
+    setSegments(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const analysis = useMemo(() => {
+    // Successes cannot exceed trials; skip the fit until every row is valid
+    const valid = segments.every(segment =>
+      segment.successesA <= segment.trialsA && segment.successesB <= segment.trialsB
+    );
+    if (!valid) return null;
+
+    calculator.setSeed(seed);
+    return model.analyze(
+      segments.map(segment => ({
+        name: segment.name,
+        variantA: { successes: segment.successesA, trials: segment.trialsA },
+        variantB: { successes: segment.successesB, trials: segment.trialsB }
+      })),
+      { confidence: intervalSettings.level, method: intervalSettings.method, prior }
+    );
+  }, [segments, model, calculator, prior, intervalSettings, seed]);
+
+  const intervalLabel = `${(intervalSettings.level * 100).toFixed(0)}% ${intervalSettings.method === 'hdi' ? 'HDI' : 'CI'}`;
+
+  return (
+    <>
+      <SegmentContainer>
+        <Title>
+          <FiLayers />
+          Hierarchical Segment Analysis
+        </Title>
+        <Subtitle>
+          Segment rates for both variants are partially pooled toward a shared Beta population fitted by empirical Bayes,
+          so small segments borrow strength from the rest instead of producing extreme posteriors.
+        </Subtitle>
+
+        <Table>
+          <thead>
+            <tr>
+              <th>Segment</th>
+              <th>A Conversions</th>
+              <th>A Visitors</th>
+              <th>B Conversions</th>
+              <th>B Visitors</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {segments.map((segment, index) => (
+              <tr key={index}>
+                <td>
+                  <CellInput
+                    value={segment.name}
+                    onChange={(e) => updateSegment(index, 'name', e.target.value)}
+                  />
+                </td>
+                {countFields.map(field => (
+                  <td key={field}>
+                    <CellInput
+                      type="number"
+                      min="0"
+                      value={segment[field]}
+                      color={field.endsWith('A') ? '#6366f1' : '#ec4899'}
+                      onChange={(e) => updateSegment(index, field, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td>
+                  <IconButton
+                    onClick={() => removeSegment(index)}
+                    disabled={segments.length <= minSegments}
+                    title="Remove segment"
+                  >
+                    <FiTrash2 />
+                  </IconButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <IconButton color="#667eea" onClick={addSegment} disabled={segments.length >= maxSegments}>
+          <FiPlus />
+          Add Segment
+        </IconButton>
+
+        {!analysis && (
+          <Subtitle style={{ color: '#e53e3e', marginTop: '16px' }}>
+            Conversions cannot exceed visitors in any segment.
+          </Subtitle>
+        )}
+
+        {analysis && (
+          <>
+            <PopulationSummary>
+              <strong>Population:</strong> θ_s ~ Beta(α = {analysis.population.alpha.toFixed(2)}, β = {analysis.population.beta.toFixed(2)})<br/>
+              <strong>Mean rate:</strong> μ = {(analysis.population.mean * 100).toFixed(2)}%, concentration κ = {analysis.population.concentration.toFixed(1)}<br/>
+              <strong>Shrinkage:</strong> κ / (κ + n_s) of each segment's estimate comes from the population
+            </PopulationSummary>
+
+            <Table>
+              <thead>
+                <tr>
+                  <th>Segment</th>
+                  <th>Shrinkage A / B</th>
+                  <th>Unpooled P(B &gt; A)</th>
+                  <th>Pooled P(B &gt; A)</th>
+                  <th>Observed Lift</th>
+                  <th>Pooled Lift ({intervalLabel})</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.segments.map((segment, index) => (
+                  <tr key={index}>
+                    <td>{segment.name}</td>
+                    <td>
+                      {(segment.posteriorA.shrinkage * 100).toFixed(0)}% / {(segment.posteriorB.shrinkage * 100).toFixed(0)}%
+                    </td>
+                    <td>{(segment.unpooledProbBGreater * 100).toFixed(1)}%</td>
+                    <td><strong>{(segment.probBGreater * 100).toFixed(1)}%</strong></td>
+                    <td>{segment.rawLift === null ? '—' : `${(segment.rawLift * 100).toFixed(1)}%`}</td>
+                    <td>
+                      {(segment.lift.mean * 100).toFixed(1)}%
+                      {' '}({(segment.lift.credibleInterval.lower * 100).toFixed(1)}% to {(segment.lift.credibleInterval.upper * 100).toFixed(1)}%)
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          </>
+        )}
+      </SegmentContainer>
+
+      {analysis && <SegmentShrinkageChart segments={analysis.segments} />}
+    </>
+  );
+};
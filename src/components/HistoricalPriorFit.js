@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiDatabase, FiRefreshCw } from 'react-icons/fi';
+import { dbService } from '../services/databaseService';
+import { EmpiricalBayesPrior, priorFittingMethods } from '../utils/priorFitting';
+import { HistoricalPriorChart } from './Charts';
+
+const FitContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 16px;
+  margin-bottom: 16px;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-bottom: 6px;
+`;
+
+const Select = styled.select`
+  padding: 8px 12px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  color: #2d3748;
+  background: white;
+  min-width: 160px;
+
+  &:focus {
+    outline: none;
+    border-color: #06b6d4;
+  }
+`;
+
+const MethodButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #06b6d4;
+  background: ${props => props.$active ? '#06b6d4' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#06b6d4'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  margin-right: 8px;
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+`;
+
+const FitSummary = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 16px 20px;
+  border-left: 4px solid #06b6d4;
+  font-family: 'Courier New', monospace;
+  font-size: 14px;
+  color: #4a5568;
+  line-height: 1.8;
+`;
+
+// Keeps the preset readable in the prior pickers
+const roundParameter = (value) => Number(value.toPrecision(3));
+
+/**
+ * Historical Prior Fit Component
+ * Fits an empirical-Bayes Beta prior to the control arms of saved tests and
+ * offers it to the prior pickers as the "From History" preset
+ */
+export const HistoricalPriorFit = ({ calculator, onPriorFit, refreshKey }) => {
+  const [fitter] = useState(() => new EmpiricalBayesPrior(calculator));
+  const [allResults, setAllResults] = useState([]);
+  const [results, setResults] = useState([]);
+  const [tag, setTag] = useState('');
+  const [pageType, setPageType] = useState('');
+  const [method, setMethod] = useState('marginal-likelihood');
+  const [reloads, setReloads] = useState(0);
+
+  // Every saved result, for the filter options
+  useEffect(() => {
+    dbService.getTestResults().then(setAllResults);
+  }, [refreshKey, reloads]);
+
+  useEffect(() => {
+    dbService.getTestResults({ tag: tag || null, pageType: pageType || null }).then(setResults);
+  }, [tag, pageType, refreshKey, reloads]);
+
+  const tags = useMemo(
+    () => [...new Set(allResults.flatMap(result => result.tags || []))].sort(),
+    [allResults]
+  );
+  const pageTypes = useMemo(
+    () => [...new Set(allResults.map(result => result.pageType).filter(Boolean))].sort(),
+    [allResults]
+  );
+
+  const arms = useMemo(() => fitter.extractControlArms(results), [fitter, results]);
+  const fit = useMemo(() => fitter.fit(arms, method), [fitter, arms, method]);
+
+  useEffect(() => {
+    onPriorFit(fit
+      ? { alpha: roundParameter(fit.alpha), beta: roundParameter(fit.beta), count: fit.count }
+      : null);
+  }, [fit, onPriorFit]);
+
+  const rates = useMemo(() => arms.map(arm => arm.rate), [arms]);
+
+  return (
+    <>
+      <FitContainer>
+        <Title>
+          <FiDatabase />
+          Prior From Experiment History
+        </Title>
+        <Subtitle>
+          Fits a Beta prior to the control arms of saved conversion tests and adds it to the prior presets as
+          "From History". Tag results or set a page type when saving to fit priors for comparable tests only.
+        </Subtitle>
+
+        <ControlRow>
+          <div>
+            <FieldLabel>Tag</FieldLabel>
+            <Select value={tag} onChange={(e) => setTag(e.target.value)}>
+              <option value="">All tags</option>
+              {tags.map(value => <option key={value} value={value}>{value}</option>)}
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Page Type</FieldLabel>
+            <Select value={pageType} onChange={(e) => setPageType(e.target.value)}>
+              <option value="">All page types</option>
+              {pageTypes.map(value => <option key={value} value={value}>{value}</option>)}
+            </Select>
+          </div>
+          <div>
+            <FieldLabel>Fitting Method</FieldLabel>
+            {Object.entries(priorFittingMethods).map(([key, label]) => (
+              <MethodButton key={key} $active={method === key} onClick={() => setMethod(key)}>
+                {label}
+              </MethodButton>
+            ))}
+            <MethodButton onClick={() => setReloads(count => count + 1)} title="Reload saved results">
+              <FiRefreshCw />
+            </MethodButton>
+          </div>
+        </ControlRow>
+
+        {fit ? (
+          <FitSummary>
+            <strong>History:</strong> {fit.count} control arms, mean rate {(fit.mean * 100).toFixed(2)}%<br/>
+            <strong>Fitted prior:</strong> θ ~ Beta(α = {fit.alpha.toFixed(2)}, β = {fit.beta.toFixed(2)})<br/>
+            <strong>Prior weight:</strong> α + β = {fit.concentration.toFixed(1)} pseudo-visitors
+            {fit.concentration >= fitter.maxConcentration && ' (capped: no spread detected between past tests)'}
+          </FitSummary>
+        ) : (
+          <Subtitle style={{ marginBottom: 0 }}>
+            {arms.length === 0 ? 'No' : 'Only one'} saved conversion test matches these filters.
+            Save at least two to fit a prior.
+          </Subtitle>
+        )}
+      </FitContainer>
+
+      {fit && <HistoricalPriorChart rates={rates} prior={fit} calculator={calculator} />}
+    </>
+  );
+};
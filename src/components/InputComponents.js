@@ -1,5 +1,6 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
+import { JointPriorModel } from '../utils/jointPriorModel';
 
 const InputContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -86,6 +87,12 @@ const Input = styled.input`
   }
 `;
 
+const FieldError = styled.p`
+  font-size: 13px;
+  color: #e53e3e;
+  margin-top: 6px;
+`;
+
 const StatsContainer = styled.div`
   display: grid;
   grid-template-columns: 1fr 1fr;
@@ -154,6 +161,11 @@ const PriorPreset = styled.button`
     background: #667eea;
     color: white;
   }
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
 `;
 
 const MathNotation = styled.div`
@@ -167,39 +179,257 @@ const MathNotation = styled.div`
   border-left: 4px solid #667eea;
 `;
 
+const variantColors = ['#6366f1', '#ec4899', '#10b981', '#f59e0b', '#8b5cf6', '#06b6d4'];
+const maxVariants = variantColors.length;
+
+const variantName = (index) => String.fromCharCode(65 + index);
+
+const basePriorPresets = {
+  uniform: { alpha: 1, beta: 1, name: 'Uniform (Non-informative)' },
+  jeffreys: { alpha: 0.5, beta: 0.5, name: 'Jeffreys Prior' },
+  conservative: { alpha: 2, beta: 2, name: 'Conservative' },
+  optimistic: { alpha: 2, beta: 8, name: 'Optimistic (20% baseline)' },
+  pessimistic: { alpha: 1, beta: 9, name: 'Pessimistic (10% baseline)' }
+};
+
+const metricTypes = {
+  conversion: {
+    name: 'Conversion Rate',
+    description: 'Binary outcome per visitor',
+    successesLabel: 'Successes (Conversions)',
+    trialsLabel: 'Total Trials'
+  },
+  revenue: {
+    name: 'Revenue per Visitor',
+    description: 'Conversions plus order values',
+    successesLabel: 'Orders (Conversions)',
+    trialsLabel: 'Visitors'
+  },
+  count: {
+    name: 'Count per Visitor',
+    description: 'Events per visitor (e.g. page views)',
+    successesLabel: 'Total Events',
+    trialsLabel: 'Visitors (Exposure)'
+  }
+};
+
+const priorModes = {
+  shared: {
+    name: 'Shared Prior',
+    description: 'One Beta prior for every variant'
+  },
+  separate: {
+    name: 'Separate Priors',
+    description: 'A Beta prior per variant'
+  },
+  joint: {
+    name: 'Skeptical Lift Prior',
+    description: 'Control rate plus a lift centred at zero (A/B only)'
+  }
+};
+
+const sequentialDataModes = {
+  cumulative: {
+    name: 'Cumulative Totals',
+    description: 'Each row holds running totals to date, which can never decrease',
+    successes: 'Total successes',
+    trials: 'Total trials'
+  },
+  increments: {
+    name: 'Per-Period Increments',
+    description: 'Each row holds only that period\'s data; posteriors accumulate across steps',
+    successes: 'Period successes',
+    trials: 'Period trials'
+  }
+};
+
+const MetricGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(3, 1fr);
+  gap: 12px;
+  margin-bottom: 24px;
+  
+  @media (max-width: 768px) {
+    grid-template-columns: 1fr;
+  }
+`;
+
+const VariantHeader = styled.div`
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  margin-bottom: 16px;
+  
+  h4 {
+    margin-bottom: 0;
+  }
+`;
+
+const VariantButton = styled.button`
+  padding: 8px 12px;
+  background: ${props => props.color || '#e53e3e'};
+  color: white;
+  border: none;
+  border-radius: ${props => props.$wide ? '8px' : '4px'};
+  cursor: pointer;
+  width: ${props => props.$wide ? '100%' : 'auto'};
+  font-weight: ${props => props.$wide ? '600' : '400'};
+  margin-bottom: ${props => props.$wide ? '24px' : '0'};
+  
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
 /**
- * Advanced Input Component for A/B Test Data
- * Features mathematical notation, real-time calculations, and prior selection
+ * Advanced Input Component for A/B/n Test Data
+ * Features mathematical notation, real-time calculations, and prior selection.
+ * The first variant is the control; further treatment arms can be added or removed.
  */
-export const ABTestInput = ({ onDataChange, calculator }) => {
-  const [variantA, setVariantA] = useState({ successes: 0, trials: 0 });
-  const [variantB, setVariantB] = useState({ successes: 0, trials: 0 });
+export const ABTestInput = ({ onDataChange, calculator, historyPrior = null, restoredResult = null }) => {
+  const [variants, setVariants] = useState([
+    { name: 'A', successes: 0, trials: 0, averageOrderValue: 0, orderValueStdDev: 0, allocation: 1 },
+    { name: 'B', successes: 0, trials: 0, averageOrderValue: 0, orderValueStdDev: 0, allocation: 1 }
+  ]);
   const [prior, setPrior] = useState({ alpha: 1, beta: 1 });
   const [priorPreset, setPriorPreset] = useState('uniform');
+  const [priorMode, setPriorMode] = useState('shared');
+  const [variantPriors, setVariantPriors] = useState({});
+  const [liftBound, setLiftBound] = useState(20);
+  const [metricType, setMetricType] = useState('conversion');
+  const [jointModel] = useState(() => new JointPriorModel(calculator));
+  const trackRevenue = metricType === 'revenue';
+  const isCount = metricType === 'count';
+  const metric = metricTypes[metricType];
+  // The joint prior is defined on a single treatment effect, so it needs exactly two arms
+  const activePriorMode = priorMode === 'joint' && variants.length !== 2 ? 'shared' : priorMode;
 
   const priorPresets = {
-    uniform: { alpha: 1, beta: 1, name: 'Uniform (Non-informative)' },
-    jeffreys: { alpha: 0.5, beta: 0.5, name: 'Jeffreys Prior' },
-    conservative: { alpha: 2, beta: 2, name: 'Conservative' },
-    optimistic: { alpha: 2, beta: 8, name: 'Optimistic (20% baseline)' },
-    pessimistic: { alpha: 1, beta: 9, name: 'Pessimistic (10% baseline)' }
+    ...basePriorPresets,
+    ...(historyPrior && { history: { alpha: historyPrior.alpha, beta: historyPrior.beta, name: 'From History' } })
+  };
+
+  // Follow a refit of the historical prior while it is selected
+  useEffect(() => {
+    if (priorPreset !== 'history') return;
+    if (historyPrior) {
+      setPrior({ alpha: historyPrior.alpha, beta: historyPrior.beta });
+    } else {
+      setPrior({ alpha: 1, beta: 1 });
+      setPriorPreset('uniform');
+    }
+  }, [historyPrior, priorPreset]);
+
+  // Load the data and prior of a saved result
+  useEffect(() => {
+    if (!restoredResult) return;
+    const { metricType: savedMetric = 'conversion', priorMode: savedMode = 'shared', allocation = [] } = restoredResult;
+    const isSavedCount = savedMetric === 'count';
+    // Results saved before every arm was stored only have A and B
+    const savedVariants = restoredResult.variants || [
+      { name: 'A', ...restoredResult.variantA },
+      { name: 'B', ...restoredResult.variantB }
+    ];
+    const restored = savedVariants.map((saved, i) => ({
+      name: saved.name,
+      successes: isSavedCount ? saved.events : saved.successes,
+      trials: isSavedCount ? saved.exposure : saved.trials,
+      averageOrderValue: saved.averageOrderValue || 0,
+      orderValueStdDev: saved.orderValueStdDev || 0,
+      allocation: allocation[i] ?? 1
+    }));
+
+    setMetricType(savedMetric);
+    setVariants(restored);
+    setPriorMode(savedMode);
+    setVariantPriors(restoredResult.priors
+      ? Object.fromEntries(restored.map((variant, i) => [variant.name, restoredResult.priors[i]]))
+      : {});
+    if (restoredResult.jointPrior) setLiftBound(restoredResult.jointPrior.liftBound * 100);
+
+    // Count results use the calculator's fixed Gamma prior
+    if (isSavedCount) return;
+    const { alpha, beta } = restoredResult.jointPrior ? restoredResult.jointPrior.control : restoredResult.prior;
+    const preset = Object.keys(basePriorPresets).find(key =>
+      basePriorPresets[key].alpha === alpha && basePriorPresets[key].beta === beta
+    );
+    setPrior({ alpha, beta });
+    setPriorPreset(preset || null);
+  }, [restoredResult]);
+
+  // Per-variant priors fall back to the selected preset until both parameters are valid
+  const priors = useMemo(() => variants.map(variant => {
+    const custom = variantPriors[variant.name];
+    return activePriorMode === 'separate' && custom && custom.alpha > 0 && custom.beta > 0 ? custom : prior;
+  }), [variants, variantPriors, activePriorMode, prior]);
+
+  const jointPrior = useMemo(() => (
+    activePriorMode === 'joint' && liftBound > 0
+      ? { control: prior, liftBound: liftBound / 100, effectScale: jointModel.effectScaleFromLift(liftBound / 100) }
+      : null
+  ), [activePriorMode, liftBound, prior, jointModel]);
+
+  // Marginal posteriors under the joint prior, moment-matched to Betas for display and charts;
+  // the full analysis with its draws runs in the dashboard's worker task
+  const jointPosteriors = useMemo(() => {
+    if (!jointPrior || isCount || !variants.every(variant => variant.trials > 0)) return null;
+    const { posteriorA, posteriorB } = jointModel.marginalPosteriors(variants[0], variants[1], jointPrior);
+    return [posteriorA, posteriorB];
+  }, [jointPrior, isCount, variants, jointModel]);
+
+  const posteriorFor = (index) => {
+    if (jointPosteriors) return jointPosteriors[index];
+    const { successes, trials } = variants[index];
+    return calculator.calculatePosterior(successes, trials, priors[index].alpha, priors[index].beta);
   };
 
   useEffect(() => {
     calculator.alpha = prior.alpha;
     calculator.beta = prior.beta;
     
-    if (variantA.trials > 0 && variantB.trials > 0) {
-      const posteriorA = calculator.calculatePosterior(variantA.successes, variantA.trials);
-      const posteriorB = calculator.calculatePosterior(variantB.successes, variantB.trials);
+    if (variants.every(variant => variant.trials > 0)) {
+      if (isCount) {
+        const countVariants = variants.map(({ name, successes, trials }) => ({
+          name,
+          events: successes,
+          exposure: trials,
+          posterior: calculator.calculateCountPosterior(successes, trials)
+        }));
+        
+        onDataChange({
+          metricType,
+          variantA: countVariants[0],
+          variantB: countVariants[1],
+          variants: countVariants,
+          allocation: variants.map(variant => variant.allocation),
+          prior: { shape: calculator.countShape, rate: calculator.countRate }
+        });
+        return;
+      }
+      
+      const withPosteriors = variants.map(({ averageOrderValue, orderValueStdDev, allocation, ...variant }, i) => ({
+        ...variant,
+        posterior: jointPosteriors
+          ? jointPosteriors[i]
+          : calculator.calculatePosterior(variant.successes, variant.trials, priors[i].alpha, priors[i].beta),
+        ...(trackRevenue && { revenue: { averageOrderValue, orderValueStdDev } })
+      }));
       
       onDataChange({
-        variantA: { ...variantA, posterior: posteriorA },
-        variantB: { ...variantB, posterior: posteriorB },
-        prior
+        metricType,
+        variantA: withPosteriors[0],
+        variantB: withPosteriors[1],
+        variants: withPosteriors,
+        allocation: variants.map(variant => variant.allocation),
+        // The control's prior; the shared rate under "no difference" also uses it
+        prior: priors[0],
+        priorMode: activePriorMode,
+        priors,
+        jointPrior
       });
     }
-  }, [variantA, variantB, prior, calculator, onDataChange]);
+  }, [variants, prior, priors, activePriorMode, jointPrior, jointPosteriors, metricType, trackRevenue, isCount, calculator, onDataChange]);
 
   const handlePresetChange = (presetName) => {
     const preset = priorPresets[presetName];
@@ -207,130 +437,330 @@ export const ABTestInput = ({ onDataChange, calculator }) => {
     setPriorPreset(presetName);
   };
 
+  const updateVariant = (index, field, value) => {
+    setVariants(prev => prev.map((variant, i) =>
+      i === index ? { ...variant, [field]: parseInt(value) || 0 } : variant
+    ));
+  };
+
+  const updateVariantPrior = (variant, field, value) => {
+    setVariantPriors(prev => ({
+      ...prev,
+      [variant.name]: { ...prior, ...prev[variant.name], [field]: parseFloat(value) || 0 }
+    }));
+  };
+
+  const updateAllocation = (index, value) => {
+    setVariants(prev => prev.map((variant, i) =>
+      i === index ? { ...variant, allocation: Math.max(0, parseFloat(value) || 0) } : variant
+    ));
+  };
+
+  // A zero weight would make the SRM check expect no traffic at all, so it is
+  // flagged here and the check waits until every weight is positive
+  const allocationValid = variants.every(variant => variant.allocation > 0);
+  const totalAllocation = variants.reduce((sum, variant) => sum + variant.allocation, 0);
+
+  const updateRevenueField = (index, field, value) => {
+    setVariants(prev => prev.map((variant, i) =>
+      i === index ? { ...variant, [field]: Math.max(0, parseFloat(value) || 0) } : variant
+    ));
+  };
+
+  const addVariant = () => {
+    setVariants(prev => prev.length >= maxVariants
+      ? prev
+      : [...prev, { name: variantName(prev.length), successes: 0, trials: 0, averageOrderValue: 0, orderValueStdDev: 0, allocation: 1 }]);
+  };
+
+  const removeVariant = (index) => {
+    // Re-letter the remaining arms so names stay contiguous (A, B, C, ...)
+    setVariants(prev => prev
+      .filter((_, i) => i !== index)
+      .map((variant, i) => ({ ...variant, name: variantName(i) })));
+  };
+
   const calculateConversionRate = (successes, trials) => {
-    return trials > 0 ? (successes / trials * 100).toFixed(2) : '0.00';
+    if (isCount) {
+      return trials > 0 ? (successes / trials).toFixed(3) : '0.000';
+    }
+    return trials > 0 ? (successes / trials * 100).toFixed(2) + '%' : '0.00%';
   };
 
-  const calculatePosteriorStats = (successes, trials) => {
-    if (trials === 0) return { mean: 0, variance: 0 };
+  const calculatePosteriorStats = (index) => {
+    const { successes, trials } = variants[index];
+    if (trials === 0) return { mean: isCount ? '0.000' : '0.00%', variance: 0 };
     
-    const posterior = calculator.calculatePosterior(successes, trials);
+    if (isCount) {
+      const { shape, rate } = calculator.calculateCountPosterior(successes, trials);
+      return { mean: (shape / rate).toFixed(3), variance: (shape / (rate * rate)).toFixed(6) };
+    }
+    
+    const posterior = posteriorFor(index);
     const mean = calculator.calculateExpectedValue(posterior);
     const variance = calculator.calculateVariance(posterior);
     
-    return { mean: (mean * 100).toFixed(2), variance: (variance * 10000).toFixed(4) };
+    return { mean: (mean * 100).toFixed(2) + '%', variance: (variance * 10000).toFixed(4) };
+  };
+
+  const variantTitle = (index) => {
+    if (index === 0) return 'Variant A (Control)';
+    if (index === 1 && variants.length === 2) return 'Variant B (Treatment)';
+    return `Variant ${variants[index].name} (Treatment)`;
   };
 
   return (
     <InputContainer>
       <SectionTitle>Bayesian A/B Test Configuration</SectionTitle>
       <SectionSubtitle>
-        Input conversion data for both variants. The system will calculate posterior distributions using Bayesian inference.
+        Input {metric.name.toLowerCase()} data for each variant. The system will calculate posterior distributions using Bayesian inference.
       </SectionSubtitle>
 
+      <MetricGrid>
+        {Object.entries(metricTypes).map(([key, type]) => (
+          <PriorPreset
+            key={key}
+            className={metricType === key ? 'active' : ''}
+            onClick={() => setMetricType(key)}
+          >
+            {type.name}
+            <br />
+            <small>{type.description}</small>
+          </PriorPreset>
+        ))}
+      </MetricGrid>
+
       <InputGrid>
-        <VariantContainer color="#6366f1">
-          <VariantTitle color="#6366f1">Variant A (Control)</VariantTitle>
-          
-          <InputGroup>
-            <Label>Successes (Conversions)</Label>
-            <Input
-              type="number"
-              min="0"
-              value={variantA.successes}
-              onChange={(e) => setVariantA(prev => ({ ...prev, successes: parseInt(e.target.value) || 0 }))}
-              color="#6366f1"
-            />
-          </InputGroup>
-          
-          <InputGroup>
-            <Label>Total Trials</Label>
-            <Input
-              type="number"
-              min="0"
-              value={variantA.trials}
-              onChange={(e) => setVariantA(prev => ({ ...prev, trials: parseInt(e.target.value) || 0 }))}
-              color="#6366f1"
-            />
-          </InputGroup>
-          
-          <StatsContainer>
-            <StatBox>
-              <StatValue color="#6366f1">{calculateConversionRate(variantA.successes, variantA.trials)}%</StatValue>
-              <StatLabel>Observed Rate</StatLabel>
-            </StatBox>
-            <StatBox>
-              <StatValue color="#6366f1">{calculatePosteriorStats(variantA.successes, variantA.trials).mean}%</StatValue>
-              <StatLabel>Posterior Mean</StatLabel>
-            </StatBox>
-          </StatsContainer>
-        </VariantContainer>
-
-        <VariantContainer color="#ec4899">
-          <VariantTitle color="#ec4899">Variant B (Treatment)</VariantTitle>
-          
-          <InputGroup>
-            <Label>Successes (Conversions)</Label>
-            <Input
-              type="number"
-              min="0"
-              value={variantB.successes}
-              onChange={(e) => setVariantB(prev => ({ ...prev, successes: parseInt(e.target.value) || 0 }))}
-              color="#ec4899"
-            />
-          </InputGroup>
-          
-          <InputGroup>
-            <Label>Total Trials</Label>
-            <Input
-              type="number"
-              min="0"
-              value={variantB.trials}
-              onChange={(e) => setVariantB(prev => ({ ...prev, trials: parseInt(e.target.value) || 0 }))}
-              color="#ec4899"
-            />
-          </InputGroup>
-          
-          <StatsContainer>
-            <StatBox>
-              <StatValue color="#ec4899">{calculateConversionRate(variantB.successes, variantB.trials)}%</StatValue>
-              <StatLabel>Observed Rate</StatLabel>
-            </StatBox>
-            <StatBox>
-              <StatValue color="#ec4899">{calculatePosteriorStats(variantB.successes, variantB.trials).mean}%</StatValue>
-              <StatLabel>Posterior Mean</StatLabel>
-            </StatBox>
-          </StatsContainer>
-        </VariantContainer>
+        {variants.map((variant, index) => {
+          const color = variantColors[index];
+          return (
+            <VariantContainer key={variant.name} color={color}>
+              <VariantHeader>
+                <VariantTitle color={color}>{variantTitle(index)}</VariantTitle>
+                {index >= 2 && (
+                  <VariantButton onClick={() => removeVariant(index)}>
+                    Remove
+                  </VariantButton>
+                )}
+              </VariantHeader>
+              
+              <InputGroup>
+                <Label>{metric.successesLabel}</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={variant.successes}
+                  onChange={(e) => updateVariant(index, 'successes', e.target.value)}
+                  color={color}
+                />
+              </InputGroup>
+              
+              <InputGroup>
+                <Label>{metric.trialsLabel}</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  value={variant.trials}
+                  onChange={(e) => updateVariant(index, 'trials', e.target.value)}
+                  color={color}
+                />
+              </InputGroup>
+
+              <InputGroup>
+                <Label>
+                  Intended Allocation Weight
+                  {allocationValid && ` (${(variant.allocation / totalAllocation * 100).toFixed(1)}% of traffic)`}
+                </Label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={variant.allocation}
+                  onChange={(e) => updateAllocation(index, e.target.value)}
+                  color={color}
+                />
+                {!(variant.allocation > 0) && (
+                  <FieldError>Weight must be above zero; the sample ratio check is paused until it is.</FieldError>
+                )}
+              </InputGroup>
+
+              {trackRevenue && (
+                <>
+                  <InputGroup>
+                    <Label>Average Order Value</Label>
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={variant.averageOrderValue}
+                      onChange={(e) => updateRevenueField(index, 'averageOrderValue', e.target.value)}
+                      color={color}
+                    />
+                  </InputGroup>
+                  
+                  <InputGroup>
+                    <Label>Order Value Std Dev</Label>
+                    <Input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={variant.orderValueStdDev}
+                      onChange={(e) => updateRevenueField(index, 'orderValueStdDev', e.target.value)}
+                      color={color}
+                    />
+                  </InputGroup>
+                </>
+              )}
+
+              {!isCount && activePriorMode === 'separate' && (
+                <StatsContainer>
+                  {['alpha', 'beta'].map(field => (
+                    <InputGroup key={field} style={{ marginBottom: 0 }}>
+                      <Label>Prior {field === 'alpha' ? 'α' : 'β'}</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        step="0.1"
+                        value={(variantPriors[variant.name] || prior)[field]}
+                        onChange={(e) => updateVariantPrior(variant, field, e.target.value)}
+                        color={color}
+                      />
+                    </InputGroup>
+                  ))}
+                </StatsContainer>
+              )}
+              
+              <StatsContainer>
+                <StatBox>
+                  <StatValue color={color}>{calculateConversionRate(variant.successes, variant.trials)}</StatValue>
+                  <StatLabel>Observed Rate</StatLabel>
+                </StatBox>
+                <StatBox>
+                  <StatValue color={color}>{calculatePosteriorStats(index).mean}</StatValue>
+                  <StatLabel>Posterior Mean</StatLabel>
+                </StatBox>
+              </StatsContainer>
+            </VariantContainer>
+          );
+        })}
       </InputGrid>
 
-      <PriorContainer>
-        <PriorTitle>Prior Distribution Selection</PriorTitle>
-        <PriorGrid>
-          {Object.entries(priorPresets).map(([key, preset]) => (
-            <PriorPreset
-              key={key}
-              className={priorPreset === key ? 'active' : ''}
-              onClick={() => handlePresetChange(key)}
-            >
-              {preset.name}
-              <br />
-              <small>Beta({preset.alpha}, {preset.beta})</small>
-            </PriorPreset>
-          ))}
-        </PriorGrid>
-        
-        <MathNotation>
-          <strong>Mathematical Foundation:</strong><br />
-          Prior: θ ~ Beta(α₀ = {prior.alpha}, β₀ = {prior.beta})<br />
-          Likelihood: X|θ ~ Binomial(n, θ)<br />
-          Posterior: θ|X ~ Beta(α₀ + x, β₀ + n - x)<br />
-          <br />
-          <strong>Current Posterior Parameters:</strong><br />
-          Variant A: Beta(α = {prior.alpha + variantA.successes}, β = {prior.beta + variantA.trials - variantA.successes})<br />
-          Variant B: Beta(α = {prior.alpha + variantB.successes}, β = {prior.beta + variantB.trials - variantB.successes})
-        </MathNotation>
-      </PriorContainer>
+      <VariantButton
+        color="#667eea"
+        $wide
+        onClick={addVariant}
+        disabled={variants.length >= maxVariants}
+      >
+        Add Variant ({variants.length}/{maxVariants})
+      </VariantButton>
+
+      {isCount ? (
+        <PriorContainer>
+          <PriorTitle>Gamma-Poisson Model</PriorTitle>
+          <MathNotation>
+            <strong>Mathematical Foundation:</strong><br />
+            Prior: λ ~ Gamma(a₀ = {calculator.countShape}, b₀ = {calculator.countRate})<br />
+            Likelihood: Y|λ ~ Poisson(λ · n)<br />
+            Posterior: λ|Y ~ Gamma(a₀ + y, b₀ + n)<br />
+            <br />
+            <strong>Current Posterior Parameters:</strong><br />
+            {variants.map(variant => (
+              <React.Fragment key={variant.name}>
+                Variant {variant.name}: Gamma(a = {calculator.countShape + variant.successes}, b = {calculator.countRate + variant.trials})<br />
+              </React.Fragment>
+            ))}
+          </MathNotation>
+        </PriorContainer>
+      ) : (
+        <PriorContainer>
+          <PriorTitle>Prior Distribution Selection</PriorTitle>
+          <MetricGrid>
+            {Object.entries(priorModes).map(([key, mode]) => (
+              <PriorPreset
+                key={key}
+                className={activePriorMode === key ? 'active' : ''}
+                onClick={() => setPriorMode(key)}
+                disabled={key === 'joint' && variants.length !== 2}
+              >
+                {mode.name}
+                <br />
+                <small>{mode.description}</small>
+              </PriorPreset>
+            ))}
+          </MetricGrid>
+          {activePriorMode !== 'shared' && (
+            <SectionSubtitle>
+              {activePriorMode === 'separate'
+                ? 'The preset below is the default for every variant; set α and β on a variant to override it.'
+                : 'The preset below is the prior on the control rate.'}
+            </SectionSubtitle>
+          )}
+          <PriorGrid>
+            {Object.entries(priorPresets).map(([key, preset]) => (
+              <PriorPreset
+                key={key}
+                className={priorPreset === key ? 'active' : ''}
+                onClick={() => handlePresetChange(key)}
+              >
+                {preset.name}
+                <br />
+                <small>Beta({preset.alpha}, {preset.beta})</small>
+              </PriorPreset>
+            ))}
+          </PriorGrid>
+
+          {activePriorMode === 'joint' && (
+            <InputGroup style={{ marginTop: '16px', marginBottom: 0 }}>
+              <Label>95% sure the relative lift is within ± (%)</Label>
+              <Input
+                type="number"
+                min="0"
+                step="1"
+                value={liftBound}
+                onChange={(e) => setLiftBound(Math.max(0, parseFloat(e.target.value) || 0))}
+              />
+            </InputGroup>
+          )}
+          
+          <MathNotation>
+            <strong>Mathematical Foundation:</strong><br />
+            {activePriorMode === 'shared' && <>Prior: θ ~ Beta(α₀ = {prior.alpha}, β₀ = {prior.beta})<br /></>}
+            {activePriorMode === 'separate' && variants.map((variant, i) => (
+              <React.Fragment key={variant.name}>
+                Prior {variant.name}: θ_{variant.name} ~ Beta(α₀ = {priors[i].alpha}, β₀ = {priors[i].beta})<br />
+              </React.Fragment>
+            ))}
+            {activePriorMode === 'joint' && (
+              <>
+                Prior: θ_A ~ Beta(α₀ = {prior.alpha}, β₀ = {prior.beta})<br />
+                Effect: δ = logit θ_B − logit θ_A ~ Normal(0, σ = {jointPrior ? jointPrior.effectScale.toFixed(4) : '—'})<br />
+              </>
+            )}
+            Likelihood: X|θ ~ Binomial(n, θ)<br />
+            {activePriorMode === 'joint'
+              ? <>Posterior: p(θ_A, δ | X) evaluated numerically on a grid<br /></>
+              : <>Posterior: θ|X ~ Beta(α₀ + x, β₀ + n - x)<br /></>}
+            <br />
+            <strong>Current Posterior Parameters{jointPosteriors && ' (moment-matched)'}:</strong><br />
+            {variants.map((variant, i) => {
+              const posterior = posteriorFor(i);
+              return (
+                <React.Fragment key={variant.name}>
+                  Variant {variant.name}: Beta(α = {+posterior.alpha.toFixed(2)}, β = {+posterior.beta.toFixed(2)})<br />
+                </React.Fragment>
+              );
+            })}
+            {trackRevenue && (
+              <>
+                <br />
+                <strong>Revenue per Visitor:</strong><br />
+                Order value: log(v) ~ Normal(μ, 1/τ), (μ, τ) ~ Normal-Gamma<br />
+                RPV = θ · exp(μ + 1/(2τ))
+              </>
+            )}
+          </MathNotation>
+        </PriorContainer>
+      )}
     </InputContainer>
   );
 };
@@ -344,6 +774,9 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
     variantA: [],
     variantB: []
   });
+  const [dataMode, setDataMode] = useState('cumulative');
+  const [allocationA, setAllocationA] = useState(50);
+  const fieldLabels = sequentialDataModes[dataMode];
 
   const addDataPoint = (variant) => {
     const newDataPoint = { successes: 0, trials: 0 };
@@ -370,8 +803,8 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
   };
 
   useEffect(() => {
-    onSequentialDataChange(timeSeriesData);
-  }, [timeSeriesData, onSequentialDataChange]);
+    onSequentialDataChange({ ...timeSeriesData, dataMode, allocation: [allocationA, 100 - allocationA] });
+  }, [timeSeriesData, dataMode, allocationA, onSequentialDataChange]);
 
   return (
     <InputContainer>
@@ -379,10 +812,35 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
       <SectionSubtitle>
         Input time-series data to analyze sequential testing with early stopping rules
       </SectionSubtitle>
+
+      <PriorGrid style={{ marginBottom: '8px' }}>
+        {Object.entries(sequentialDataModes).map(([key, mode]) => (
+          <PriorPreset
+            key={key}
+            className={dataMode === key ? 'active' : ''}
+            onClick={() => setDataMode(key)}
+          >
+            {mode.name}
+          </PriorPreset>
+        ))}
+      </PriorGrid>
+      <SectionSubtitle>{fieldLabels.description}</SectionSubtitle>
+
+      <InputGroup style={{ maxWidth: '320px' }}>
+        <Label>Intended Traffic to Variant A (%)</Label>
+        <Input
+          type="number"
+          min="1"
+          max="99"
+          value={allocationA}
+          onChange={(e) => setAllocationA(Math.min(99, Math.max(1, parseFloat(e.target.value) || 50)))}
+        />
+      </InputGroup>
       
       <InputGrid>
         <div>
-          <h4 style={{ color: '#6366f1', marginBottom: '16px' }}>Variant A Time Series</h4>
+          <h4 style={{ color: '#6366f1', marginBottom: '4px' }}>Variant A Time Series</h4>
+          <Label>{fieldLabels.successes} / {fieldLabels.trials}</Label>
           {timeSeriesData.variantA.map((point, index) => (
             <div key={index} style={{ 
               display: 'flex', 
@@ -392,14 +850,14 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
             }}>
               <Input
                 type="number"
-                placeholder="Successes"
+                placeholder={fieldLabels.successes}
                 value={point.successes}
                 onChange={(e) => updateDataPoint('variantA', index, 'successes', e.target.value)}
                 style={{ width: '100px' }}
               />
               <Input
                 type="number"
-                placeholder="Trials"
+                placeholder={fieldLabels.trials}
                 value={point.trials}
                 onChange={(e) => updateDataPoint('variantA', index, 'trials', e.target.value)}
                 style={{ width: '100px' }}
@@ -436,7 +894,8 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
         </div>
 
         <div>
-          <h4 style={{ color: '#ec4899', marginBottom: '16px' }}>Variant B Time Series</h4>
+          <h4 style={{ color: '#ec4899', marginBottom: '4px' }}>Variant B Time Series</h4>
+          <Label>{fieldLabels.successes} / {fieldLabels.trials}</Label>
           {timeSeriesData.variantB.map((point, index) => (
             <div key={index} style={{ 
               display: 'flex', 
@@ -446,14 +905,14 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
             }}>
               <Input
                 type="number"
-                placeholder="Successes"
+                placeholder={fieldLabels.successes}
                 value={point.successes}
                 onChange={(e) => updateDataPoint('variantB', index, 'successes', e.target.value)}
                 style={{ width: '100px' }}
               />
               <Input
                 type="number"
-                placeholder="Trials"
+                placeholder={fieldLabels.trials}
                 value={point.trials}
                 onChange={(e) => updateDataPoint('variantB', index, 'trials', e.target.value)}
                 style={{ width: '100px' }}
@@ -492,3 +951,132 @@ export const SequentialTestInput = ({ onSequentialDataChange }) => {
     </InputContainer>
   );
 };
+
+/**
+ * Number input that keeps the typed text and only applies parse on blur or
+ * Enter, so a value can be typed through intermediate out-of-range states
+ */
+const CommittedNumberInput = ({ value, parse, onCommit, ...props }) => {
+  const [draft, setDraft] = useState(null);
+
+  const commit = () => {
+    if (draft === null) return;
+    onCommit(parse(draft));
+    setDraft(null);
+  };
+
+  return (
+    <Input
+      type="number"
+      {...props}
+      value={draft ?? value ?? ''}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => { if (e.key === 'Enter') commit(); }}
+    />
+  );
+};
+
+/**
+ * Stopping Rule Settings Component
+ * Configures the efficacy rules, guards and limits applied at each sequential look
+ */
+export const StoppingRuleSettings = ({ rules, onRulesChange }) => {
+  const update = (field, value) => onRulesChange({ ...rules, [field]: value });
+  const toggle = (field, enabledValue) => update(field, rules[field] === null ? enabledValue : null);
+  const parseOptional = (value) => (value === '' ? null : Math.max(1, parseInt(value) || 1));
+
+  return (
+    <InputContainer>
+      <SectionTitle>Stopping Rules</SectionTitle>
+      <SectionSubtitle>
+        Stop once the efficacy rules are met, but only after the minimum sample and duration; always stop at the maximum duration
+      </SectionSubtitle>
+
+      <InputGrid>
+        <InputGroup>
+          <PriorPreset
+            className={rules.probabilityThreshold !== null ? 'active' : ''}
+            onClick={() => toggle('probabilityThreshold', 0.95)}
+            style={{ width: '100%', marginBottom: '8px' }}
+          >
+            P(B &gt; A) Threshold
+          </PriorPreset>
+          <CommittedNumberInput
+            min="0.5"
+            max="0.9999"
+            step="0.01"
+            disabled={rules.probabilityThreshold === null}
+            value={rules.probabilityThreshold}
+            parse={(value) => Math.min(0.9999, Math.max(0.5, parseFloat(value) || 0.5))}
+            onCommit={(value) => update('probabilityThreshold', value)}
+          />
+        </InputGroup>
+
+        <InputGroup>
+          <PriorPreset
+            className={rules.expectedLossThreshold !== null ? 'active' : ''}
+            onClick={() => toggle('expectedLossThreshold', 0.001)}
+            style={{ width: '100%', marginBottom: '8px' }}
+          >
+            Expected Loss ε (threshold of caring)
+          </PriorPreset>
+          <CommittedNumberInput
+            min="0"
+            step="0.0005"
+            disabled={rules.expectedLossThreshold === null}
+            value={rules.expectedLossThreshold}
+            parse={(value) => Math.max(0, parseFloat(value) || 0)}
+            onCommit={(value) => update('expectedLossThreshold', value)}
+          />
+        </InputGroup>
+
+        <InputGroup>
+          <Label>Minimum Sample per Variant</Label>
+          <CommittedNumberInput
+            min="0"
+            step="100"
+            value={rules.minSamples}
+            parse={(value) => Math.max(0, parseInt(value) || 0)}
+            onCommit={(value) => update('minSamples', value)}
+          />
+        </InputGroup>
+
+        <InputGroup>
+          <Label>Minimum Duration (steps)</Label>
+          <CommittedNumberInput
+            min="1"
+            value={rules.minSteps}
+            parse={(value) => Math.max(1, parseInt(value) || 1)}
+            onCommit={(value) => update('minSteps', value)}
+          />
+        </InputGroup>
+
+        <InputGroup>
+          <Label>Maximum Duration (steps, blank for none)</Label>
+          <CommittedNumberInput
+            min="1"
+            value={rules.maxSteps}
+            parse={parseOptional}
+            onCommit={(value) => update('maxSteps', value)}
+          />
+        </InputGroup>
+
+        <InputGroup>
+          <Label>Combine Efficacy Rules</Label>
+          <PriorGrid>
+            {['any', 'all'].map(mode => (
+              <PriorPreset
+                key={mode}
+                className={rules.combine === mode ? 'active' : ''}
+                onClick={() => update('combine', mode)}
+              >
+                {mode === 'any' ? 'Any rule' : 'All rules'}
+              </PriorPreset>
+            ))}
+          </PriorGrid>
+        </InputGroup>
+      </InputGrid>
+    </InputContainer>
+  );
+};
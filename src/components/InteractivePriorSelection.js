@@ -1,8 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import styled from 'styled-components';
 import Slider from 'react-slider';
 import { motion } from 'framer-motion';
-import { FiSettings, FiTrendingUp, FiTrendingDown, FiTarget } from 'react-icons/fi';
+import { FiSettings, FiTrendingUp, FiTrendingDown, FiTarget, FiDatabase, FiCheck } from 'react-icons/fi';
+import { BayesianCalculator } from '../utils/bayesianCalculator';
+import { QuantilePriorElicitation } from '../utils/priorElicitation';
+import { ElicitedPriorChart } from './Charts';
 
 const PriorContainer = styled.div`
   background: rgba(255, 255, 255, 0.95);
@@ -155,15 +158,111 @@ const ImpactLabel = styled.div`
   margin-top: 4px;
 `;
 
+const ModeToggle = styled.div`
+  display: flex;
+  gap: 8px;
+  margin-top: 16px;
+`;
+
+const ModeButton = styled.button`
+  flex: 1;
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+`;
+
+const BeliefSentence = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-top: 16px;
+  font-size: 15px;
+  color: #2d3748;
+  line-height: 2;
+`;
+
+const BeliefInput = styled.input`
+  width: 72px;
+  padding: 6px 8px;
+  border: 2px solid #e2e8f0;
+  border-radius: 6px;
+  font-size: 15px;
+  font-weight: 600;
+  color: #2d3748;
+  text-align: right;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const FitTable = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-top: 16px;
+  font-size: 14px;
+
+  th, td {
+    text-align: left;
+    padding: 6px 8px;
+    border-bottom: 1px solid #edf2f7;
+    color: #2d3748;
+  }
+
+  th {
+    font-size: 12px;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+`;
+
+const ApplyButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 8px;
+  margin-top: 16px;
+  padding: 10px 20px;
+  background: #667eea;
+  color: white;
+  border: none;
+  border-radius: 8px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+  }
+`;
+
+const ElicitationError = styled.div`
+  margin-top: 12px;
+  font-size: 14px;
+  color: #e53e3e;
+`;
+
 /**
  * Interactive Prior Selection Component
  * Allows users to dynamically adjust prior parameters with visual feedback
  */
-export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
+export const InteractivePriorSelection = ({ onPriorChange, calculator, historyPrior = null }) => {
   const [selectedPrior, setSelectedPrior] = useState('uniform');
   const [customAlpha, setCustomAlpha] = useState(1.0);
   const [customBeta, setCustomBeta] = useState(1.0);
   const [showCustom, setShowCustom] = useState(false);
+  const [customMode, setCustomMode] = useState('sliders');
+  // Stated beliefs in percent: typical value and a range with a certainty
+  const [beliefs, setBeliefs] = useState({ median: 12, lower: 8, upper: 16, probability: 90 });
+  const [elicitation] = useState(() => new QuantilePriorElicitation(calculator || new BayesianCalculator()));
 
   const priorPresets = {
     uniform: {
@@ -205,13 +304,26 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
       beta: 9,
       color: '#ef4444',
       icon: <FiTrendingDown />
-    }
+    },
+    ...(historyPrior && {
+      history: {
+        name: 'From History',
+        description: `Fitted to ${historyPrior.count} past control arms`,
+        alpha: historyPrior.alpha,
+        beta: historyPrior.beta,
+        color: '#06b6d4',
+        icon: <FiDatabase />
+      }
+    })
   };
 
+  // The history preset disappears when no fit is available
+  const activePreset = priorPresets[selectedPrior] ? selectedPrior : 'uniform';
+
   useEffect(() => {
     const prior = showCustom ? 
       { alpha: customAlpha, beta: customBeta } : 
-      priorPresets[selectedPrior];
+      priorPresets[activePreset];
 
     // propagate to parent
     onPriorChange(prior);
@@ -221,7 +333,7 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
       calculator.alpha = prior.alpha;
       calculator.beta = prior.beta;
     }
-  }, [selectedPrior, customAlpha, customBeta, showCustom, onPriorChange, calculator]);
+  }, [activePreset, historyPrior, customAlpha, customBeta, showCustom, onPriorChange, calculator]);
 
   const handlePriorSelect = (priorKey) => {
     setSelectedPrior(priorKey);
@@ -231,11 +343,29 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
   const handleCustomToggle = () => {
     setShowCustom(!showCustom);
     if (!showCustom) {
-      setCustomAlpha(priorPresets[selectedPrior].alpha);
-      setCustomBeta(priorPresets[selectedPrior].beta);
+      setCustomAlpha(priorPresets[activePreset].alpha);
+      setCustomBeta(priorPresets[activePreset].beta);
     }
   };
 
+  const statedBeliefs = useMemo(() => ({
+    median: beliefs.median / 100,
+    lower: beliefs.lower / 100,
+    upper: beliefs.upper / 100,
+    probability: beliefs.probability / 100
+  }), [beliefs]);
+  const elicitationErrors = elicitation.validate(statedBeliefs);
+  const elicited = useMemo(() => elicitation.solve(statedBeliefs), [elicitation, statedBeliefs]);
+
+  const updateBelief = (field, value) => {
+    setBeliefs(prev => ({ ...prev, [field]: parseFloat(value) }));
+  };
+
+  const applyElicitedPrior = () => {
+    setCustomAlpha(Number(elicited.alpha.toFixed(2)));
+    setCustomBeta(Number(elicited.beta.toFixed(2)));
+  };
+
   const calculatePriorImpact = (alpha, beta) => {
     const mean = alpha / (alpha + beta);
     const variance = (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
@@ -251,7 +381,7 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
 
   const currentPrior = showCustom ? 
     { alpha: customAlpha, beta: customBeta } : 
-    priorPresets[selectedPrior];
+    priorPresets[activePreset];
   
   const impact = calculatePriorImpact(currentPrior.alpha, currentPrior.beta);
 
@@ -270,7 +400,7 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
           <PriorCard
             key={key}
             color={prior.color}
-            className={selectedPrior === key && !showCustom ? 'active' : ''}
+            className={activePreset === key && !showCustom ? 'active' : ''}
             onClick={() => handlePriorSelect(key)}
             whileHover={{ scale: 1.02 }}
             whileTap={{ scale: 0.98 }}
@@ -312,47 +442,115 @@ export const InteractivePriorSelection = ({ onPriorChange, calculator }) => {
             exit={{ opacity: 0, height: 0 }}
             transition={{ duration: 0.3 }}
           >
-            <SliderContainer>
-              <SliderLabel>Alpha Parameter (α)</SliderLabel>
-              <SliderWrapper>
-                <Slider
-                  min={0.1}
-                  max={10}
-                  step={0.1}
-                  value={customAlpha}
-                  onChange={setCustomAlpha}
-                  className="horizontal-slider"
-                  thumbClassName="slider-thumb"
-                  trackClassName="slider-track"
-                />
-                <SliderValue>{customAlpha.toFixed(1)}</SliderValue>
-                <VisualIndicator>
-                  <span>Low confidence</span>
-                  <span>High confidence</span>
-                </VisualIndicator>
-              </SliderWrapper>
-            </SliderContainer>
-
-            <SliderContainer>
-              <SliderLabel>Beta Parameter (β)</SliderLabel>
-              <SliderWrapper>
-                <Slider
-                  min={0.1}
-                  max={20}
-                  step={0.1}
-                  value={customBeta}
-                  onChange={setCustomBeta}
-                  className="horizontal-slider"
-                  thumbClassName="slider-thumb"
-                  trackClassName="slider-track"
-                />
-                <SliderValue>{customBeta.toFixed(1)}</SliderValue>
-                <VisualIndicator>
-                  <span>High conversion expected</span>
-                  <span>Low conversion expected</span>
-                </VisualIndicator>
-              </SliderWrapper>
-            </SliderContainer>
+            <ModeToggle>
+              <ModeButton $active={customMode === 'sliders'} onClick={() => setCustomMode('sliders')}>
+                α / β Sliders
+              </ModeButton>
+              <ModeButton $active={customMode === 'beliefs'} onClick={() => setCustomMode('beliefs')}>
+                From My Beliefs
+              </ModeButton>
+            </ModeToggle>
+
+            {customMode === 'beliefs' && (
+              <>
+                <BeliefSentence>
+                  The conversion rate is around
+                  <BeliefInput type="number" min="0" max="100" step="0.5" value={beliefs.median} onChange={(e) => updateBelief('median', e.target.value)} />%,
+                  and I am
+                  <BeliefInput type="number" min="1" max="99" step="5" value={beliefs.probability} onChange={(e) => updateBelief('probability', e.target.value)} />%
+                  sure it is between
+                  <BeliefInput type="number" min="0" max="100" step="0.5" value={beliefs.lower} onChange={(e) => updateBelief('lower', e.target.value)} />%
+                  and
+                  <BeliefInput type="number" min="0" max="100" step="0.5" value={beliefs.upper} onChange={(e) => updateBelief('upper', e.target.value)} />%.
+                </BeliefSentence>
+
+                {elicitationErrors.map(error => <ElicitationError key={error}>{error}</ElicitationError>)}
+
+                {elicited && (
+                  <>
+                    <FitTable>
+                      <thead>
+                        <tr>
+                          <th />
+                          <th>Lower ({(elicited.targets[0].p * 100).toFixed(1)}th pct.)</th>
+                          <th>Typical (median)</th>
+                          <th>Upper ({(elicited.targets[2].p * 100).toFixed(1)}th pct.)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        <tr>
+                          <td>Stated</td>
+                          <td>{beliefs.lower}%</td>
+                          <td>{beliefs.median}%</td>
+                          <td>{beliefs.upper}%</td>
+                        </tr>
+                        <tr>
+                          <td>Beta({elicited.alpha.toFixed(2)}, {elicited.beta.toFixed(2)})</td>
+                          <td>{(elicited.fitted.lower * 100).toFixed(2)}%</td>
+                          <td>{(elicited.fitted.median * 100).toFixed(2)}%</td>
+                          <td>{(elicited.fitted.upper * 100).toFixed(2)}%</td>
+                        </tr>
+                      </tbody>
+                    </FitTable>
+                    <SliderLabel style={{ marginTop: '12px' }}>
+                      The fitted prior puts {(elicited.massInRange * 100).toFixed(1)}% of its mass in your range
+                      (you stated {beliefs.probability}%).
+                    </SliderLabel>
+                    <ElicitedPriorChart prior={elicited} beliefs={statedBeliefs} calculator={elicitation.calculator} />
+                    <ApplyButton onClick={applyElicitedPrior}>
+                      <FiCheck />
+                      Apply Beta({elicited.alpha.toFixed(2)}, {elicited.beta.toFixed(2)})
+                    </ApplyButton>
+                  </>
+                )}
+              </>
+            )}
+
+            {customMode === 'sliders' && (
+              <>
+                <SliderContainer>
+                  <SliderLabel>Alpha Parameter (α)</SliderLabel>
+                  <SliderWrapper>
+                    <Slider
+                      min={0.1}
+                      max={10}
+                      step={0.1}
+                      value={customAlpha}
+                      onChange={setCustomAlpha}
+                      className="horizontal-slider"
+                      thumbClassName="slider-thumb"
+                      trackClassName="slider-track"
+                    />
+                    <SliderValue>{customAlpha.toFixed(1)}</SliderValue>
+                    <VisualIndicator>
+                      <span>Low confidence</span>
+                      <span>High confidence</span>
+                    </VisualIndicator>
+                  </SliderWrapper>
+                </SliderContainer>
+
+                <SliderContainer>
+                  <SliderLabel>Beta Parameter (β)</SliderLabel>
+                  <SliderWrapper>
+                    <Slider
+                      min={0.1}
+                      max={20}
+                      step={0.1}
+                      value={customBeta}
+                      onChange={setCustomBeta}
+                      className="horizontal-slider"
+                      thumbClassName="slider-thumb"
+                      trackClassName="slider-track"
+                    />
+                    <SliderValue>{customBeta.toFixed(1)}</SliderValue>
+                    <VisualIndicator>
+                      <span>High conversion expected</span>
+                      <span>Low conversion expected</span>
+                    </VisualIndicator>
+                  </SliderWrapper>
+                </SliderContainer>
+              </>
+            )}
 
             <ImpactPreview>
               <ImpactCard color="#10b981">
@@ -0,0 +1,339 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { FiActivity, FiPlay } from 'react-icons/fi';
+import { calculatorWorker } from '../services/calculatorWorkerService';
+import { OperatingCharacteristicsChart, TimeToDecisionChart } from './Charts';
+
+const SimulatorContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const InputGrid = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+  gap: 16px;
+  margin-bottom: 24px;
+`;
+
+const InputLabel = styled.label`
+  display: block;
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-bottom: 6px;
+`;
+
+const Input = styled.input`
+  width: 100%;
+  padding: 10px 14px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 15px;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const RunButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 8px;
+  padding: 12px 24px;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  border-radius: 8px;
+  font-size: 15px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const ProgressBar = styled.div`
+  width: 100%;
+  height: 8px;
+  background: #e2e8f0;
+  border-radius: 4px;
+  overflow: hidden;
+  margin: 16px 0;
+`;
+
+const ProgressFill = styled.div`
+  height: 100%;
+  width: ${props => props.$progress * 100}%;
+  background: linear-gradient(90deg, #667eea, #764ba2);
+  border-radius: 4px;
+  transition: width 0.2s ease;
+`;
+
+const RuleSummary = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 12px 16px;
+  margin-bottom: 24px;
+  border-left: 4px solid #667eea;
+  font-size: 13px;
+  color: #4a5568;
+  line-height: 1.6;
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-top: 24px;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: #e53e3e;
+  margin-top: 12px;
+`;
+
+const maxExperimentsPerLift = 5000;
+
+const formatPercent = (value, digits = 1) => (value === null ? '—' : `${(value * 100).toFixed(digits)}%`);
+
+const describeRules = (rules) => {
+  const parts = [];
+  if (rules.probabilityThreshold !== null) {
+    parts.push(`P(B > A) ≥ ${formatPercent(rules.probabilityThreshold, 0)} or ≤ ${formatPercent(1 - rules.probabilityThreshold, 0)}`);
+  }
+  if (rules.expectedLossThreshold !== null) {
+    parts.push(`expected loss < ${formatPercent(rules.expectedLossThreshold, 3)}`);
+  }
+  const efficacy = parts.length > 0 ? parts.join(rules.combine === 'all' ? ' and ' : ' or ') : 'no efficacy rule';
+  return `Stop when ${efficacy}, after at least ${rules.minSteps} day(s) and ${rules.minSamples.toLocaleString()} visitors per variant`;
+};
+
+/**
+ * Operating Characteristics Simulator Component
+ * Runs many synthetic experiments with known true lifts through the current
+ * stopping rules, checking each day, to measure how the decision rule behaves
+ */
+export const OperatingCharacteristicsSimulator = ({ rules, seed }) => {
+  const [settings, setSettings] = useState({
+    baselineRate: 0.1,
+    dailyTraffic: 500,
+    maxDays: 30,
+    experiments: 500,
+    lifts: '0, 0.05, 0.1'
+  });
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [summaries, setSummaries] = useState(null);
+  const [runError, setRunError] = useState(null);
+
+  const updateSetting = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const trueLifts = settings.lifts
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value !== '')
+    .map(Number);
+
+  let error = null;
+  if (!(settings.baselineRate > 0 && settings.baselineRate < 1)) {
+    error = 'Baseline rate must be between 0 and 1.';
+  } else if (trueLifts.length === 0 || trueLifts.some(lift => !Number.isFinite(lift) || lift <= -1)) {
+    error = 'Lifts must be a comma-separated list of numbers greater than -1 (e.g. 0, 0.05, 0.1).';
+  } else if (!(settings.dailyTraffic >= 1 && settings.maxDays >= 1 && settings.experiments >= 1)) {
+    error = 'Traffic, duration and number of experiments must be at least 1.';
+  } else if (settings.experiments > maxExperimentsPerLift) {
+    error = `At most ${maxExperimentsPerLift.toLocaleString()} experiments per lift.`;
+  }
+
+  const runSimulation = async () => {
+    setRunning(true);
+    setProgress(0);
+    setRunError(null);
+    try {
+      setSummaries(await calculatorWorker.run('simulateOperatingCharacteristics', {
+        baselineRate: settings.baselineRate,
+        trueLifts,
+        experiments: settings.experiments,
+        dailyTraffic: settings.dailyTraffic,
+        maxDays: settings.maxDays,
+        rules,
+        seed
+      }, { onProgress: setProgress }));
+    } catch (simulationError) {
+      if (simulationError.name !== 'AbortError') setRunError(simulationError.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <>
+      <SimulatorContainer>
+        <Title>
+          <FiActivity />
+          Decision Rule Operating Characteristics
+        </Title>
+        <Subtitle>
+          Simulate A/A tests and tests with known true lifts, peeking every day with the stopping rules from the
+          Sequential Testing tab, to see how often the rule declares a wrong winner, how often it finds a real one,
+          how long it takes, and how much conversion rate is lost by its choices.
+        </Subtitle>
+
+        <RuleSummary>
+          <strong>Current rule:</strong> {describeRules(rules)}.
+        </RuleSummary>
+
+        <InputGrid>
+          <div>
+            <InputLabel>Baseline Conversion Rate</InputLabel>
+            <Input
+              type="number"
+              min="0.001"
+              max="0.999"
+              step="0.01"
+              value={settings.baselineRate}
+              onChange={(e) => updateSetting('baselineRate', parseFloat(e.target.value))}
+            />
+          </div>
+          <div>
+            <InputLabel>Daily Visitors per Variant</InputLabel>
+            <Input
+              type="number"
+              min="1"
+              value={settings.dailyTraffic}
+              onChange={(e) => updateSetting('dailyTraffic', parseInt(e.target.value) || 0)}
+            />
+          </div>
+          <div>
+            <InputLabel>Maximum Duration (days)</InputLabel>
+            <Input
+              type="number"
+              min="1"
+              max="120"
+              value={settings.maxDays}
+              onChange={(e) => updateSetting('maxDays', Math.min(120, parseInt(e.target.value) || 0))}
+            />
+          </div>
+          <div>
+            <InputLabel>Experiments per Lift</InputLabel>
+            <Input
+              type="number"
+              min="1"
+              step="100"
+              value={settings.experiments}
+              onChange={(e) => updateSetting('experiments', parseInt(e.target.value) || 0)}
+            />
+          </div>
+          <div>
+            <InputLabel>True Relative Lifts</InputLabel>
+            <Input
+              type="text"
+              value={settings.lifts}
+              onChange={(e) => updateSetting('lifts', e.target.value)}
+            />
+          </div>
+        </InputGrid>
+
+        <RunButton onClick={runSimulation} disabled={running || error !== null}>
+          <FiPlay />
+          {running ? `Simulating… ${(progress * 100).toFixed(0)}%` : 'Run Simulation'}
+        </RunButton>
+
+        {(error || runError) && <ErrorText>{error || runError}</ErrorText>}
+
+        {running && (
+          <ProgressBar>
+            <ProgressFill $progress={progress} />
+          </ProgressBar>
+        )}
+
+        {summaries && (
+          <Table>
+            <thead>
+              <tr>
+                <th>True Lift</th>
+                <th>Rates A / B</th>
+                <th>False Decision</th>
+                <th>Power</th>
+                <th>No Decision</th>
+                <th>Mean / Median Days</th>
+                <th>Average Regret</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summaries.map(summary => (
+                <tr key={summary.lift}>
+                  <td>{summary.lift === 0 ? 'A/A' : formatPercent(summary.lift)}</td>
+                  <td>{formatPercent(summary.rateA, 2)} / {formatPercent(summary.rateB, 2)}</td>
+                  <td>{formatPercent(summary.falseDecisionRate)}</td>
+                  <td>{formatPercent(summary.power)}</td>
+                  <td>{formatPercent(summary.undecidedRate)}</td>
+                  <td>
+                    {summary.meanTimeToDecision === null
+                      ? '—'
+                      : `${summary.meanTimeToDecision.toFixed(1)} / ${summary.medianTimeToDecision}`}
+                  </td>
+                  <td>{formatPercent(summary.averageRegret, 3)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+      </SimulatorContainer>
+
+      {summaries && (
+        <>
+          <OperatingCharacteristicsChart summaries={summaries} />
+          <TimeToDecisionChart summaries={summaries} />
+        </>
+      )}
+    </>
+  );
+};
@@ -0,0 +1,321 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiSliders, FiAlertTriangle, FiCheckCircle } from 'react-icons/fi';
+import { useCalculatorTask } from '../hooks/useCalculatorTask';
+
+const PanelContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 16px;
+  margin-bottom: 24px;
+`;
+
+const Field = styled.div`
+  flex: 1;
+  min-width: 220px;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-bottom: 6px;
+`;
+
+const Input = styled.input`
+  width: 100%;
+  padding: 8px 12px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Verdict = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 16px 20px;
+  border-radius: 12px;
+  margin-bottom: 16px;
+  font-size: 15px;
+  font-weight: 600;
+  background: ${props => props.$sensitive ? '#fef2f2' : '#f0fdf4'};
+  border: 2px solid ${props => props.$sensitive ? '#fca5a5' : '#86efac'};
+  color: ${props => props.$sensitive ? '#b91c1c' : '#15803d'};
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+
+  tr.excluded td {
+    color: #a0aec0;
+  }
+`;
+
+const DecisionBadge = styled.span`
+  display: inline-block;
+  padding: 2px 10px;
+  border-radius: 999px;
+  font-size: 12px;
+  font-weight: 700;
+  color: white;
+  background: ${props => ({
+    A: '#6366f1',
+    B: '#10b981',
+    Equivalent: '#3b82f6'
+  }[props.$variant] || '#a0aec0')};
+`;
+
+const sensitivityPresets = [
+  { name: 'Uniform', alpha: 1, beta: 1 },
+  { name: 'Jeffreys', alpha: 0.5, beta: 0.5 },
+  { name: 'Conservative', alpha: 2, beta: 2 },
+  { name: 'Optimistic (20% baseline)', alpha: 2, beta: 8 },
+  { name: 'Pessimistic (10% baseline)', alpha: 1, beta: 9 }
+];
+
+const maxGridPriors = 25;
+
+const formatBeta = ({ alpha, beta }) => `Beta(${+alpha.toFixed(2)}, ${+beta.toFixed(2)})`;
+
+const describeCurrentPrior = ({ priorMode, prior, priors, jointPrior }) => {
+  if (priorMode === 'joint' && jointPrior) {
+    return `${formatBeta(jointPrior.control)} on A, lift within ±${+(jointPrior.liftBound * 100).toFixed(1)}%`;
+  }
+  if (priorMode === 'separate' && priors) {
+    return `A: ${formatBeta(priors[0])}, B: ${formatBeta(priors[1])}`;
+  }
+  return formatBeta(prior);
+};
+
+const parseList = (text) => text
+  .split(',')
+  .map(value => value.trim())
+  .filter(value => value !== '')
+  .map(Number);
+
+const decisionLabel = (variant) => (variant === 'A' || variant === 'B' ? `Choose ${variant}` : variant);
+
+/**
+ * Prior Sensitivity Panel Component
+ * Re-runs the current A/B comparison under the preset priors and a grid of
+ * prior means and strengths, and flags decisions that depend on the prior
+ */
+export const PriorSensitivityPanel = ({
+  testData,
+  currentResult,
+  intervalSettings,
+  ropeWidth,
+  seed,
+  draws,
+  precisionTarget,
+  historyPrior,
+  recommend
+}) => {
+  const [gridMeans, setGridMeans] = useState('5, 10, 20');
+  const [gridStrengths, setGridStrengths] = useState('10, 100');
+  const [excluded, setExcluded] = useState([]);
+
+  const grid = useMemo(() => {
+    const means = parseList(gridMeans);
+    const strengths = parseList(gridStrengths);
+    let error = null;
+    if (means.some(mean => !(mean > 0 && mean < 100)) || strengths.some(strength => !(strength > 0))) {
+      error = 'Grid means must be between 0% and 100% and strengths (α + β) positive.';
+    } else if (means.length * strengths.length > maxGridPriors) {
+      error = `At most ${maxGridPriors} grid priors.`;
+    }
+    return { means, strengths, error };
+  }, [gridMeans, gridStrengths]);
+
+  const priors = useMemo(() => {
+    const list = [
+      ...sensitivityPresets,
+      ...(historyPrior ? [{ name: 'From History', alpha: historyPrior.alpha, beta: historyPrior.beta }] : [])
+    ];
+
+    if (!grid.error) {
+      grid.means.forEach(mean => {
+        grid.strengths.forEach(strength => {
+          list.push({
+            name: `Grid: ${mean}% mean, α + β = ${strength}`,
+            alpha: (mean / 100) * strength,
+            beta: (1 - mean / 100) * strength
+          });
+        });
+      });
+    }
+
+    return list;
+  }, [grid, historyPrior]);
+
+  const payload = useMemo(() => ({
+    variantA: { successes: testData.variantA.successes, trials: testData.variantA.trials },
+    variantB: { successes: testData.variantB.successes, trials: testData.variantB.trials },
+    priors,
+    intervalSettings,
+    ropeWidth,
+    seed,
+    draws,
+    precisionTarget
+  }), [testData, priors, intervalSettings, ropeWidth, seed, draws, precisionTarget]);
+  const sensitivityTask = useCalculatorTask('priorSensitivity', payload);
+
+  const rows = useMemo(() => {
+    const alternatives = (sensitivityTask.data || []).map(result => ({
+      ...result,
+      name: result.prior.name,
+      priorLabel: formatBeta(result.prior),
+      recommendation: recommend(result)
+    }));
+    // The dashboard's own result, so the current row reflects every prior mode and Monte Carlo setting
+    if (!currentResult || currentResult.metricType === 'count') return alternatives;
+
+    return [{
+      name: 'Current',
+      priorLabel: describeCurrentPrior(currentResult),
+      probBGreater: currentResult.probBGreater,
+      expectedLoss: currentResult.expectedLoss,
+      lift: currentResult.lift,
+      recommendation: recommend(currentResult)
+    }, ...alternatives];
+  }, [sensitivityTask.data, currentResult, recommend]);
+
+  const reasonable = rows.filter(row => !excluded.includes(row.name));
+  const decisions = [...new Set(reasonable.map(row => row.recommendation.variant))];
+  const isSensitive = decisions.length > 1;
+
+  const toggleExcluded = (name) => {
+    setExcluded(prev => (prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]));
+  };
+
+  return (
+    <PanelContainer>
+      <Title>
+        <FiSliders />
+        Prior Sensitivity Analysis
+      </Title>
+      <Subtitle>
+        The current comparison re-run under every preset prior and a grid of prior means and strengths.
+        The Current row is the main result under the active prior mode, including separate and joint priors.
+        Untick priors you consider unreasonable for this test; the result is prior-sensitive if the remaining ones disagree.
+      </Subtitle>
+
+      <ControlRow>
+        <Field>
+          <FieldLabel>Grid Prior Means (%)</FieldLabel>
+          <Input value={gridMeans} onChange={(e) => setGridMeans(e.target.value)} />
+        </Field>
+        <Field>
+          <FieldLabel>Grid Prior Strengths (α + β)</FieldLabel>
+          <Input value={gridStrengths} onChange={(e) => setGridStrengths(e.target.value)} />
+        </Field>
+      </ControlRow>
+
+      {grid.error && <Subtitle style={{ color: '#e53e3e' }}>{grid.error}</Subtitle>}
+      {sensitivityTask.error && <Subtitle style={{ color: '#e53e3e' }}>{sensitivityTask.error.message}</Subtitle>}
+      {sensitivityTask.isComputing && (
+        <Subtitle>Re-running under {priors.length} priors… {Math.round(sensitivityTask.progress * 100)}%</Subtitle>
+      )}
+
+      {reasonable.length > 0 && (
+        <Verdict $sensitive={isSensitive}>
+          {isSensitive ? <FiAlertTriangle /> : <FiCheckCircle />}
+          {isSensitive
+            ? `Prior-sensitive: reasonable priors disagree (${decisions.map(decisionLabel).join(' vs ')})`
+            : `Robust: every reasonable prior gives "${decisionLabel(decisions[0])}"`}
+        </Verdict>
+      )}
+
+      <Table>
+        <thead>
+          <tr>
+            <th>Reasonable</th>
+            <th>Prior</th>
+            <th>Prior Distribution</th>
+            <th>P(B &gt; A)</th>
+            <th>E[Loss] A / B</th>
+            <th>Recommendation</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={row.name} className={excluded.includes(row.name) ? 'excluded' : ''}>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!excluded.includes(row.name)}
+                  onChange={() => toggleExcluded(row.name)}
+                />
+              </td>
+              <td>{row.name}</td>
+              <td>{row.priorLabel}</td>
+              <td>{(row.probBGreater * 100).toFixed(1)}%</td>
+              <td>
+                {(row.expectedLoss.lossA * 100).toFixed(3)}% / {(row.expectedLoss.lossB * 100).toFixed(3)}%
+              </td>
+              <td>
+                <DecisionBadge $variant={row.recommendation.variant}>
+                  {decisionLabel(row.recommendation.variant)}
+                </DecisionBadge>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    </PanelContainer>
+  );
+};
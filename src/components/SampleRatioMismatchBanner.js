@@ -0,0 +1,103 @@
+import React from 'react';
+import styled from 'styled-components';
+import { FiAlertOctagon } from 'react-icons/fi';
+
+const Banner = styled.div`
+  background: #fef2f2;
+  border: 2px solid #f87171;
+  border-radius: 12px;
+  padding: 20px;
+  margin: 16px 0;
+  color: #7f1d1d;
+`;
+
+const BannerTitle = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 10px;
+  font-size: 18px;
+  font-weight: 700;
+  color: #b91c1c;
+  margin-bottom: 8px;
+`;
+
+const BannerText = styled.div`
+  font-size: 14px;
+  line-height: 1.6;
+  margin-bottom: 12px;
+`;
+
+const SplitTable = styled.table`
+  border-collapse: collapse;
+  font-size: 14px;
+  margin-bottom: 12px;
+
+  th, td {
+    padding: 4px 16px 4px 0;
+    text-align: left;
+  }
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+  }
+`;
+
+const OverrideButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #b91c1c;
+  background: ${props => props.$active ? '#b91c1c' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#b91c1c'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+`;
+
+/**
+ * Sample Ratio Mismatch Banner
+ * Blocking warning shown in place of a recommendation when the traffic split
+ * departs from the intended allocation; the analyst can choose to see the
+ * recommendation anyway
+ */
+export const SampleRatioMismatchBanner = ({ check, labels, overridden, onOverride }) => (
+  <Banner>
+    <BannerTitle>
+      <FiAlertOctagon />
+      Sample Ratio Mismatch: results are not trustworthy
+    </BannerTitle>
+    <BannerText>
+      The visitors each variant received do not match the intended allocation
+      (χ²({check.chiSquare.degreesOfFreedom}) = {check.chiSquare.statistic.toFixed(2)},
+      p = {check.chiSquare.pValue.toPrecision(2)}; Dirichlet-multinomial BF₁₀ = {check.bayes.bayesFactor.toPrecision(3)}).
+      Check assignment, redirects and bot filtering before acting on this test.
+    </BannerText>
+    <SplitTable>
+      <thead>
+        <tr>
+          <th>Variant</th>
+          <th>Visitors</th>
+          <th>Expected</th>
+          <th>Observed Share</th>
+          <th>Intended Share</th>
+        </tr>
+      </thead>
+      <tbody>
+        {check.counts.map((count, i) => (
+          <tr key={labels[i]}>
+            <td>{labels[i]}</td>
+            <td>{count.toLocaleString()}</td>
+            <td>{Math.round(check.expectedCounts[i]).toLocaleString()}</td>
+            <td>{(check.observedShares[i] * 100).toFixed(2)}%</td>
+            <td>{(check.allocation[i] * 100).toFixed(2)}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </SplitTable>
+    <OverrideButton $active={overridden} onClick={onOverride}>
+      {overridden ? 'Hide recommendation' : 'Show recommendation anyway'}
+    </OverrideButton>
+  </Banner>
+);
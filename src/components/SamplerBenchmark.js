@@ -0,0 +1,237 @@
+import React, { useState } from 'react';
+import styled from 'styled-components';
+import { FiZap, FiPlay } from 'react-icons/fi';
+import { calculatorWorker } from '../services/calculatorWorkerService';
+
+const BenchmarkContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  gap: 8px;
+  margin-bottom: 16px;
+`;
+
+const FieldLabel = styled.span`
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-right: 4px;
+`;
+
+const ToggleButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+`;
+
+const RunButton = styled.button`
+  display: inline-flex;
+  align-items: center;
+  gap: 8px;
+  padding: 12px 24px;
+  background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+  color: white;
+  border: none;
+  border-radius: 8px;
+  font-size: 15px;
+  font-weight: 600;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.6;
+    cursor: not-allowed;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  margin-top: 24px;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+const Summary = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 16px 20px;
+  margin-top: 16px;
+  border-left: 4px solid #667eea;
+  font-family: 'Courier New', monospace;
+  font-size: 14px;
+  color: #4a5568;
+  line-height: 1.8;
+`;
+
+const ErrorText = styled.p`
+  font-size: 14px;
+  color: #e53e3e;
+  margin-top: 12px;
+`;
+
+const drawOptions = [100000, 1000000];
+
+// Used until the Basic Analysis tab has a conversion result
+const defaultPosteriors = {
+  posteriorA: { alpha: 151, beta: 851 },
+  posteriorB: { alpha: 181, beta: 821 }
+};
+
+const formatRate = (value) => `${(value / 1e6).toFixed(1)}M draws/s`;
+
+/**
+ * Sampler Benchmark Component
+ * Times the per-draw Beta sampler against the batched typed-array sampler in
+ * the calculator worker, checks both against the exact posterior moments, and
+ * times a full expected loss and lift analysis at the same number of draws
+ */
+export const SamplerBenchmark = ({ posteriorA, posteriorB, seed }) => {
+  const [draws, setDraws] = useState(1000000);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [benchmark, setBenchmark] = useState(null);
+  const [error, setError] = useState(null);
+
+  const posteriors = posteriorA && posteriorB ? { posteriorA, posteriorB } : defaultPosteriors;
+
+  const runBenchmark = async () => {
+    setRunning(true);
+    setProgress(0);
+    setError(null);
+    try {
+      setBenchmark(await calculatorWorker.run('benchmarkSamplers', { ...posteriors, draws, seed }, {
+        onProgress: setProgress
+      }));
+    } catch (runError) {
+      if (runError.name !== 'AbortError') setError(runError.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const [scalar, batch] = benchmark ? benchmark.samplers : [];
+
+  return (
+    <BenchmarkContainer>
+      <Title>
+        <FiZap />
+        Sampler Benchmark
+      </Title>
+      <Subtitle>
+        Beta draws come from two Marsaglia–Tsang Gamma draws, X / (X + Y), written straight into Float64Array
+        buffers. This compares that batched path against drawing one value at a time into an array, using
+        Beta({posteriors.posteriorA.alpha}, {posteriors.posteriorA.beta}) and
+        Beta({posteriors.posteriorB.alpha}, {posteriors.posteriorB.beta})
+        {posteriorA && posteriorB ? ' from the current analysis' : ''}.
+      </Subtitle>
+
+      <ControlRow>
+        <FieldLabel>Draws per variant:</FieldLabel>
+        {drawOptions.map(option => (
+          <ToggleButton key={option} $active={draws === option} onClick={() => setDraws(option)}>
+            {option.toLocaleString()}
+          </ToggleButton>
+        ))}
+      </ControlRow>
+
+      <RunButton onClick={runBenchmark} disabled={running}>
+        <FiPlay />
+        {running ? `Benchmarking… ${(progress * 100).toFixed(0)}%` : 'Run Benchmark'}
+      </RunButton>
+
+      {error && <ErrorText>{error}</ErrorText>}
+
+      {benchmark && (
+        <>
+          <Table>
+            <thead>
+              <tr>
+                <th>Sampler</th>
+                <th>Time</th>
+                <th>Throughput</th>
+                <th>Mean θA</th>
+                <th>SD θA</th>
+              </tr>
+            </thead>
+            <tbody>
+              {benchmark.samplers.map(sampler => (
+                <tr key={sampler.key}>
+                  <td>{sampler.label}</td>
+                  <td>{sampler.milliseconds.toFixed(0)} ms</td>
+                  <td>{formatRate(sampler.drawsPerSecond)}</td>
+                  <td>{sampler.mean.toFixed(5)}</td>
+                  <td>{sampler.sd.toFixed(5)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td>Exact Beta moments</td>
+                <td>—</td>
+                <td>—</td>
+                <td>{benchmark.exact.mean.toFixed(5)}</td>
+                <td>{benchmark.exact.sd.toFixed(5)}</td>
+              </tr>
+            </tbody>
+          </Table>
+          <Summary>
+            <strong>Speed-up:</strong> {(scalar.milliseconds / batch.milliseconds).toFixed(1)}× over per-draw sampling<br/>
+            <strong>Full analysis ({benchmark.draws.toLocaleString()} draws):</strong> P(B &gt; A), expected loss and
+            lift interval in {benchmark.analysis.milliseconds.toFixed(0)} ms<br/>
+            <strong>P(B &gt; A):</strong> {(benchmark.analysis.probBGreater * 100).toFixed(2)}%,{' '}
+            <strong>min expected loss:</strong> {(benchmark.analysis.expectedLoss * 100).toFixed(4)}%,{' '}
+            <strong>lift:</strong> [{(benchmark.analysis.liftInterval.lower * 100).toFixed(2)}%,{' '}
+            {(benchmark.analysis.liftInterval.upper * 100).toFixed(2)}%]
+          </Summary>
+        </>
+      )}
+    </BenchmarkContainer>
+  );
+};
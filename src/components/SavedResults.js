@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from 'react';
+import styled from 'styled-components';
+import { FiArchive, FiRefreshCw, FiRotateCcw } from 'react-icons/fi';
+import { dbService } from '../services/databaseService';
+
+const SavedContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 16px;
+`;
+
+const ActionButton = styled.button`
+  padding: 6px 12px;
+  border: 2px solid #06b6d4;
+  background: transparent;
+  color: #06b6d4;
+  border-radius: 8px;
+  font-size: 13px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  display: inline-flex;
+  align-items: center;
+  gap: 6px;
+
+  &:hover {
+    background: #06b6d4;
+    color: white;
+  }
+`;
+
+const Table = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+
+  th {
+    font-size: 12px;
+    font-weight: 600;
+    color: #718096;
+    text-transform: uppercase;
+    letter-spacing: 0.5px;
+    text-align: left;
+    padding: 8px;
+    border-bottom: 2px solid #e2e8f0;
+  }
+
+  td {
+    padding: 8px;
+    font-size: 14px;
+    color: #2d3748;
+    border-bottom: 1px solid #edf2f7;
+  }
+`;
+
+// Most recent results shown
+const listLength = 10;
+
+const formatArm = (result, arm) => (
+  result.metricType === 'count'
+    ? `${arm.events.toLocaleString()} / ${arm.exposure.toLocaleString()}`
+    : `${Math.round(arm.successes).toLocaleString()} / ${Math.round(arm.trials).toLocaleString()}`
+);
+
+/**
+ * Saved Results Component
+ * Lists the most recently saved results and restores the seed, analysis
+ * settings and inputs of one, so the same numbers can be reproduced
+ */
+export const SavedResults = ({ onRestore, refreshKey }) => {
+  const [results, setResults] = useState([]);
+  const [reloads, setReloads] = useState(0);
+
+  useEffect(() => {
+    dbService.getTestResults().then(saved => setResults(
+      [...saved].sort((a, b) => b.id - a.id).slice(0, listLength)
+    ));
+  }, [refreshKey, reloads]);
+
+  return (
+    <SavedContainer>
+      <Title>
+        <FiArchive />
+        Saved Results
+        <ActionButton onClick={() => setReloads(count => count + 1)} title="Reload saved results">
+          <FiRefreshCw />
+        </ActionButton>
+      </Title>
+      <Subtitle>
+        Restoring a result loads every arm with its traffic split, the prior, seed and analysis settings, so
+        re-running it gives the saved numbers again. CUPED results only restore their seed and settings, since
+        the per-unit CSV is not saved; results saved before arms and splits were stored come back as an even A/B test.
+      </Subtitle>
+
+      {results.length === 0 ? (
+        <Subtitle style={{ marginBottom: 0 }}>No saved results yet. Use Save Results below an analysis.</Subtitle>
+      ) : (
+        <Table>
+          <thead>
+            <tr>
+              <th>Saved</th>
+              <th>Variant A</th>
+              <th>Variant B</th>
+              <th>Arms</th>
+              <th>P(B &gt; A)</th>
+              <th>Seed</th>
+              <th>Tags</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {results.map(result => (
+              <tr key={result.id}>
+                <td>{new Date(result.createdAt).toLocaleString()}</td>
+                <td>{formatArm(result, result.variantA)}</td>
+                <td>{formatArm(result, result.variantB)}</td>
+                <td>{result.variants ? result.variants.length : 2}</td>
+                <td>{(result.probBGreater * 100).toFixed(1)}%</td>
+                <td>{result.seed ?? '—'}</td>
+                <td>{[result.pageType, ...(result.tags || [])].filter(Boolean).join(', ') || '—'}</td>
+                <td>
+                  <ActionButton onClick={() => onRestore(result)}>
+                    <FiRotateCcw />
+                    Restore
+                  </ActionButton>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      )}
+    </SavedContainer>
+  );
+};
@@ -0,0 +1,272 @@
+import React, { useState, useMemo } from 'react';
+import styled from 'styled-components';
+import { FiTrendingDown, FiAlertTriangle, FiCheckCircle } from 'react-icons/fi';
+import { dataSimulation } from '../services/dataSimulationService';
+import { TimeVaryingEffectModel, effectPatterns } from '../utils/timeVaryingEffect';
+import { LiftTrajectoryChart, ChangepointPosteriorChart } from './Charts';
+
+const AnalysisContainer = styled.div`
+  background: rgba(255, 255, 255, 0.95);
+  -webkit-backdrop-filter: blur(10px);
+  backdrop-filter: blur(10px);
+  border-radius: 16px;
+  padding: 24px;
+  box-shadow: 0 8px 32px rgba(0, 0, 0, 0.1);
+  border: 1px solid rgba(255, 255, 255, 0.2);
+  margin: 16px 0;
+`;
+
+const Title = styled.h3`
+  font-size: 20px;
+  font-weight: 700;
+  color: #2d3748;
+  margin-bottom: 8px;
+  display: flex;
+  align-items: center;
+  gap: 12px;
+`;
+
+const Subtitle = styled.p`
+  font-size: 14px;
+  color: #718096;
+  margin-bottom: 24px;
+`;
+
+const ControlRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  align-items: flex-end;
+  gap: 16px;
+  margin-bottom: 24px;
+`;
+
+const FieldLabel = styled.label`
+  display: block;
+  font-size: 13px;
+  font-weight: 600;
+  color: #4a5568;
+  margin-bottom: 6px;
+`;
+
+const Input = styled.input`
+  width: 120px;
+  padding: 8px 12px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  color: #2d3748;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const Select = styled.select`
+  padding: 8px 12px;
+  border: 2px solid #e2e8f0;
+  border-radius: 8px;
+  font-size: 14px;
+  color: #2d3748;
+  background: white;
+
+  &:focus {
+    outline: none;
+    border-color: #667eea;
+  }
+`;
+
+const ToggleButton = styled.button`
+  padding: 8px 16px;
+  border: 2px solid #667eea;
+  background: ${props => props.$active ? '#667eea' : 'transparent'};
+  color: ${props => props.$active ? 'white' : '#667eea'};
+  border-radius: 8px;
+  font-size: 14px;
+  font-weight: 600;
+  cursor: pointer;
+  transition: all 0.2s ease;
+  margin-right: 8px;
+`;
+
+const Verdict = styled.div`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  padding: 16px 20px;
+  border-radius: 12px;
+  margin-bottom: 16px;
+  font-size: 15px;
+  font-weight: 600;
+  background: ${props => props.$warning ? '#fffbeb' : '#f0fdf4'};
+  border: 2px solid ${props => props.$warning ? '#fcd34d' : '#86efac'};
+  color: ${props => props.$warning ? '#b45309' : '#15803d'};
+`;
+
+const ModelSummary = styled.div`
+  background: #f7fafc;
+  border-radius: 12px;
+  padding: 16px 20px;
+  border-left: 4px solid #667eea;
+  font-family: 'Courier New', monospace;
+  font-size: 14px;
+  color: #4a5568;
+  line-height: 1.8;
+`;
+
+const dataSources = {
+  sequential: 'Sequential Inputs',
+  simulated: 'Simulated Scenario'
+};
+
+const periodLengths = {
+  1: 'Daily',
+  7: 'Weekly'
+};
+
+const formatLift = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+
+/**
+ * Time-Varying Effect Analysis Component
+ * Estimates the lift per day or week with a random-walk model and locates a
+ * shift in the effect with a Bayesian changepoint model, so a novelty spike
+ * is not mistaken for a lasting win
+ */
+export const TimeVaryingEffectAnalysis = ({ calculator, sequentialData, seed, confidence }) => {
+  const [model] = useState(() => new TimeVaryingEffectModel(calculator));
+  const [source, setSource] = useState(sequentialData ? 'sequential' : 'simulated');
+  const [periodLength, setPeriodLength] = useState(1);
+  const [scenarioIndex, setScenarioIndex] = useState(0);
+  const [days, setDays] = useState(28);
+  const [noveltyBoost, setNoveltyBoost] = useState(50);
+
+  const series = useMemo(() => {
+    if (source === 'sequential') {
+      return sequentialData
+        ? { variantA: sequentialData.variantA, variantB: sequentialData.variantB, dataMode: sequentialData.dataMode }
+        : null;
+    }
+
+    const scenario = dataSimulation.scenarios[scenarioIndex];
+    dataSimulation.setSeed(seed);
+    const { dailyData } = dataSimulation.generateTestData(scenarioIndex, scenario.dailyTraffic * days, days, {
+      noveltyBoost: noveltyBoost / 100
+    });
+    return {
+      variantA: dailyData.map(day => day.variantA),
+      variantB: dailyData.map(day => day.variantB),
+      dataMode: 'increments'
+    };
+  }, [source, sequentialData, scenarioIndex, days, noveltyBoost, seed]);
+
+  const analysis = useMemo(() => (
+    series
+      ? model.analyze(series.variantA, series.variantB, { dataMode: series.dataMode, periodLength, confidence })
+      : null
+  ), [model, series, periodLength, confidence]);
+
+  const { changepoint } = analysis || {};
+  const isShifting = analysis && analysis.pattern !== 'stable';
+
+  return (
+    <>
+      <AnalysisContainer>
+        <Title>
+          <FiTrendingDown />
+          Time-Varying Effect
+        </Title>
+        <Subtitle>
+          Estimates the lift per period instead of collapsing every day into one posterior, and looks for the day
+          the treatment effect shifted. A lift that decays after launch is a novelty effect, not a lasting win.
+        </Subtitle>
+
+        <ControlRow>
+          <div>
+            <FieldLabel>Data</FieldLabel>
+            {Object.entries(dataSources).map(([key, label]) => (
+              <ToggleButton key={key} $active={source === key} onClick={() => setSource(key)}>
+                {label}
+              </ToggleButton>
+            ))}
+          </div>
+          <div>
+            <FieldLabel>Period</FieldLabel>
+            {Object.entries(periodLengths).map(([key, label]) => (
+              <ToggleButton key={key} $active={periodLength === Number(key)} onClick={() => setPeriodLength(Number(key))}>
+                {label}
+              </ToggleButton>
+            ))}
+          </div>
+        </ControlRow>
+
+        {source === 'simulated' && (
+          <ControlRow>
+            <div>
+              <FieldLabel>Scenario</FieldLabel>
+              <Select value={scenarioIndex} onChange={(e) => setScenarioIndex(Number(e.target.value))}>
+                {dataSimulation.scenarios.map((scenario, i) => (
+                  <option key={scenario.name} value={i}>{scenario.name}</option>
+                ))}
+              </Select>
+            </div>
+            <div>
+              <FieldLabel>Days</FieldLabel>
+              <Input
+                type="number"
+                min="2"
+                max="120"
+                value={days}
+                onChange={(e) => setDays(Math.min(120, Math.max(2, parseInt(e.target.value) || 2)))}
+              />
+            </div>
+            <div>
+              <FieldLabel>Day-one Novelty Boost (%)</FieldLabel>
+              <Input
+                type="number"
+                min="0"
+                step="10"
+                value={noveltyBoost}
+                onChange={(e) => setNoveltyBoost(Math.max(0, parseFloat(e.target.value) || 0))}
+              />
+            </div>
+          </ControlRow>
+        )}
+
+        {!analysis ? (
+          <Subtitle style={{ marginBottom: 0 }}>
+            {source === 'sequential'
+              ? 'Enter at least two valid periods for both variants in the sequential inputs above.'
+              : 'At least two periods are needed.'}
+          </Subtitle>
+        ) : (
+          <>
+            <Verdict $warning={isShifting}>
+              {isShifting ? <FiAlertTriangle /> : <FiCheckCircle />}
+              {isShifting
+                ? `${effectPatterns[analysis.pattern]}: lift moved from ${formatLift(changepoint.liftBefore)} to ${formatLift(changepoint.liftAfter)} at ${analysis.periods[changepoint.best.step - 1].label} (${(changepoint.probabilityOfChange * 100).toFixed(0)}% probability of a shift)`
+                : `${effectPatterns.stable}: ${(changepoint.probabilityOfChange * 100).toFixed(0)}% probability the effect shifted`}
+            </Verdict>
+            <ModelSummary>
+              <strong>Per period:</strong> d_t = logit p̂_B − logit p̂_A ~ N(δ_t, v_t)<br/>
+              <strong>Random walk:</strong> δ_t = δ_(t−1) + η_t, η_t ~ N(0, τ²), τ = {analysis.volatility} (max marginal likelihood)<br/>
+              <strong>Changepoint:</strong> δ shifts once, each segment δ ~ N(0, {model.effectScale}²); prior P(shift) = {model.changeProbability}<br/>
+              <strong>Latest lift:</strong> {formatLift(analysis.periods[analysis.periods.length - 1].lift.mean)}
+              {' '}[{formatLift(analysis.periods[analysis.periods.length - 1].lift.lower)}, {formatLift(analysis.periods[analysis.periods.length - 1].lift.upper)}]
+            </ModelSummary>
+          </>
+        )}
+      </AnalysisContainer>
+
+      {analysis && (
+        <>
+          <LiftTrajectoryChart
+            periods={analysis.periods}
+            confidence={confidence}
+            changeStep={isShifting ? changepoint.best.step : null}
+          />
+          <ChangepointPosteriorChart periods={analysis.periods} probabilities={changepoint.probabilities} />
+        </>
+      )}
+    </>
+  );
+};
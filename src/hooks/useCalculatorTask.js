@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { calculatorWorker } from '../services/calculatorWorkerService';
+
+const idleState = { data: null, isComputing: false, progress: 0, error: null };
+
+/**
+ * Run a calculator task off the main thread whenever its payload changes
+ *
+ * Stale-while-computing: the previous result stays in `data` while a new one
+ * is computed, and a payload change cancels the computation in flight.
+ * Memoize the payload, since every new object starts a new task.
+ *
+ * @param {string} task - Task name from calculatorTasks
+ * @param {Object|null} payload - Task input, or null for no result
+ * @param {string} channel - Worker channel; defaults to the task name
+ * @returns {Object} {data, isComputing, progress, error}
+ */
+export const useCalculatorTask = (task, payload, channel = task) => {
+  const [state, setState] = useState(idleState);
+
+  useEffect(() => {
+    if (!payload) {
+      calculatorWorker.cancel(channel);
+      setState(idleState);
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    setState(prev => ({ ...prev, isComputing: true, progress: 0, error: null }));
+
+    calculatorWorker
+      .run(task, payload, {
+        channel,
+        signal: controller.signal,
+        onProgress: (progress) => setState(prev => ({ ...prev, progress }))
+      })
+      .then(data => setState({ data, isComputing: false, progress: 1, error: null }))
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error(`Calculator task ${task} failed:`, error);
+        setState(prev => ({ ...prev, isComputing: false, error }));
+      });
+
+    return () => controller.abort();
+  }, [task, payload, channel]);
+
+  return state;
+};
@@ -0,0 +1,129 @@
+import { calculatorTasks } from '../workers/calculatorTasks';
+
+const createAbortError = () => Object.assign(new Error('Calculation cancelled'), { name: 'AbortError' });
+
+/**
+ * Calculator Worker Service
+ * Runs heavy calculator tasks in Web Workers behind a promise API with
+ * progress events and cancellation. Each channel owns one worker; starting a
+ * task on a busy channel cancels the task already running there. Falls back
+ * to the main thread where Web Workers are unavailable.
+ */
+export class CalculatorWorkerService {
+  constructor() {
+    this.channels = new Map();
+    this.nextId = 0;
+  }
+
+  /**
+   * Whether tasks can run off the main thread
+   */
+  isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Run a task from calculatorTasks
+   * @param {string} task - Task name
+   * @param {Object} payload - Structured-cloneable task input
+   * @param {Object} options - {channel, onProgress, signal}; the channel defaults to the task name
+   * @returns {Promise} Task result; rejects with an AbortError when cancelled
+   */
+  run(task, payload, { channel = task, onProgress = null, signal = null } = {}) {
+    this.cancel(channel);
+    if (signal && signal.aborted) return Promise.reject(createAbortError());
+
+    const id = ++this.nextId;
+    const promise = new Promise((resolve, reject) => {
+      const job = { id, resolve, reject, onProgress };
+
+      if (!this.isSupported()) {
+        this.channels.set(channel, { worker: null, job });
+        // Yield first so a cancellation in the same tick still applies
+        setTimeout(() => {
+          const current = this.channels.get(channel);
+          if (!current || current.job !== job) return;
+          try {
+            job.resolve(calculatorTasks[task](payload, (progress) => onProgress && onProgress(progress)));
+          } catch (error) {
+            job.reject(error);
+          } finally {
+            this.channels.delete(channel);
+          }
+        }, 0);
+        return;
+      }
+
+      const entry = this.channels.get(channel) || { worker: this.createWorker(channel), job: null };
+      entry.job = job;
+      this.channels.set(channel, entry);
+      entry.worker.postMessage({ id, task, payload });
+    });
+
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        const entry = this.channels.get(channel);
+        if (entry && entry.job && entry.job.id === id) this.cancel(channel);
+      });
+    }
+
+    return promise;
+  }
+
+  /**
+   * Cancel the task running on a channel. A busy worker never yields, so it
+   * is terminated and replaced by a fresh one on the next run.
+   * @param {string} channel - Channel name
+   */
+  cancel(channel) {
+    const entry = this.channels.get(channel);
+    if (!entry || !entry.job) return;
+
+    if (entry.worker) entry.worker.terminate();
+    this.channels.delete(channel);
+    entry.job.reject(createAbortError());
+  }
+
+  /**
+   * Worker for a channel, routing its messages to the channel's current job
+   * @param {string} channel - Channel name
+   * @returns {Worker} Calculator worker
+   */
+  createWorker(channel) {
+    const worker = new Worker(new URL('../workers/calculator.worker.js', import.meta.url));
+
+    worker.onmessage = ({ data }) => {
+      const entry = this.channels.get(channel);
+      const job = entry && entry.job;
+      if (!job || job.id !== data.id) return;
+
+      if (data.type === 'progress') {
+        if (job.onProgress) job.onProgress(data.progress);
+        return;
+      }
+
+      entry.job = null;
+      if (data.type === 'result') {
+        job.resolve(data.result);
+      } else {
+        job.reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      const entry = this.channels.get(channel);
+      if (entry && entry.job) {
+        const { job } = entry;
+        entry.worker.terminate();
+        this.channels.delete(channel);
+        job.reject(new Error(event.message || 'Calculator worker failed'));
+      }
+    };
+
+    return worker;
+  }
+}
+
+// Create singleton instance
+export const calculatorWorker = new CalculatorWorkerService();
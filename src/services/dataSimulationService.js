@@ -1,61 +1,105 @@
 import { BayesianCalculator } from '../utils/bayesianCalculator';
+import { SeededRandom } from '../utils/random';
+import { StoppingRuleEngine } from '../utils/stoppingRules';
+import { BanditEngine } from '../utils/banditEngine';
 
 /**
  * Dynamic Data Simulation Service
  * Generates realistic A/B test scenarios and data
  */
 export class DataSimulationService {
-  constructor() {
-    this.calculator = new BayesianCalculator();
+  constructor(rng = new SeededRandom(), calculator = new BayesianCalculator(1, 1, rng)) {
+    this.rng = rng;
+    this.calculator = calculator;
+    this.bandit = new BanditEngine(this.calculator);
     this.scenarios = [
       {
         name: "E-commerce Checkout Button",
         description: "Testing different button colors for checkout conversion",
         baselineRate: 0.12,
         expectedLift: 0.15,
-        variability: 0.02
+        variability: 0.02,
+        dailyTraffic: 2000
       },
       {
         name: "Email Subject Line",
         description: "A/B testing email open rates with different subject lines",
         baselineRate: 0.25,
         expectedLift: 0.08,
-        variability: 0.03
+        variability: 0.03,
+        dailyTraffic: 5000
       },
       {
         name: "Landing Page Headline",
         description: "Testing different headlines for sign-up conversion",
         baselineRate: 0.08,
         expectedLift: 0.20,
-        variability: 0.015
+        variability: 0.015,
+        dailyTraffic: 1500
       },
       {
         name: "Pricing Page Layout",
         description: "Testing different pricing page designs for subscription conversion",
         baselineRate: 0.15,
         expectedLift: 0.12,
-        variability: 0.025
+        variability: 0.025,
+        dailyTraffic: 800
       },
       {
         name: "Mobile App Onboarding",
         description: "Testing different onboarding flows for user retention",
         baselineRate: 0.35,
         expectedLift: 0.10,
-        variability: 0.04
+        variability: 0.04,
+        dailyTraffic: 3000
+      },
+      {
+        name: "Social Media Ad Creative",
+        description: "Testing ad creatives for click-through to the landing page",
+        baselineRate: 0.18,
+        expectedLift: 0.14,
+        variability: 0.03,
+        dailyTraffic: 4000
       }
     ];
   }
 
+  /**
+   * Reseed the shared generator so simulated data can be regenerated exactly
+   */
+  setSeed(seed) {
+    this.rng.setSeed(seed);
+  }
+
+  /**
+   * Current random seed
+   */
+  getSeed() {
+    return this.rng.seed;
+  }
+
+  /**
+   * Uniform draw on [0, 1) from the seeded generator
+   */
+  random() {
+    return this.rng.next();
+  }
+
   /**
    * Generate realistic test data based on scenario
+   * @param {number} scenarioIndex - Scenario to simulate
+   * @param {number} sampleSize - Visitors per variant over the whole test
+   * @param {number} days - Test duration in days
+   * @param {Object} options - noveltyBoost: extra relative lift for B on day
+   *   one, halving every noveltyHalfLife days
    */
-  generateTestData(scenarioIndex = 0, sampleSize = 1000, days = 7) {
+  generateTestData(scenarioIndex = 0, sampleSize = 1000, days = 7, { noveltyBoost = 0, noveltyHalfLife = 3 } = {}) {
     const scenario = this.scenarios[scenarioIndex] || this.scenarios[0];
     const { baselineRate, expectedLift, variability } = scenario;
     
     // Generate realistic conversion rates with some randomness
-    const variantARate = baselineRate + (Math.random() - 0.5) * variability;
-    const variantBRate = baselineRate * (1 + expectedLift) + (Math.random() - 0.5) * variability;
+    const variantARate = baselineRate + (this.random() - 0.5) * variability;
+    const variantBRate = baselineRate * (1 + expectedLift) + (this.random() - 0.5) * variability;
     
     // Ensure rates are between 0 and 1
     const safeARate = Math.max(0.01, Math.min(0.99, variantARate));
@@ -65,12 +109,13 @@ export class DataSimulationService {
     const dailyData = [];
     for (let day = 0; day < days; day++) {
       // Add some daily variation
-      const dayVariation = 0.8 + Math.random() * 0.4; // 80% to 120% of normal
+      const dayVariation = 0.8 + this.random() * 0.4; // 80% to 120% of normal
       const dailySampleSize = Math.floor(sampleSize / days * dayVariation);
       
       // Generate successes using binomial distribution approximation
-      const aSuccesses = Math.floor(dailySampleSize * safeARate * (0.9 + Math.random() * 0.2));
-      const bSuccesses = Math.floor(dailySampleSize * safeBRate * (0.9 + Math.random() * 0.2));
+      const aSuccesses = Math.floor(dailySampleSize * safeARate * (0.9 + this.random() * 0.2));
+      const novelty = 1 + noveltyBoost * Math.pow(0.5, day / noveltyHalfLife);
+      const bSuccesses = Math.floor(dailySampleSize * Math.min(0.99, safeBRate * novelty) * (0.9 + this.random() * 0.2));
       
       dailyData.push({
         day: day + 1,
@@ -103,13 +148,17 @@ export class DataSimulationService {
 
   /**
    * Generate sequential test data with early stopping simulation
+   * @param {number} scenarioIndex - Scenario to simulate
+   * @param {number} maxDays - Maximum test duration in days
+   * @param {Object} rules - Stopping rule configuration for StoppingRuleEngine
    */
-  generateSequentialData(scenarioIndex = 0, maxDays = 30) {
+  generateSequentialData(scenarioIndex = 0, maxDays = 30, rules = {}) {
+    const engine = new StoppingRuleEngine({ maxSteps: maxDays, ...rules });
     const scenario = this.scenarios[scenarioIndex] || this.scenarios[0];
     const { baselineRate, expectedLift, variability } = scenario;
     
-    const variantARate = baselineRate + (Math.random() - 0.5) * variability;
-    const variantBRate = baselineRate * (1 + expectedLift) + (Math.random() - 0.5) * variability;
+    const variantARate = baselineRate + (this.random() - 0.5) * variability;
+    const variantBRate = baselineRate * (1 + expectedLift) + (this.random() - 0.5) * variability;
     
     const safeARate = Math.max(0.01, Math.min(0.99, variantARate));
     const safeBRate = Math.max(0.01, Math.min(0.99, variantBRate));
@@ -120,11 +169,11 @@ export class DataSimulationService {
     
     for (let day = 1; day <= maxDays; day++) {
       // Daily sample size with some variation
-      const dailySampleSize = 200 + Math.floor(Math.random() * 100);
+      const dailySampleSize = 200 + Math.floor(this.random() * 100);
       
       // Generate daily successes
-      const aSuccesses = Math.floor(dailySampleSize * safeARate * (0.9 + Math.random() * 0.2));
-      const bSuccesses = Math.floor(dailySampleSize * safeBRate * (0.9 + Math.random() * 0.2));
+      const aSuccesses = Math.floor(dailySampleSize * safeARate * (0.9 + this.random() * 0.2));
+      const bSuccesses = Math.floor(dailySampleSize * safeBRate * (0.9 + this.random() * 0.2));
       
       // Update cumulative totals
       cumulativeA.successes += aSuccesses;
@@ -135,7 +184,15 @@ export class DataSimulationService {
       // Calculate Bayesian probability
       const posteriorA = this.calculator.calculatePosterior(cumulativeA.successes, cumulativeA.trials);
       const posteriorB = this.calculator.calculatePosterior(cumulativeB.successes, cumulativeB.trials);
-      const probBGreater = this.calculator.calculateProbabilityBGreaterThanAMonteCarlo(posteriorA, posteriorB);
+      const probBGreater = this.calculator.calculateProbabilityBGreaterThanA(posteriorA, posteriorB);
+      const expectedLoss = this.calculator.calculateExpectedLoss(posteriorA, posteriorB);
+      const decision = engine.evaluate({
+        step: day,
+        trialsA: cumulativeA.trials,
+        trialsB: cumulativeB.trials,
+        probBGreater,
+        expectedLoss
+      });
       
       sequentialData.push({
         day,
@@ -150,11 +207,13 @@ export class DataSimulationService {
           cumulative: { ...cumulativeB }
         },
         probabilityBGreater: probBGreater,
-        shouldStop: probBGreater >= 0.95 || probBGreater <= 0.05
+        expectedLoss,
+        shouldStop: decision.shouldStop,
+        decision
       });
       
       // Early stopping
-      if (probBGreater >= 0.95 || probBGreater <= 0.05) {
+      if (decision.shouldStop) {
         break;
       }
     }
@@ -174,9 +233,9 @@ export class DataSimulationService {
    * Generate sample size recommendations
    */
   calculateSampleSize(baselineRate, expectedLift, power = 0.8, alpha = 0.05) {
-    // Using power analysis for binomial proportions
-    const zAlpha = 1.96; // 95% confidence
-    const zBeta = 0.84; // 80% power
+    // Using power analysis for binomial proportions (two-sided alpha)
+    const zAlpha = this.calculator.inverseNormalCDF(1 - alpha / 2);
+    const zBeta = this.calculator.inverseNormalCDF(power);
     
     const p1 = baselineRate;
     const p2 = baselineRate * (1 + expectedLift);
@@ -198,6 +257,353 @@ export class DataSimulationService {
     };
   }
 
+  /**
+   * Bayesian assurance: probability that the decision rule picks the truly
+   * better variant, as a function of the per-variant sample size.
+   *
+   * True rates are drawn from the design priors (baseline rate and relative
+   * lift), data are simulated for each sample size with the same draws, and
+   * each dataset is analysed under the analysis prior and decided by the
+   * dashboard's rule: exact P(B > A), or Monte Carlo expected loss with the
+   * calculator's monteCarloSamples. Thousands of tests are decided per curve,
+   * so run this on a dedicated calculator with a small draw count (see the
+   * simulateAssurance worker task). The expected interval width uses a normal
+   * approximation to θB − θA.
+   *
+   * @param {Object} options
+   * @param {Object} options.baselinePrior - Beta design prior on the control rate {alpha, beta}
+   * @param {Object} options.liftPrior - Normal design prior on the relative lift {mean, sd}
+   * @param {Array} options.sampleSizes - Per-variant sample sizes to evaluate
+   * @param {number} options.simulations - Simulated experiments per sample size
+   * @param {Object} options.decisionRule - {type: 'probability' | 'expected-loss', threshold}
+   * @param {Object} options.analysisPrior - Beta prior used to analyse each experiment
+   * @param {number} options.confidence - Level of the credible interval on B − A
+   * @param {Function} onProgress - Called with the completed fraction after each sample size
+   * @returns {Array} [{sampleSize, assurance, errorRate, undecidedRate, expectedIntervalWidth}]
+   */
+  simulateAssurance({
+    baselinePrior,
+    liftPrior,
+    sampleSizes,
+    simulations = 500,
+    decisionRule = { type: 'probability', threshold: 0.95 },
+    analysisPrior = { alpha: 1, beta: 1 },
+    confidence = 0.95
+  }, onProgress = () => {}) {
+    const z = this.calculator.inverseNormalCDF(1 - (1 - confidence) / 2);
+
+    const truths = Array.from({ length: simulations }, () => {
+      const rateA = this.calculator.sampleBeta(baselinePrior.alpha, baselinePrior.beta);
+      const lift = this.calculator.sampleNormal(liftPrior.mean, liftPrior.sd);
+      return { rateA, rateB: Math.max(0, Math.min(1, rateA * (1 + lift))) };
+    });
+
+    return sampleSizes.map((sampleSize, index) => {
+      let correct = 0;
+      let wrong = 0;
+      let widthSum = 0;
+
+      truths.forEach(({ rateA, rateB }) => {
+        const posteriorA = this.calculator.calculatePosterior(this.sampleBinomial(sampleSize, rateA), sampleSize, analysisPrior.alpha, analysisPrior.beta);
+        const posteriorB = this.calculator.calculatePosterior(this.sampleBinomial(sampleSize, rateB), sampleSize, analysisPrior.alpha, analysisPrior.beta);
+        const sd = Math.sqrt(this.calculator.calculateVariance(posteriorA) + this.calculator.calculateVariance(posteriorB));
+        const decision = this.applyDecisionRule(posteriorA, posteriorB, decisionRule);
+
+        widthSum += 2 * z * sd;
+        if (decision === null) return;
+        if ((decision === 'B') === (rateB > rateA)) correct++;
+        else wrong++;
+      });
+
+      onProgress((index + 1) / sampleSizes.length);
+      return {
+        sampleSize,
+        assurance: correct / simulations,
+        errorRate: wrong / simulations,
+        undecidedRate: (simulations - correct - wrong) / simulations,
+        expectedIntervalWidth: widthSum / simulations
+      };
+    });
+  }
+
+  /**
+   * Decision for one simulated experiment, computed as the dashboard does
+   * @param {Object} posteriorA - Beta posterior {alpha, beta} for variant A
+   * @param {Object} posteriorB - Beta posterior {alpha, beta} for variant B
+   * @param {Object} decisionRule - {type: 'probability' | 'expected-loss', threshold}
+   * @returns {string|null} 'A', 'B' or null when the rule does not decide
+   */
+  applyDecisionRule(posteriorA, posteriorB, { type, threshold }) {
+    if (type === 'expected-loss') {
+      const { lossA, lossB } = this.calculator.calculateExpectedLoss(posteriorA, posteriorB);
+      if (Math.min(lossA, lossB) >= threshold) return null;
+      return lossB <= lossA ? 'B' : 'A';
+    }
+
+    const probBGreater = this.calculator.calculateProbabilityBGreaterThanA(posteriorA, posteriorB);
+    if (probBGreater >= threshold) return 'B';
+    if (1 - probBGreater >= threshold) return 'A';
+    return null;
+  }
+
+  /**
+   * Run one synthetic sequential experiment with known true rates through
+   * BayesianCalculator.sequentialTest, peeking after every day
+   * @param {Object} options - {rateA, rateB, dailyTraffic, maxDays, rules}
+   * @returns {Object} {decision, stopDay, chosenRate}
+   */
+  runSequentialExperiment({ rateA, rateB, dailyTraffic, maxDays, rules }) {
+    const dataA = [];
+    const dataB = [];
+    for (let day = 0; day < maxDays; day++) {
+      dataA.push({ successes: this.sampleBinomial(dailyTraffic, rateA), trials: dailyTraffic });
+      dataB.push({ successes: this.sampleBinomial(dailyTraffic, rateB), trials: dailyTraffic });
+    }
+
+    const steps = this.calculator.sequentialTest(dataA, dataB, rules, 'increments');
+    const last = steps[steps.length - 1];
+    // A test that never meets an efficacy rule keeps the control
+    const decision = last.shouldStop && last.decision.winner ? last.decision.winner : null;
+
+    return {
+      decision,
+      stopDay: decision ? last.step : null,
+      chosenRate: decision === 'B' ? rateB : rateA
+    };
+  }
+
+  /**
+   * Operating characteristics of a stopping rule: false-decision rate on A/A
+   * nulls, power on known lifts, time to decision and regret. Expected loss is
+   * recomputed at every daily look with the calculator's monteCarloSamples, so
+   * run this on a dedicated calculator with a few hundred draws (see the
+   * simulateOperatingCharacteristics worker task)
+   * @param {Object} options
+   * @param {number} options.baselineRate - True control conversion rate
+   * @param {Array} options.trueLifts - Relative lifts of B to simulate (0 = A/A)
+   * @param {number} options.experiments - Synthetic experiments per lift
+   * @param {number} options.dailyTraffic - Visitors per variant per day
+   * @param {number} options.maxDays - Days before the test is abandoned
+   * @param {Object} options.rules - Stopping rule configuration
+   * @param {Function} onProgress - Called with the completed fraction every few experiments
+   * @returns {Array} One summary per lift
+   */
+  simulateOperatingCharacteristics({
+    baselineRate,
+    trueLifts,
+    experiments = 500,
+    dailyTraffic = 500,
+    maxDays = 30,
+    rules = {}
+  }, onProgress = () => {}) {
+    const effectiveRules = { ...rules, maxSteps: Math.min(maxDays, rules.maxSteps ?? maxDays) };
+    const progressInterval = 25;
+    const total = trueLifts.length * experiments;
+    const summaries = [];
+    let completed = 0;
+
+    for (const lift of trueLifts) {
+      const rateA = baselineRate;
+      const rateB = Math.max(0, Math.min(1, baselineRate * (1 + lift)));
+      const runs = [];
+
+      for (let i = 0; i < experiments; i++) {
+        runs.push(this.runSequentialExperiment({ rateA, rateB, dailyTraffic, maxDays, rules: effectiveRules }));
+        completed++;
+        if (completed % progressInterval === 0) onProgress(completed / total);
+      }
+
+      summaries.push(this.summarizeOperatingCharacteristics(runs, { lift, rateA, rateB, maxDays }));
+    }
+
+    return summaries;
+  }
+
+  /**
+   * Aggregate simulated experiments for one true lift
+   * @param {Array} runs - Results of runSequentialExperiment
+   * @param {Object} truth - {lift, rateA, rateB, maxDays}
+   * @returns {Object} Decision rates, time-to-decision distribution and regret
+   */
+  summarizeOperatingCharacteristics(runs, { lift, rateA, rateB, maxDays }) {
+    const n = runs.length;
+    const better = rateB > rateA ? 'B' : rateA > rateB ? 'A' : null;
+    const decided = runs.filter(run => run.decision);
+    const correct = better ? decided.filter(run => run.decision === better).length : 0;
+    const stopDays = decided.map(run => run.stopDay).sort((a, b) => a - b);
+    const bestRate = Math.max(rateA, rateB);
+
+    const timeToDecision = new Array(maxDays).fill(0);
+    stopDays.forEach(day => { timeToDecision[day - 1]++; });
+
+    return {
+      lift,
+      rateA,
+      rateB,
+      experiments: n,
+      decisionRate: decided.length / n,
+      // With no true difference any declared winner is a false positive
+      falseDecisionRate: (decided.length - correct) / n,
+      power: better ? correct / n : null,
+      undecidedRate: (n - decided.length) / n,
+      meanTimeToDecision: stopDays.length ? stopDays.reduce((sum, day) => sum + day, 0) / stopDays.length : null,
+      medianTimeToDecision: stopDays.length ? stopDays[Math.floor((stopDays.length - 1) / 2)] : null,
+      timeToDecision,
+      averageRegret: runs.reduce((sum, run) => sum + (bestRate - run.chosenRate), 0) / n
+    };
+  }
+
+  /**
+   * Cumulative regret of bandit policies on the built-in scenarios
+   *
+   * Each scenario runs as a two-arm bandit (control at the baseline rate,
+   * variant at the expected lift) with its daily traffic reallocated after
+   * every day. Regret is the expected conversions lost versus sending all
+   * traffic to the better arm.
+   * @param {Object} options
+   * @param {Array} options.policies - Policy keys from banditPolicies
+   * @param {number} options.periods - Allocation periods (days) per run
+   * @param {number} options.replications - Simulated runs per scenario and policy
+   * @param {number} options.epsilon - Exploration share for epsilon-greedy
+   * @param {number} options.thompsonDraws - Thompson draws used to estimate each period's shares
+   * @param {Function} onProgress - Called with the completed fraction every few runs
+   * @returns {Array} [{scenario, rates, policies: [{policy, cumulativeRegret, finalRegret, bestArmShare}]}]
+   */
+  simulateBanditRegret({
+    policies = ['fixed', 'epsilon-greedy', 'thompson'],
+    periods = 30,
+    replications = 100,
+    epsilon = 0.1,
+    thompsonDraws = 500
+  } = {}, onProgress = () => {}) {
+    const total = this.scenarios.length * policies.length * replications;
+    const progressInterval = 10;
+    const results = [];
+    let completed = 0;
+
+    for (const scenario of this.scenarios) {
+      const rates = [scenario.baselineRate, Math.min(1, scenario.baselineRate * (1 + scenario.expectedLift))];
+      const policyResults = [];
+
+      for (const policy of policies) {
+        const cumulativeRegret = new Array(periods).fill(0);
+        let bestArmVisitors = 0;
+
+        for (let r = 0; r < replications; r++) {
+          const run = this.runBandit({ rates, policy, periods, dailyTraffic: scenario.dailyTraffic, epsilon, thompsonDraws });
+          run.cumulativeRegret.forEach((regret, period) => { cumulativeRegret[period] += regret; });
+          bestArmVisitors += run.bestArmVisitors;
+          completed++;
+          if (completed % progressInterval === 0) onProgress(completed / total);
+        }
+
+        const meanRegret = cumulativeRegret.map(regret => regret / replications);
+        policyResults.push({
+          policy,
+          cumulativeRegret: meanRegret,
+          finalRegret: meanRegret[periods - 1],
+          bestArmShare: bestArmVisitors / (replications * periods * scenario.dailyTraffic)
+        });
+      }
+
+      results.push({ scenario: scenario.name, rates, policies: policyResults });
+    }
+
+    return results;
+  }
+
+  /**
+   * One simulated bandit run with known true rates
+   * @param {Object} options - {rates, policy, periods, dailyTraffic, epsilon, thompsonDraws}
+   * @returns {Object} {cumulativeRegret: per-period totals, bestArmVisitors}
+   */
+  runBandit({ rates, policy, periods, dailyTraffic, epsilon, thompsonDraws }) {
+    const bestRate = Math.max(...rates);
+    const bestIndex = rates.indexOf(bestRate);
+    const successes = new Array(rates.length).fill(0);
+    const trials = new Array(rates.length).fill(0);
+    const cumulativeRegret = [];
+    let regret = 0;
+    let bestArmVisitors = 0;
+
+    for (let period = 0; period < periods; period++) {
+      const posteriors = rates.map((_, i) => this.calculator.calculatePosterior(successes[i], trials[i], 1, 1));
+      const shares = this.bandit.allocate(policy, posteriors, { epsilon, draws: thompsonDraws });
+      const visitors = this.bandit.splitTraffic(dailyTraffic, shares);
+
+      for (let i = 0; i < rates.length; i++) {
+        successes[i] += this.sampleBinomial(visitors[i], rates[i]);
+        trials[i] += visitors[i];
+        regret += visitors[i] * (bestRate - rates[i]);
+      }
+      bestArmVisitors += visitors[bestIndex];
+      cumulativeRegret.push(regret);
+    }
+
+    return { cumulativeRegret, bestArmVisitors };
+  }
+
+  /**
+   * Per-user outcomes with a correlated pre-period covariate, for CUPED
+   * Each user has a propensity p ~ Beta(κ·rate, κ·(1 − rate)); the covariate
+   * counts conversions in preWeeks earlier weeks and the outcome is one
+   * Bernoulli(p) conversion, times 1 + lift in the treatment. A smaller κ
+   * means more heterogeneous users and a stronger correlation.
+   * @param {Object} options - {usersPerVariant, baselineRate, lift, concentration, preWeeks}
+   * @returns {Array} Array of {variant, outcome, covariate, units}
+   */
+  generateCovariateData({
+    usersPerVariant = 2000,
+    baselineRate = 0.1,
+    lift = 0.1,
+    concentration = 1,
+    preWeeks = 4
+  } = {}) {
+    const rows = [];
+    ['A', 'B'].forEach(variant => {
+      for (let i = 0; i < usersPerVariant; i++) {
+        const propensity = this.calculator.sampleBeta(concentration * baselineRate, concentration * (1 - baselineRate));
+        const rate = Math.min(1, variant === 'B' ? propensity * (1 + lift) : propensity);
+        rows.push({
+          variant,
+          outcome: this.random() < rate ? 1 : 0,
+          covariate: this.sampleBinomial(preWeeks, propensity),
+          units: 1
+        });
+      }
+    });
+    return rows;
+  }
+
+  /**
+   * Binomial draw: inversion when the smaller tail mean is small,
+   * continuity-corrected normal approximation otherwise
+   * @param {number} n - Trials
+   * @param {number} p - Success probability
+   * @returns {number} Number of successes
+   */
+  sampleBinomial(n, p) {
+    if (p <= 0) return 0;
+    if (p >= 1) return n;
+    if (p > 0.5) return n - this.sampleBinomial(n, 1 - p);
+
+    if (n * p < 30) {
+      const odds = p / (1 - p);
+      let probability = Math.pow(1 - p, n);
+      let u = this.random();
+      let x = 0;
+      while (u > probability && x < n) {
+        u -= probability;
+        x++;
+        probability *= odds * (n - x + 1) / x;
+      }
+      return x;
+    }
+
+    const draw = Math.round(n * p + Math.sqrt(n * p * (1 - p)) * this.calculator.sampleNormal());
+    return Math.max(0, Math.min(n, draw));
+  }
+
   /**
    * Generate realistic user behavior patterns
    */
@@ -218,29 +624,29 @@ export class DataSimulationService {
 
   getHourlyTraffic(hour) {
     // Simulate realistic traffic patterns
-    if (hour >= 9 && hour <= 17) return 0.8 + Math.random() * 0.4; // Business hours
-    if (hour >= 19 && hour <= 22) return 0.6 + Math.random() * 0.3; // Evening
-    return 0.2 + Math.random() * 0.2; // Night/early morning
+    if (hour >= 9 && hour <= 17) return 0.8 + this.random() * 0.4; // Business hours
+    if (hour >= 19 && hour <= 22) return 0.6 + this.random() * 0.3; // Evening
+    return 0.2 + this.random() * 0.2; // Night/early morning
   }
 
   getHourlyConversionRate(hour) {
     // Conversion rates vary by time of day
-    if (hour >= 10 && hour <= 14) return 0.9 + Math.random() * 0.2; // Peak hours
-    if (hour >= 20 && hour <= 22) return 0.8 + Math.random() * 0.3; // Evening
-    return 0.7 + Math.random() * 0.3; // Other times
+    if (hour >= 10 && hour <= 14) return 0.9 + this.random() * 0.2; // Peak hours
+    if (hour >= 20 && hour <= 22) return 0.8 + this.random() * 0.3; // Evening
+    return 0.7 + this.random() * 0.3; // Other times
   }
 
   getWeeklyTraffic(day) {
     // Weekend vs weekday patterns
-    if (day === 0 || day === 6) return 0.6 + Math.random() * 0.2; // Weekend
-    return 0.8 + Math.random() * 0.3; // Weekday
+    if (day === 0 || day === 6) return 0.6 + this.random() * 0.2; // Weekend
+    return 0.8 + this.random() * 0.3; // Weekday
   }
 
   getWeeklyConversionRate(day) {
     // Conversion rates by day of week
-    if (day === 1) return 0.7 + Math.random() * 0.2; // Monday blues
-    if (day === 5) return 0.9 + Math.random() * 0.1; // Friday excitement
-    return 0.8 + Math.random() * 0.2; // Other days
+    if (day === 1) return 0.7 + this.random() * 0.2; // Monday blues
+    if (day === 5) return 0.9 + this.random() * 0.1; // Friday excitement
+    return 0.8 + this.random() * 0.2; // Other days
   }
 
   /**
@@ -263,7 +669,7 @@ export class DataSimulationService {
       `Holiday ${scenario.name} Experiment`
     ];
     
-    return variations[Math.floor(Math.random() * variations.length)];
+    return variations[Math.floor(this.random() * variations.length)];
   }
 }
 
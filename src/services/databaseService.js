@@ -146,6 +146,36 @@ export class DatabaseService {
     }
   }
 
+  /**
+   * Get saved test results, optionally only those with a tag or page type
+   */
+  async getTestResults({ tag = null, pageType = null } = {}) {
+    if (!this.isInitialized) await this.initialize();
+
+    const matches = (result) =>
+      (!tag || (result.tags || []).includes(tag)) &&
+      (!pageType || result.pageType === pageType);
+
+    try {
+      if (this.db) {
+        return new Promise((resolve, reject) => {
+          const transaction = this.db.transaction(['testResults'], 'readonly');
+          const store = transaction.objectStore('testResults');
+          const request = store.getAll();
+
+          request.onsuccess = () => resolve((request.result || []).filter(matches));
+          request.onerror = () => reject(request.error);
+        });
+      } else {
+        // Fallback to localStorage
+        return (this.getFromLocalStorage('testResults') || []).filter(matches);
+      }
+    } catch (error) {
+      console.error('Failed to get test results:', error);
+      return [];
+    }
+  }
+
   /**
    * Update user preference
    */
@@ -0,0 +1,130 @@
+/**
+ * Multi-armed bandit allocation for Beta-Binomial arms
+ *
+ * Policies:
+ * - Fixed split:     equal traffic to every arm, as in a classic A/B test
+ * - Epsilon-greedy:  1 − ε of traffic to the arm with the highest posterior
+ *                    mean, ε spread evenly across all arms
+ * - Thompson:        every visitor gets the arm whose posterior draw is
+ *                    highest, so each arm's share equals P(arm is best)
+ */
+
+export const banditPolicies = {
+  fixed: 'Fixed Split',
+  'epsilon-greedy': 'Epsilon-Greedy',
+  thompson: 'Thompson Sampling'
+};
+
+export class BanditEngine {
+  constructor(calculator, { epsilon = 0.1, draws = 10000 } = {}) {
+    this.calculator = calculator;
+    this.epsilon = epsilon;
+    // Thompson draws used to estimate allocation shares for a recommendation
+    this.draws = draws;
+  }
+
+  /**
+   * Arm chosen by a single Thompson sample: one draw from every posterior
+   * @param {Array} posteriors - [{alpha, beta}]
+   * @returns {number} Index of the arm with the highest draw
+   */
+  thompsonSelect(posteriors) {
+    let bestIndex = 0;
+    let bestDraw = -Infinity;
+    posteriors.forEach(({ alpha, beta }, index) => {
+      const draw = this.calculator.sampleBeta(alpha, beta);
+      if (draw > bestDraw) {
+        bestDraw = draw;
+        bestIndex = index;
+      }
+    });
+    return bestIndex;
+  }
+
+  /**
+   * Visitors per arm when each of the given visitors is assigned by Thompson sampling
+   * @param {Array} posteriors - [{alpha, beta}]
+   * @param {number} visitors - Number of assignments
+   * @returns {Array} Assignment counts indexed like posteriors
+   */
+  thompsonAssign(posteriors, visitors) {
+    const counts = new Array(posteriors.length).fill(0);
+    for (let i = 0; i < visitors; i++) {
+      counts[this.thompsonSelect(posteriors)]++;
+    }
+    return counts;
+  }
+
+  /**
+   * Traffic shares for the next period under a policy
+   * @param {string} policy - 'fixed' | 'epsilon-greedy' | 'thompson'
+   * @param {Array} posteriors - [{alpha, beta}]
+   * @param {Object} options - {epsilon, draws}
+   * @returns {Array} Shares summing to 1, indexed like posteriors
+   */
+  allocate(policy, posteriors, { epsilon = this.epsilon, draws = this.draws } = {}) {
+    const k = posteriors.length;
+
+    if (policy === 'thompson') {
+      return this.thompsonAssign(posteriors, draws).map(count => count / draws);
+    }
+
+    if (policy === 'epsilon-greedy') {
+      const means = posteriors.map(posterior => this.calculator.calculateExpectedValue(posterior));
+      const greedyIndex = means.indexOf(Math.max(...means));
+      return means.map((_, index) => epsilon / k + (index === greedyIndex ? 1 - epsilon : 0));
+    }
+
+    return new Array(k).fill(1 / k);
+  }
+
+  /**
+   * Split a whole number of visitors by shares (largest remainder method)
+   * @param {number} visitors - Visitors to distribute
+   * @param {Array} shares - Shares summing to 1
+   * @returns {Array} Integer visitors per arm summing to visitors
+   */
+  splitTraffic(visitors, shares) {
+    const exact = shares.map(share => share * visitors);
+    const counts = exact.map(Math.floor);
+    let remaining = visitors - counts.reduce((sum, count) => sum + count, 0);
+
+    exact
+      .map((value, index) => ({ index, remainder: value - counts[index] }))
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(({ index }) => {
+        if (remaining > 0) {
+          counts[index]++;
+          remaining--;
+        }
+      });
+
+    return counts;
+  }
+
+  /**
+   * Recommend next-period traffic from the current results of every arm
+   * @param {Array} arms - [{name, successes, trials}]
+   * @param {Object} options - {policy, visitors, prior: {alpha, beta}, epsilon}
+   * @returns {Object} {policy, arms: [{name, posterior, expectedValue, share, visitors}], best}
+   */
+  recommend(arms, { policy = 'thompson', visitors = 1000, prior = { alpha: 1, beta: 1 }, epsilon = this.epsilon } = {}) {
+    const posteriors = arms.map(arm => this.calculator.calculatePosterior(arm.successes, arm.trials, prior.alpha, prior.beta));
+    const shares = this.allocate(policy, posteriors, { epsilon });
+    const counts = this.splitTraffic(visitors, shares);
+
+    const results = arms.map((arm, index) => ({
+      name: arm.name,
+      posterior: posteriors[index],
+      expectedValue: this.calculator.calculateExpectedValue(posteriors[index]),
+      share: shares[index],
+      visitors: counts[index]
+    }));
+
+    return {
+      policy,
+      arms: results,
+      best: results.reduce((best, arm) => (arm.expectedValue > best.expectedValue ? arm : best))
+    };
+  }
+}
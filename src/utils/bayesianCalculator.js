@@ -1,4 +1,6 @@
 // mathjs import removed as it was unused
+import { SeededRandom } from './random';
+import { StoppingRuleEngine } from './stoppingRules';
 
 /**
  * Advanced Bayesian A/B Testing Calculator
@@ -18,11 +20,56 @@
  * Where θ is the conversion rate, n is trials, x is successes
  */
 
+// Above this many terms the exact P(B > A) summation is slower than integration
+const exactSummationLimit = 20000;
+
 export class BayesianCalculator {
-  constructor(alpha = 1, beta = 1) {
+  constructor(alpha = 1, beta = 1, rng = new SeededRandom()) {
     this.alpha = alpha;
     this.beta = beta;
     this.monteCarloSamples = 10000;
+    // Adaptive Monte Carlo: with a target set, estimates keep drawing until the
+    // standard error of their probabilities and losses is at most the target
+    this.precisionTarget = null;
+    this.maxMonteCarloSamples = 1000000;
+    this.rng = rng;
+    // Gamma prior for count metrics: one unit of exposure averaging one event
+    this.countShape = 1;
+    this.countRate = 1;
+  }
+
+  /**
+   * Reseed the random number generator so Monte Carlo results are reproducible
+   * @param {number} seed - Unsigned 32-bit seed
+   */
+  setSeed(seed) {
+    this.rng.setSeed(seed);
+  }
+
+  /**
+   * Current random seed
+   * @returns {number} Seed the generator was last reset with
+   */
+  getSeed() {
+    return this.rng.seed;
+  }
+
+  /**
+   * Switch adaptive Monte Carlo on or off
+   * @param {number|null} target - Largest acceptable MCSE, or null for a fixed monteCarloSamples draws
+   * @param {number} maxSamples - Cap on the draws per arm
+   */
+  setPrecisionTarget(target, maxSamples = this.maxMonteCarloSamples) {
+    this.precisionTarget = target;
+    this.maxMonteCarloSamples = maxSamples;
+  }
+
+  /**
+   * Uniform draw on [0, 1) from the pluggable generator
+   * @returns {number} Random value
+   */
+  random() {
+    return this.rng.next();
   }
 
   // calculatePosterior without explicit prior parameters removed to avoid duplication
@@ -47,7 +94,7 @@ export class BayesianCalculator {
   }
 
   /**
-   * Calculate log of gamma function using Stirling's approximation
+   * Calculate log of gamma function using the Lanczos approximation (g = 7)
    * @param {number} x - Input value
    * @returns {number} log(Γ(x))
    */
@@ -57,7 +104,7 @@ export class BayesianCalculator {
     }
     
     x -= 1;
-    let a = x + 5.5;
+    let a = x + 7.5;
     let b = x + 0.5;
     let c = 0.99999999999980993;
     
@@ -71,11 +118,14 @@ export class BayesianCalculator {
       c += coefficients[i] / (x + i + 1);
     }
     
-    return Math.log(c) + b * Math.log(a) - a;
+    return 0.5 * Math.log(2 * Math.PI) + Math.log(c) + b * Math.log(a) - a;
   }
 
   /**
    * Calculate probability that B > A
+   * Uses the exact closed form for integer parameters up to
+   * exactSummationLimit terms, and numerical integration against the exact
+   * Beta CDF otherwise
    * @param {Object} posteriorA - Posterior parameters for variant A
    * @param {Object} posteriorB - Posterior parameters for variant B
    * @returns {number} Probability that B > A
@@ -83,19 +133,78 @@ export class BayesianCalculator {
   calculateProbabilityBGreaterThanA(posteriorA, posteriorB) {
     const { alpha: alphaA, beta: betaA } = posteriorA;
     const { alpha: alphaB, beta: betaB } = posteriorB;
+
+    if ([alphaA, betaA, alphaB, betaB].every(Number.isInteger) && alphaB <= exactSummationLimit) {
+      return this.calculateProbabilityBGreaterThanAExact(posteriorA, posteriorB);
+    }
     
-    // Using numerical integration
-    const numPoints = 1000;
+    // P(B > A) = ∫ (1 - F_B(Q_A(u))) du over u ∈ [0, 1]. Substituting the
+    // quantile of A keeps the integrand bounded even when f_A is singular.
+    const numIntervals = 1000;
+    const h = 1 / numIntervals;
     let probability = 0;
     
-    for (let i = 0; i < numPoints; i++) {
-      const x = i / numPoints;
-      const pdfA = this.betaPDF(x, alphaA, betaA);
-      const cdfB = this.betaCDF(x, alphaB, betaB);
-      probability += pdfA * cdfB / numPoints;
+    for (let i = 0; i <= numIntervals; i++) {
+      const x = this.betaQuantile(i * h, alphaA, betaA);
+      const weight = i === 0 || i === numIntervals ? 1 : (i % 2 === 1 ? 4 : 2);
+      probability += weight * (1 - this.betaCDF(x, alphaB, betaB));
+    }
+    
+    return Math.max(0, Math.min(1, probability * h / 3));
+  }
+
+  /**
+   * Exact P(B > A) for integer Beta parameters (Evan Miller's summation),
+   * accumulated in log space so large posteriors do not overflow
+   *
+   * P(θ_B > θ_A) = Σ_{i=0}^{α_B-1} B(α_A+i, β_A+β_B) / [(β_B+i) B(1+i, β_B) B(α_A, β_A)]
+   *
+   * @param {Object} posteriorA - Posterior parameters for variant A
+   * @param {Object} posteriorB - Posterior parameters for variant B
+   * @returns {number} Probability that B > A
+   */
+  calculateProbabilityBGreaterThanAExact(posteriorA, posteriorB) {
+    const { alpha: alphaA, beta: betaA } = posteriorA;
+    const { alpha: alphaB, beta: betaB } = posteriorB;
+    const logBetaA = this.logBeta(alphaA, betaA);
+    
+    // Streaming log-sum-exp: the sum is kept relative to the largest term so far
+    let max = -Infinity;
+    let sum = 0;
+    for (let i = 0; i < alphaB; i++) {
+      const logTerm = this.logBeta(alphaA + i, betaA + betaB) -
+        Math.log(betaB + i) -
+        this.logBeta(1 + i, betaB) -
+        logBetaA;
+      if (logTerm > max) {
+        sum = sum * Math.exp(max - logTerm) + 1;
+        max = logTerm;
+      } else {
+        sum += Math.exp(logTerm - max);
+      }
+    }
+    
+    return Math.max(0, Math.min(1, Math.exp(max + Math.log(sum))));
+  }
+
+  /**
+   * Numerically stable log(Σ exp(values))
+   * @param {Array} values - Log-space terms
+   * @returns {number} Log of the summed terms
+   */
+  logSumExp(values) {
+    let max = -Infinity;
+    for (let i = 0; i < values.length; i++) {
+      if (values[i] > max) max = values[i];
+    }
+    if (!Number.isFinite(max)) return max;
+    
+    let sum = 0;
+    for (let i = 0; i < values.length; i++) {
+      sum += Math.exp(values[i] - max);
     }
     
-    return Math.max(0, Math.min(1, probability));
+    return max + Math.log(sum);
   }
 
   /**
@@ -106,19 +215,7 @@ export class BayesianCalculator {
    * @returns {number} CDF value
    */
   betaCDF(x, alpha, beta) {
-    if (x <= 0) return 0;
-    if (x >= 1) return 1;
-    
-    // Using numerical integration for CDF
-    const numPoints = 1000;
-    let cdf = 0;
-    
-    for (let i = 0; i < numPoints; i++) {
-      const t = (i / numPoints) * x;
-      cdf += this.betaPDF(t, alpha, beta) * x / numPoints;
-    }
-    
-    return cdf;
+    return this.regularizedIncompleteBeta(x, alpha, beta);
   }
 
   /**
@@ -144,27 +241,234 @@ export class BayesianCalculator {
    * Calculate credible interval for posterior distribution
    * @param {Object} posterior - Posterior parameters
    * @param {number} confidence - Confidence level (e.g., 0.95 for 95%)
+   * @param {string} method - 'equal-tailed' (quantile-based) or 'hdi' (highest density)
    * @returns {Object} {lower, upper} bounds
    */
-  calculateCredibleInterval(posterior, confidence = 0.95) {
+  calculateCredibleInterval(posterior, confidence = 0.95, method = 'equal-tailed') {
+    if (method === 'hdi') {
+      return this.calculateHDI(posterior, confidence);
+    }
+
     const { alpha, beta } = posterior;
-    const alpha_level = (1 - confidence) / 2;
-    
-    // Using approximation for credible interval
-    const mean = alpha / (alpha + beta);
-    const variance = (alpha * beta) / ((alpha + beta) ** 2 * (alpha + beta + 1));
-    const stdDev = Math.sqrt(variance);
-    
-    // Normal approximation for credible interval
-    const z = this.inverseNormalCDF(1 - alpha_level);
-    const margin = z * stdDev;
-    
+    const tail = (1 - confidence) / 2;
+
+    // Exact equal-tailed interval from the Beta quantile function
     return {
-      lower: Math.max(0, mean - margin),
-      upper: Math.min(1, mean + margin)
+      lower: this.betaQuantile(tail, alpha, beta),
+      upper: this.betaQuantile(1 - tail, alpha, beta)
     };
   }
 
+  /**
+   * Highest density interval: the narrowest interval holding the requested mass
+   * @param {Object} posterior - Posterior parameters
+   * @param {number} confidence - Probability mass inside the interval
+   * @returns {Object} {lower, upper} bounds
+   */
+  calculateHDI(posterior, confidence = 0.95) {
+    const { alpha, beta } = posterior;
+    return this.findShortestInterval(p => this.betaQuantile(p, alpha, beta), confidence);
+  }
+
+  /**
+   * Narrowest interval [Q(p), Q(p + confidence)] for a quantile function Q
+   * @param {Function} quantile - Inverse CDF of the distribution
+   * @param {number} confidence - Probability mass inside the interval
+   * @returns {Object} {lower, upper} bounds
+   */
+  findShortestInterval(quantile, confidence) {
+    const maxTail = 1 - confidence;
+    const intervalAt = (lowerTail) => ({
+      lower: quantile(lowerTail),
+      upper: quantile(lowerTail + confidence)
+    });
+    const width = (lowerTail) => {
+      const { lower, upper } = intervalAt(lowerTail);
+      return upper - lower;
+    };
+
+    // The interval width is unimodal in the lower tail mass for unimodal densities
+    const lowerTail = this.goldenSectionMinimize(width, 0, maxTail, 1e-10);
+
+    // J- and U-shaped densities put the HDI against a boundary
+    const candidates = [0, lowerTail, maxTail];
+    const best = candidates.reduce((bestTail, tail) => (width(tail) < width(bestTail) ? tail : bestTail));
+
+    return intervalAt(best);
+  }
+
+  /**
+   * Golden-section search for the minimum of a unimodal function
+   * @param {Function} f - Objective
+   * @param {number} lower - Lower bound of the search
+   * @param {number} upper - Upper bound of the search
+   * @param {number} tolerance - Width of the final bracket
+   * @returns {number} Argmin within [lower, upper]
+   */
+  goldenSectionMinimize(f, lower, upper, tolerance = 1e-6) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = lower;
+    let b = upper;
+    let c = b - ratio * (b - a);
+    let d = a + ratio * (b - a);
+    let fc = f(c);
+    let fd = f(d);
+
+    for (let i = 0; i < 60 && b - a > tolerance; i++) {
+      if (fc < fd) {
+        b = d;
+        d = c;
+        fd = fc;
+        c = b - ratio * (b - a);
+        fc = f(c);
+      } else {
+        a = c;
+        c = d;
+        fc = fd;
+        d = a + ratio * (b - a);
+        fd = f(d);
+      }
+    }
+
+    return (a + b) / 2;
+  }
+
+  /**
+   * Quantile function (inverse CDF) of the Beta distribution
+   * @param {number} p - Cumulative probability
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {number} x such that I_x(α, β) = p
+   */
+  betaQuantile(p, alpha, beta) {
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+
+    // Initial guess (Numerical Recipes, invbetai)
+    let x;
+    if (alpha >= 1 && beta >= 1) {
+      const pp = p < 0.5 ? p : 1 - p;
+      const t = Math.sqrt(-2 * Math.log(pp));
+      let z = (2.30753 + t * 0.27061) / (1 + t * (0.99229 + t * 0.04481)) - t;
+      if (p < 0.5) z = -z;
+      const al = (z * z - 3) / 6;
+      const h = 2 / (1 / (2 * alpha - 1) + 1 / (2 * beta - 1));
+      const w = (z * Math.sqrt(al + h)) / h -
+        (1 / (2 * beta - 1) - 1 / (2 * alpha - 1)) * (al + 5 / 6 - 2 / (3 * h));
+      x = alpha / (alpha + beta * Math.exp(2 * w));
+    } else {
+      const lna = Math.log(alpha / (alpha + beta));
+      const lnb = Math.log(beta / (alpha + beta));
+      const t = Math.exp(alpha * lna) / alpha;
+      const u = Math.exp(beta * lnb) / beta;
+      const w = t + u;
+      x = p < t / w
+        ? Math.pow(alpha * w * p, 1 / alpha)
+        : 1 - Math.pow(beta * w * (1 - p), 1 / beta);
+    }
+
+    // Halley refinement on I_x(α, β) - p
+    const a1 = alpha - 1;
+    const b1 = beta - 1;
+    const logBeta = this.logBeta(alpha, beta);
+    const eps = 1e-12;
+
+    for (let i = 0; i < 100; i++) {
+      if (x <= 0 || x >= 1) break;
+      const err = this.regularizedIncompleteBeta(x, alpha, beta) - p;
+      const density = Math.exp(a1 * Math.log(x) + b1 * Math.log(1 - x) - logBeta);
+      if (density === 0) break;
+      const u = err / density;
+      const step = u / (1 - 0.5 * Math.min(1, u * (a1 / x - b1 / (1 - x))));
+      x -= step;
+      if (x <= 0) x = 0.5 * (x + step);
+      if (x >= 1) x = 0.5 * (x + step + 1);
+      if (Math.abs(step) < eps * x && i > 0) break;
+    }
+
+    return Math.max(0, Math.min(1, x));
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b), evaluated in log space
+   * with a Lentz continued fraction
+   * @param {number} x - Upper integration limit
+   * @param {number} a - Alpha parameter
+   * @param {number} b - Beta parameter
+   * @returns {number} I_x(a, b)
+   */
+  regularizedIncompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const logFront = a * Math.log(x) + b * Math.log(1 - x) - this.logBeta(a, b);
+
+    // The continued fraction converges fastest for x < (a + 1) / (a + b + 2)
+    if (x < (a + 1) / (a + b + 2)) {
+      return Math.exp(logFront) * this.betaContinuedFraction(x, a, b) / a;
+    }
+    return 1 - Math.exp(logFront) * this.betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  /**
+   * Continued fraction for the incomplete beta function (modified Lentz)
+   * @param {number} x - Evaluation point
+   * @param {number} a - Alpha parameter
+   * @param {number} b - Beta parameter
+   * @returns {number} Continued fraction value
+   */
+  betaContinuedFraction(x, a, b) {
+    const tiny = 1e-300;
+    const eps = 1e-15;
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= 10000; m++) {
+      const m2 = 2 * m;
+
+      // Even step
+      let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      h *= d * c;
+
+      // Odd step
+      aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+      d = 1 + aa * d;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = 1 + aa / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+
+      if (Math.abs(delta - 1) < eps) break;
+    }
+
+    return h;
+  }
+
+  /**
+   * Standard normal CDF via the regularized incomplete gamma function:
+   * Φ(z) = (1 + sign(z) P(1/2, z²/2)) / 2
+   * @param {number} z - Z-score
+   * @returns {number} P(Z ≤ z)
+   */
+  normalCDF(z) {
+    const p = this.regularizedLowerIncompleteGamma(0.5, (z * z) / 2);
+    return z >= 0 ? 0.5 * (1 + p) : 0.5 * (1 - p);
+  }
+
   /**
    * Inverse normal CDF approximation
    * @param {number} p - Probability
@@ -217,155 +521,622 @@ export class BayesianCalculator {
   }
 
   /**
-   * Monte Carlo simulation for posterior sampling
+   * Monte Carlo draws from a Beta posterior
    * @param {Object} posterior - Posterior parameters
    * @param {number} samples - Number of samples to generate
-   * @returns {Array} Array of sampled values
+   * @returns {Float64Array} Sampled values
    */
   monteCarloSample(posterior, samples = this.monteCarloSamples) {
-    const { alpha, beta } = posterior;
-    const samples_array = [];
-    
-    // Using rejection sampling for Beta distribution
-    for (let i = 0; i < samples; i++) {
-      samples_array.push(this.sampleBeta(alpha, beta));
-    }
-    
-    return samples_array;
+    return this.fillBeta(new Float64Array(samples), posterior.alpha, posterior.beta);
   }
 
   /**
-   * Sample from Beta distribution using rejection sampling
+   * Paired Monte Carlo draws from two Beta posteriors, sharing one scratch buffer
+   * @param {Object} posteriorA - Posterior parameters for variant A
+   * @param {Object} posteriorB - Posterior parameters for variant B
+   * @param {number} samples - Number of draws per variant
+   * @returns {Object} {samplesA, samplesB} as Float64Arrays
+   */
+  monteCarloSamplePair(posteriorA, posteriorB, samples = this.monteCarloSamples) {
+    const [samplesA, samplesB] = this.monteCarloSampleBatch([posteriorA, posteriorB], samples);
+    return { samplesA, samplesB };
+  }
+
+  /**
+   * Monte Carlo draws from any number of Beta posteriors, sharing one scratch buffer
+   * @param {Array} posteriors - Posterior parameters for every arm
+   * @param {number} samples - Number of draws per arm
+   * @returns {Array} One Float64Array of draws per posterior
+   */
+  monteCarloSampleBatch(posteriors, samples = this.monteCarloSamples) {
+    const scratch = new Float64Array(samples);
+    return posteriors.map(({ alpha, beta }) => this.fillBeta(new Float64Array(samples), alpha, beta, scratch));
+  }
+
+  /**
+   * Fill a buffer with Beta(α, β) draws as X / (X + Y), X ~ Gamma(α), Y ~ Gamma(β)
+   * @param {Float64Array} buffer - Output buffer
    * @param {number} alpha - Alpha parameter
    * @param {number} beta - Beta parameter
-   * @returns {number} Sampled value
+   * @param {Float64Array} scratch - Buffer of at least the same length for the Gamma(β) draws
+   * @returns {Float64Array} The filled buffer
    */
-  sampleBeta(alpha, beta) {
-    // Using Cheng's algorithm for Beta sampling
-    if (alpha <= 1 && beta <= 1) {
-      return this.sampleBetaRejection(alpha, beta);
-    } else {
-      return this.sampleBetaCheng(alpha, beta);
+  fillBeta(buffer, alpha, beta, scratch = new Float64Array(buffer.length)) {
+    this.fillGamma(buffer, alpha);
+    this.fillGamma(scratch, beta);
+    for (let i = 0; i < buffer.length; i++) {
+      buffer[i] = buffer[i] / (buffer[i] + scratch[i]);
     }
+    return buffer;
   }
 
   /**
-   * Cheng's algorithm for Beta sampling
+   * Fill a buffer with Gamma(shape, rate) draws using Marsaglia–Tsang.
+   * Box–Muller normals are used in pairs, and shapes below one are boosted
+   * with Gamma(k) = Gamma(k + 1) · U^(1/k).
+   * @param {Float64Array} buffer - Output buffer
+   * @param {number} shape - Shape parameter
+   * @param {number} rate - Rate parameter
+   * @returns {Float64Array} The filled buffer
+   */
+  fillGamma(buffer, shape, rate = 1) {
+    const boost = shape < 1;
+    const d = (boost ? shape + 1 : shape) - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    let spare = 0;
+    let hasSpare = false;
+
+    for (let i = 0; i < buffer.length; i++) {
+      let draw;
+      for (;;) {
+        let x;
+        if (hasSpare) {
+          x = spare;
+          hasSpare = false;
+        } else {
+          let u1 = this.random();
+          while (u1 === 0) u1 = this.random();
+          const radius = Math.sqrt(-2 * Math.log(u1));
+          const angle = 2 * Math.PI * this.random();
+          x = radius * Math.cos(angle);
+          spare = radius * Math.sin(angle);
+          hasSpare = true;
+        }
+
+        let v = 1 + c * x;
+        if (v <= 0) continue;
+        v = v * v * v;
+        const u = this.random();
+        if (u < 1 - 0.0331 * x * x * x * x || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+          draw = d * v;
+          break;
+        }
+      }
+
+      if (boost) draw *= Math.pow(this.random(), 1 / shape);
+      buffer[i] = draw / rate;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Single Beta(α, β) draw as a ratio of Marsaglia–Tsang Gamma draws
    * @param {number} alpha - Alpha parameter
    * @param {number} beta - Beta parameter
    * @returns {number} Sampled value
    */
-  sampleBetaCheng(alpha, beta) {
-    const a = Math.min(alpha, beta);
-    const b = Math.max(alpha, beta);
-    const gamma = a + b;
-    const lambda = Math.sqrt((gamma - 2) / (2 * a * b - gamma));
-    const mu = a + 1 / lambda;
+  sampleBeta(alpha, beta) {
+    const x = this.sampleGamma(alpha);
+    return x / (x + this.sampleGamma(beta));
+  }
+
+  /**
+   * Sample from Gamma(shape, rate) using Marsaglia–Tsang
+   * @param {number} shape - Shape parameter
+   * @param {number} rate - Rate parameter
+   * @returns {number} Sampled value
+   */
+  sampleGamma(shape, rate = 1) {
+    if (shape < 1) {
+      // Boost small shapes: Gamma(k) = Gamma(k + 1) * U^(1/k)
+      return this.sampleGamma(shape + 1, rate) * Math.pow(this.random(), 1 / shape);
+    }
+    
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
     
     while (true) {
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const v = lambda * Math.log(u1 / (1 - u1));
-      const w = a * Math.exp(v);
+      let x;
+      let v;
+      do {
+        x = this.sampleNormal();
+        v = 1 + c * x;
+      } while (v <= 0);
       
-      if (gamma * Math.log(gamma / (b + w)) + mu * v - 1.3862944 >= Math.log(u1 * u1 * u2)) {
-        return alpha === a ? w / (b + w) : b / (b + w);
-      }
+      v = v * v * v;
+      const u = this.random();
+      if (u < 1 - 0.0331 * x * x * x * x) return d * v / rate;
+      if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v / rate;
     }
   }
 
   /**
-   * Rejection sampling for Beta distribution
-   * @param {number} alpha - Alpha parameter
-   * @param {number} beta - Beta parameter
+   * Sample from a Normal distribution using Box–Muller
+   * @param {number} mean - Mean
+   * @param {number} stdDev - Standard deviation
    * @returns {number} Sampled value
    */
-  sampleBetaRejection(alpha, beta) {
-    while (true) {
-      const u1 = Math.random();
-      const u2 = Math.random();
-      const x = Math.pow(u1, 1 / alpha);
-      const y = Math.pow(u2, 1 / beta);
-      
-      if (x + y <= 1) {
-        return x / (x + y);
+  sampleNormal(mean = 0, stdDev = 1) {
+    let u1 = this.random();
+    while (u1 === 0) u1 = this.random();
+    const u2 = this.random();
+    return mean + stdDev * Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  }
+
+  /**
+   * Credible interval estimated from Monte Carlo draws
+   * @param {Array} samples - Posterior draws
+   * @param {number} confidence - Probability mass inside the interval
+   * @param {string} method - 'equal-tailed' or 'hdi'
+   * @returns {Object} {lower, upper, mcse: {lower, upper}} bounds and their Monte Carlo standard errors
+   */
+  calculateSampleInterval(samples, confidence = 0.95, method = 'equal-tailed') {
+    const sorted = Float64Array.from(samples).sort();
+    const n = sorted.length;
+    
+    if (method === 'hdi') {
+      // Narrowest window containing the requested share of sorted draws
+      const windowSize = Math.max(1, Math.floor(confidence * n));
+      let bestStart = 0;
+      for (let i = 1; i + windowSize < n; i++) {
+        if (sorted[i + windowSize] - sorted[i] < sorted[bestStart + windowSize] - sorted[bestStart]) {
+          bestStart = i;
+        }
       }
+      const upperIndex = Math.min(n - 1, bestStart + windowSize);
+      return {
+        lower: sorted[bestStart],
+        upper: sorted[upperIndex],
+        mcse: {
+          lower: this.sampleQuantileStandardError(sorted, bestStart / (n - 1)),
+          upper: this.sampleQuantileStandardError(sorted, upperIndex / (n - 1))
+        }
+      };
     }
+    
+    const tail = (1 - confidence) / 2;
+    return {
+      lower: this.sampleQuantile(sorted, tail),
+      upper: this.sampleQuantile(sorted, 1 - tail),
+      mcse: {
+        lower: this.sampleQuantileStandardError(sorted, tail),
+        upper: this.sampleQuantileStandardError(sorted, 1 - tail)
+      }
+    };
+  }
+
+  /**
+   * Monte Carlo standard error of a sample quantile, from the spread of the
+   * order statistics one binomial standard deviation either side of it:
+   * SE ≈ [Q(p + s) − Q(p − s)] / 2 with s = √(p(1 − p) / n)
+   * @param {Array} sorted - Draws sorted in ascending order
+   * @param {number} p - Cumulative probability
+   * @returns {number} Standard error
+   */
+  sampleQuantileStandardError(sorted, p) {
+    const spread = Math.sqrt(p * (1 - p) / sorted.length);
+    return (this.sampleQuantile(sorted, Math.min(1, p + spread)) - this.sampleQuantile(sorted, Math.max(0, p - spread))) / 2;
+  }
+
+  /**
+   * Monte Carlo standard error of a sample mean; for a probability estimated
+   * from a count of hits, pass the count as both sums
+   * @param {number} sum - Sum of the draws
+   * @param {number} sumSquares - Sum of the squared draws
+   * @param {number} n - Number of draws
+   * @returns {number} Standard error
+   */
+  meanStandardError(sum, sumSquares, n) {
+    const mean = sum / n;
+    return Math.sqrt(Math.max(0, (sumSquares - n * mean * mean) / (n - 1)) / n);
+  }
+
+  /**
+   * Run a Monte Carlo estimate on this.monteCarloSamples draws per arm. With a
+   * precision target set, draws are appended until errorOf meets it or
+   * maxMonteCarloSamples is reached; MCSE shrinks as 1/√n, so each round is
+   * sized from the current error.
+   * @param {Function} draw - (count) => Array of Float64Array draws, one per arm
+   * @param {Function} summarize - (draws) => estimate
+   * @param {Function} errorOf - (estimate) => MCSE compared with the target
+   * @param {number} initialSamples - Draws per arm before any adaptation
+   * @returns {Object} Estimate from the final draws
+   */
+  estimateToPrecision(draw, summarize, errorOf, initialSamples = this.monteCarloSamples) {
+    let draws = draw(initialSamples);
+    let estimate = summarize(draws);
+    if (!this.precisionTarget) return estimate;
+
+    let error = errorOf(estimate);
+    while (error > this.precisionTarget && draws[0].length < this.maxMonteCarloSamples) {
+      const n = draws[0].length;
+      const target = Math.min(
+        this.maxMonteCarloSamples,
+        Math.max(2 * n, Math.ceil(1.1 * n * (error / this.precisionTarget) ** 2))
+      );
+      const extra = draw(target - n);
+      draws = draws.map((samples, k) => {
+        const merged = new Float64Array(target);
+        merged.set(samples);
+        merged.set(extra[k], n);
+        return merged;
+      });
+      estimate = summarize(draws);
+      error = errorOf(estimate);
+    }
+
+    return estimate;
+  }
+
+  /**
+   * Linear-interpolated quantile of sorted draws
+   * @param {Array} sorted - Draws sorted in ascending order
+   * @param {number} p - Cumulative probability
+   * @returns {number} Quantile value
+   */
+  sampleQuantile(sorted, p) {
+    const position = p * (sorted.length - 1);
+    const lowerIndex = Math.floor(position);
+    const upperIndex = Math.min(sorted.length - 1, lowerIndex + 1);
+    const weight = position - lowerIndex;
+    return sorted[lowerIndex] * (1 - weight) + sorted[upperIndex] * weight;
   }
 
   /**
    * Calculate probability that B > A using Monte Carlo
    * @param {Object} posteriorA - Posterior parameters for variant A
    * @param {Object} posteriorB - Posterior parameters for variant B
-   * @returns {number} Probability that B > A
+   * @returns {Object} {probability, mcse, draws}
    */
   calculateProbabilityBGreaterThanAMonteCarlo(posteriorA, posteriorB) {
-    const samplesA = this.monteCarloSample(posteriorA, this.monteCarloSamples);
-    const samplesB = this.monteCarloSample(posteriorB, this.monteCarloSamples);
+    return this.estimateToPrecision(
+      (count) => this.monteCarloSampleBatch([posteriorA, posteriorB], count),
+      ([samplesA, samplesB]) => {
+        const n = samplesA.length;
+        let count = 0;
+        for (let i = 0; i < n; i++) {
+          if (samplesB[i] > samplesA[i]) {
+            count++;
+          }
+        }
+        return { probability: count / n, mcse: this.meanStandardError(count, count, n), draws: n };
+      },
+      estimate => estimate.mcse
+    );
+  }
+
+  /**
+   * Calculate Expected Loss (Bayesian Risk)
+   * @param {Object} posteriorA - Posterior parameters for variant A
+   * @param {Object} posteriorB - Posterior parameters for variant B
+   * @returns {Object} Expected loss for choosing A or B, with {mcse, draws}
+   */
+  calculateExpectedLoss(posteriorA, posteriorB) {
+    // P(B > A) and both losses come from the same paired draws
+    return this.estimateToPrecision(
+      (count) => this.monteCarloSampleBatch([posteriorA, posteriorB], count),
+      ([samplesA, samplesB]) => this.summarizeLosses(samplesA, samplesB),
+      this.largestLossError
+    );
+  }
+
+  /**
+   * Expected losses and P(B > A) from paired draws
+   * @param {Float64Array} samplesA - Draws for variant A
+   * @param {Float64Array} samplesB - Draws for variant B
+   * @returns {Object} {lossA, lossB, probBGreater, mcse: {lossA, lossB, probBGreater}, draws}
+   */
+  summarizeLosses(samplesA, samplesB) {
+    const n = samplesA.length;
+    let lossA = 0;
+    let lossB = 0;
+    let squaresA = 0;
+    let squaresB = 0;
+    let wins = 0;
     
-    let count = 0;
-    for (let i = 0; i < this.monteCarloSamples; i++) {
-      if (samplesB[i] > samplesA[i]) {
-        count++;
+    for (let i = 0; i < n; i++) {
+      const difference = samplesB[i] - samplesA[i];
+      if (difference > 0) {
+        lossA += difference;
+        squaresA += difference * difference;
+        wins++;
+      } else {
+        lossB -= difference;
+        squaresB += difference * difference;
       }
     }
     
-    return count / this.monteCarloSamples;
+    return {
+      lossA: lossA / n,
+      lossB: lossB / n,
+      probBGreater: wins / n,
+      mcse: {
+        lossA: this.meanStandardError(lossA, squaresA, n),
+        lossB: this.meanStandardError(lossB, squaresB, n),
+        probBGreater: this.meanStandardError(wins, wins, n)
+      },
+      draws: n
+    };
   }
 
   /**
-   * Calculate Expected Loss (Bayesian Risk)
+   * Largest standard error of an expected loss estimate, for the precision target
+   * @param {Object} estimate - Result of summarizeLosses
+   * @returns {number} Largest MCSE
+   */
+  largestLossError({ mcse }) {
+    return Math.max(mcse.lossA, mcse.lossB, mcse.probBGreater);
+  }
+
+  /**
+   * Histogram of Monte Carlo draws of θB − θA
    * @param {Object} posteriorA - Posterior parameters for variant A
    * @param {Object} posteriorB - Posterior parameters for variant B
-   * @returns {Object} Expected loss for choosing A or B
+   * @param {number} samples - Number of draws
+   * @param {number} bins - Number of equal-width bins
+   * @returns {Object} {counts, min, binWidth, samples}
    */
-  calculateExpectedLoss(posteriorA, posteriorB) {
-    const probBGreater = this.calculateProbabilityBGreaterThanAMonteCarlo(posteriorA, posteriorB);
-    const samplesA = this.monteCarloSample(posteriorA, this.monteCarloSamples);
-    const samplesB = this.monteCarloSample(posteriorB, this.monteCarloSamples);
+  sampleDifferenceHistogram(posteriorA, posteriorB, samples = 10000, bins = 50) {
+    const { samplesA, samplesB } = this.monteCarloSamplePair(posteriorA, posteriorB, samples);
     
-    let lossA = 0;
-    let lossB = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    const differences = samplesB.map((b, i) => {
+      const difference = b - samplesA[i];
+      if (difference < min) min = difference;
+      if (difference > max) max = difference;
+      return difference;
+    });
+    const binWidth = (max - min) / bins;
+    const counts = new Array(bins).fill(0);
     
-    for (let i = 0; i < this.monteCarloSamples; i++) {
-      lossA += Math.max(0, samplesB[i] - samplesA[i]);
-      lossB += Math.max(0, samplesA[i] - samplesB[i]);
+    differences.forEach(difference => {
+      counts[Math.min(bins - 1, Math.floor((difference - min) / binWidth))]++;
+    });
+    
+    return { counts, min, binWidth, samples };
+  }
+
+  /**
+   * Posterior of the relative lift θB/θA − 1 with a ROPE decision
+   * @param {Object} posteriorA - Posterior parameters for variant A
+   * @param {Object} posteriorB - Posterior parameters for variant B
+   * @param {Object} options - {confidence, method, rope: {lower, upper}}
+   * @returns {Object} Lift samples, summary, credible interval and ROPE probabilities
+   */
+  calculateRelativeLift(posteriorA, posteriorB, options = {}) {
+    // The ROPE probabilities drive adaptive sampling; the interval's MCSE is reported only
+    return this.estimateToPrecision(
+      (count) => this.monteCarloSampleBatch([posteriorA, posteriorB], count),
+      ([samplesA, samplesB]) => this.calculateRelativeLiftFromSamples(samplesA, samplesB, options),
+      ({ mcse }) => Math.max(mcse.probBelow, mcse.probInside, mcse.probAbove)
+    );
+  }
+
+  /**
+   * Relative lift posterior from paired draws of any two rate posteriors
+   * @param {Array|Float64Array} samplesA - Posterior draws for variant A
+   * @param {Array|Float64Array} samplesB - Posterior draws for variant B
+   * @param {Object} options - {confidence, method, rope: {lower, upper}}
+   * @returns {Object} {samples, mean, median, credibleInterval, rope, mcse, draws}; mcse holds the
+   *   standard errors of the mean, median and ROPE probabilities, credibleInterval.mcse those of its bounds
+   */
+  calculateRelativeLiftFromSamples(samplesA, samplesB, {
+    confidence = 0.95,
+    method = 'equal-tailed',
+    rope = { lower: -0.01, upper: 0.01 }
+  } = {}) {
+    const n = Math.min(samplesA.length, samplesB.length);
+    const samples = new Float64Array(n);
+    let below = 0;
+    let above = 0;
+    let sum = 0;
+    let sumSquares = 0;
+
+    for (let i = 0; i < n; i++) {
+      const lift = samplesB[i] / samplesA[i] - 1;
+      samples[i] = lift;
+      sum += lift;
+      sumSquares += lift * lift;
+      if (lift < rope.lower) below++;
+      else if (lift > rope.upper) above++;
     }
+
+    const sorted = samples.slice().sort();
+    const inside = n - below - above;
+
+    return {
+      samples,
+      mean: sum / n,
+      median: this.sampleQuantile(sorted, 0.5),
+      credibleInterval: this.calculateSampleInterval(sorted, confidence, method),
+      rope: {
+        lower: rope.lower,
+        upper: rope.upper,
+        probBelow: below / n,
+        probInside: inside / n,
+        probAbove: above / n
+      },
+      mcse: {
+        mean: this.meanStandardError(sum, sumSquares, n),
+        median: this.sampleQuantileStandardError(sorted, 0.5),
+        probBelow: this.meanStandardError(below, below, n),
+        probInside: this.meanStandardError(inside, inside, n),
+        probAbove: this.meanStandardError(above, above, n)
+      },
+      draws: n
+    };
+  }
+
+  /**
+   * Probability that each arm is best and expected loss of choosing each arm,
+   * estimated jointly from one set of posterior draws
+   * @param {Array} posteriors - Posterior parameters for every arm
+   * @param {number} samples - Number of Monte Carlo draws per arm, before any adaptation
+   * @param {Function} sampleBatch - Draws count values per arm; Beta posteriors by default
+   * @returns {Object} {probabilityBest, expectedLoss, mcse: {probabilityBest, expectedLoss}, draws}
+   *   with arrays indexed like posteriors
+   */
+  calculateProbabilityToBeBest(
+    posteriors,
+    samples = this.monteCarloSamples,
+    sampleBatch = (count) => this.monteCarloSampleBatch(posteriors, count)
+  ) {
+    return this.estimateToPrecision(
+      sampleBatch,
+      (draws) => {
+        const n = draws[0].length;
+        const wins = new Array(posteriors.length).fill(0);
+        const losses = new Array(posteriors.length).fill(0);
+        const squares = new Array(posteriors.length).fill(0);
+        
+        for (let i = 0; i < n; i++) {
+          let bestIndex = 0;
+          for (let k = 1; k < draws.length; k++) {
+            if (draws[k][i] > draws[bestIndex][i]) {
+              bestIndex = k;
+            }
+          }
+          
+          const bestValue = draws[bestIndex][i];
+          wins[bestIndex]++;
+          for (let k = 0; k < draws.length; k++) {
+            const loss = bestValue - draws[k][i];
+            losses[k] += loss;
+            squares[k] += loss * loss;
+          }
+        }
+        
+        return {
+          probabilityBest: wins.map(count => count / n),
+          expectedLoss: losses.map(loss => loss / n),
+          mcse: {
+            probabilityBest: wins.map(count => this.meanStandardError(count, count, n)),
+            expectedLoss: losses.map((loss, k) => this.meanStandardError(loss, squares[k], n))
+          },
+          draws: n
+        };
+      },
+      ({ mcse }) => Math.max(...mcse.probabilityBest, ...mcse.expectedLoss),
+      samples
+    );
+  }
+
+  /**
+   * A/B/n analysis over any number of arms
+   * @param {Array} arms - Array of {name, successes, trials}, {name, events, exposure} for
+   *   count metrics, or {name, posterior}
+   * @param {number} controlIndex - Index of the control arm
+   * @param {Object} options - {confidence, method} for the credible intervals and the
+   *   metricType, 'conversion' (Beta-Binomial) or 'count' (Gamma-Poisson)
+   * @returns {Object} Per-arm results and pairwise comparisons against the control
+   */
+  analyzeMultiVariant(arms, controlIndex = 0, { confidence = 0.95, method = 'equal-tailed', metricType = 'conversion' } = {}) {
+    const isCount = metricType === 'count';
+    const posteriors = arms.map(arm => arm.posterior || (isCount
+      ? this.calculateCountPosterior(arm.events, arm.exposure)
+      : this.calculatePosterior(arm.successes, arm.trials)));
+    const { probabilityBest, expectedLoss, mcse, draws } = this.calculateProbabilityToBeBest(
+      posteriors,
+      this.monteCarloSamples,
+      isCount ? (count) => posteriors.map(posterior => this.monteCarloSampleCount(posterior, count)) : undefined
+    );
+    const expectedValueOf = (posterior) => (isCount ? posterior.shape / posterior.rate : this.calculateExpectedValue(posterior));
+    const controlPosterior = posteriors[controlIndex];
+    const controlMean = expectedValueOf(controlPosterior);
+    
+    const armResults = arms.map((arm, i) => ({
+      name: arm.name,
+      posterior: posteriors[i],
+      expectedValue: expectedValueOf(posteriors[i]),
+      credibleInterval: isCount
+        ? this.calculateCountCredibleInterval(posteriors[i], confidence, method)
+        : this.calculateCredibleInterval(posteriors[i], confidence, method),
+      probabilityBest: probabilityBest[i],
+      expectedLoss: expectedLoss[i],
+      mcse: { probabilityBest: mcse.probabilityBest[i], expectedLoss: mcse.expectedLoss[i] }
+    }));
+    
+    const comparisons = armResults
+      .filter((_, i) => i !== controlIndex)
+      .map(arm => ({
+        name: arm.name,
+        probBeatsControl: isCount
+          ? this.calculateCountProbabilityBGreaterThanA(controlPosterior, arm.posterior)
+          : this.calculateProbabilityBGreaterThanA(controlPosterior, arm.posterior),
+        absoluteDifference: arm.expectedValue - controlMean,
+        relativeLift: controlMean > 0 ? arm.expectedValue / controlMean - 1 : 0
+      }));
+    
+    const bestIndex = probabilityBest.indexOf(Math.max(...probabilityBest));
     
     return {
-      lossA: lossA / this.monteCarloSamples,
-      lossB: lossB / this.monteCarloSamples,
-      probBGreater
+      metricType,
+      arms: armResults,
+      control: armResults[controlIndex],
+      comparisons,
+      best: armResults[bestIndex],
+      draws
     };
   }
 
   /**
-   * Sequential testing with early stopping
+   * Sequential testing with configurable stopping rules
    * @param {Array} dataA - Array of {successes, trials} for variant A
    * @param {Array} dataB - Array of {successes, trials} for variant B
-   * @param {number} threshold - Probability threshold for stopping
-   * @returns {Object} Sequential test results
+   * @param {number|Object} rules - P(B > A) threshold, or a stopping rule
+   *   configuration for StoppingRuleEngine
+   * @param {string} dataMode - 'cumulative' when each point holds running totals,
+   *   'increments' when each point holds only that period's data
+   * @param {Function} onProgress - Optional callback with the fraction of steps evaluated
+   * @returns {Array} Sequential test results, each annotated with the stopping decision
    */
-  sequentialTest(dataA, dataB, threshold = 0.95) {
+  sequentialTest(dataA, dataB, rules = 0.95, dataMode = 'cumulative', onProgress = null) {
+    const engine = new StoppingRuleEngine(typeof rules === 'number' ? { probabilityThreshold: rules } : rules);
+    const totalsA = this.toCumulativeTotals(dataA, dataMode);
+    const totalsB = this.toCumulativeTotals(dataB, dataMode);
     const results = [];
+    const steps = Math.min(totalsA.length, totalsB.length);
     
-    for (let i = 0; i < Math.min(dataA.length, dataB.length); i++) {
-      const posteriorA = this.calculatePosterior(dataA[i].successes, dataA[i].trials);
-      const posteriorB = this.calculatePosterior(dataB[i].successes, dataB[i].trials);
+    for (let i = 0; i < steps; i++) {
+      const posteriorA = this.calculatePosterior(totalsA[i].successes, totalsA[i].trials);
+      const posteriorB = this.calculatePosterior(totalsB[i].successes, totalsB[i].trials);
       
-      const probBGreater = this.calculateProbabilityBGreaterThanAMonteCarlo(posteriorA, posteriorB);
+      const probBGreater = this.calculateProbabilityBGreaterThanA(posteriorA, posteriorB);
       const expectedLoss = this.calculateExpectedLoss(posteriorA, posteriorB);
+      const decision = engine.evaluate({
+        step: i + 1,
+        trialsA: totalsA[i].trials,
+        trialsB: totalsB[i].trials,
+        probBGreater,
+        expectedLoss
+      });
       
       results.push({
         step: i + 1,
+        cumulativeA: totalsA[i],
+        cumulativeB: totalsB[i],
         probBGreater,
         expectedLoss,
         posteriorA,
         posteriorB,
-        shouldStop: probBGreater >= threshold || probBGreater <= (1 - threshold)
+        shouldStop: decision.shouldStop,
+        decision
       });
+      if (onProgress) onProgress((i + 1) / steps);
       
-      if (probBGreater >= threshold || probBGreater <= (1 - threshold)) {
+      if (decision.shouldStop) {
         break;
       }
     }
@@ -373,14 +1144,69 @@ export class BayesianCalculator {
     return results;
   }
 
+  /**
+   * Running totals of a sequential series
+   * @param {Array} data - Array of {successes, trials}
+   * @param {string} dataMode - 'cumulative' or 'increments'
+   * @returns {Array} Array of cumulative {successes, trials}
+   */
+  toCumulativeTotals(data, dataMode = 'cumulative') {
+    if (dataMode !== 'increments') {
+      return data.map(({ successes, trials }) => ({ successes, trials }));
+    }
+
+    let successes = 0;
+    let trials = 0;
+    return data.map(point => {
+      successes += point.successes;
+      trials += point.trials;
+      return { successes, trials };
+    });
+  }
+
+  /**
+   * Check a sequential series for impossible values
+   * @param {Array} data - Array of {successes, trials}
+   * @param {string} dataMode - 'cumulative' or 'increments'
+   * @param {string} label - Series name used in the messages
+   * @returns {Array} Human-readable problems, empty when the series is valid
+   */
+  validateSequentialData(data, dataMode = 'cumulative', label = 'Series') {
+    const errors = [];
+
+    data.forEach((point, i) => {
+      const step = i + 1;
+      if (point.successes < 0 || point.trials < 0) {
+        errors.push(`${label} step ${step}: values cannot be negative`);
+      }
+      if (point.successes > point.trials) {
+        errors.push(`${label} step ${step}: ${point.successes} successes exceed ${point.trials} trials`);
+      }
+      if (dataMode === 'cumulative' && i > 0) {
+        const previous = data[i - 1];
+        if (point.trials < previous.trials) {
+          errors.push(`${label} step ${step}: cumulative trials decreased from ${previous.trials} to ${point.trials}`);
+        }
+        if (point.successes < previous.successes) {
+          errors.push(`${label} step ${step}: cumulative successes decreased from ${previous.successes} to ${point.successes}`);
+        }
+      }
+    });
+
+    return errors;
+  }
+
   /**
    * Posterior Predictive Distribution
    * @param {Object} posterior - Posterior parameters
    * @param {number} futureTrials - Number of future trials
-   * @returns {Object} Predictive distribution parameters
+   * @param {number} confidence - Coverage of the predictive interval
+   * @returns {Object} Predictive distribution parameters, moments, median and interval
    */
-  posteriorPredictive(posterior, futureTrials) {
+  posteriorPredictive(posterior, futureTrials, confidence = 0.95) {
     const { alpha, beta } = posterior;
+    const pmf = this.betaBinomialDistribution(futureTrials, alpha, beta);
+    const tail = (1 - confidence) / 2;
     
     // Beta-Binomial predictive distribution
     return {
@@ -389,7 +1215,161 @@ export class BayesianCalculator {
       trials: futureTrials,
       expectedSuccesses: (alpha / (alpha + beta)) * futureTrials,
       variance: futureTrials * (alpha * beta * (alpha + beta + futureTrials)) / 
-                ((alpha + beta) ** 2 * (alpha + beta + 1))
+                ((alpha + beta) ** 2 * (alpha + beta + 1)),
+      median: this.discreteQuantile(pmf, 0.5),
+      interval: {
+        lower: this.discreteQuantile(pmf, tail),
+        upper: this.discreteQuantile(pmf, 1 - tail)
+      }
+    };
+  }
+
+  /**
+   * Beta-Binomial probability mass function
+   * P(X = k) = C(n, k) B(k + α, n − k + β) / B(α, β)
+   * @param {number} k - Number of successes
+   * @param {number} n - Number of trials
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {number} Probability of exactly k successes
+   */
+  betaBinomialPMF(k, n, alpha, beta) {
+    if (k < 0 || k > n || !Number.isInteger(k)) return 0;
+    const logChoose = this.logGamma(n + 1) - this.logGamma(k + 1) - this.logGamma(n - k + 1);
+    return Math.exp(logChoose + this.logBeta(k + alpha, n - k + beta) - this.logBeta(alpha, beta));
+  }
+
+  /**
+   * Beta-Binomial CDF, P(X ≤ k)
+   * @param {number} k - Number of successes
+   * @param {number} n - Number of trials
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {number} Cumulative probability
+   */
+  betaBinomialCDF(k, n, alpha, beta) {
+    if (k < 0) return 0;
+    if (k >= n) return 1;
+    const pmf = this.betaBinomialDistribution(n, alpha, beta);
+    let cumulative = 0;
+    for (let i = 0; i <= k; i++) {
+      cumulative += pmf[i];
+    }
+    return Math.min(1, cumulative);
+  }
+
+  /**
+   * Beta-Binomial quantile: smallest k with P(X ≤ k) ≥ p
+   * @param {number} p - Probability
+   * @param {number} n - Number of trials
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {number} Quantile
+   */
+  betaBinomialQuantile(p, n, alpha, beta) {
+    return this.discreteQuantile(this.betaBinomialDistribution(n, alpha, beta), p);
+  }
+
+  /**
+   * Full Beta-Binomial PMF over 0..n. Successive terms follow
+   * P(k + 1) / P(k) = (n − k)(k + α) / [(k + 1)(n − k − 1 + β)], accumulated
+   * in log space from k = 0 and normalized, so large n neither overflows nor
+   * needs a log-gamma call per term.
+   * @param {number} n - Number of trials
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {Float64Array} Probabilities for k = 0..n
+   */
+  betaBinomialDistribution(n, alpha, beta) {
+    const logPMF = new Float64Array(n + 1);
+    logPMF[0] = this.logBeta(alpha, n + beta) - this.logBeta(alpha, beta);
+    let max = logPMF[0];
+    for (let k = 0; k < n; k++) {
+      logPMF[k + 1] = logPMF[k] + Math.log((n - k) * (k + alpha)) - Math.log((k + 1) * (n - k - 1 + beta));
+      if (logPMF[k + 1] > max) max = logPMF[k + 1];
+    }
+
+    const pmf = new Float64Array(n + 1);
+    let total = 0;
+    for (let k = 0; k <= n; k++) {
+      pmf[k] = Math.exp(logPMF[k] - max);
+      total += pmf[k];
+    }
+    for (let k = 0; k <= n; k++) {
+      pmf[k] /= total;
+    }
+    return pmf;
+  }
+
+  /**
+   * Smallest k with Σ_{i ≤ k} pmf[i] ≥ p
+   * @param {Float64Array} pmf - Probabilities for k = 0..n
+   * @param {number} p - Probability
+   * @returns {number} Quantile
+   */
+  discreteQuantile(pmf, p) {
+    let cumulative = 0;
+    for (let k = 0; k < pmf.length; k++) {
+      cumulative += pmf[k];
+      if (cumulative >= p - 1e-12) return k;
+    }
+    return pmf.length - 1;
+  }
+
+  /**
+   * Posterior predictive check of a daily series against a constant rate
+   *
+   * Each day is held out in turn: the posterior from every other day predicts
+   * its conversions through the Beta-Binomial, and days falling outside the
+   * predictive interval are flagged. Clusters of flagged days point at
+   * tracking problems or a rate that drifts over time; under a constant rate
+   * about (1 − confidence) of days are flagged by chance.
+   *
+   * @param {Array} data - Array of {successes, trials}
+   * @param {string} dataMode - 'cumulative' or 'increments'
+   * @param {number} confidence - Coverage of the predictive interval
+   * @returns {Object} {days, flagged, expectedFlagged}; each day has
+   *   {step, trials, observed, expected, lower, upper, pValue, outside}
+   */
+  posteriorPredictiveCheck(data, dataMode = 'cumulative', confidence = 0.95) {
+    const totals = this.toCumulativeTotals(data, dataMode);
+    const daily = totals.map((total, i) => ({
+      successes: total.successes - (i > 0 ? totals[i - 1].successes : 0),
+      trials: total.trials - (i > 0 ? totals[i - 1].trials : 0)
+    }));
+    const overall = totals.length > 0 ? totals[totals.length - 1] : { successes: 0, trials: 0 };
+    const tail = (1 - confidence) / 2;
+
+    const days = daily
+      .map((day, i) => ({ ...day, step: i + 1 }))
+      .filter(day => day.trials > 0)
+      .map(({ successes, trials, step }) => {
+        const posterior = this.calculatePosterior(overall.successes - successes, overall.trials - trials);
+        const pmf = this.betaBinomialDistribution(trials, posterior.alpha, posterior.beta);
+        let below = 0;
+        for (let k = 0; k < successes; k++) {
+          below += pmf[k];
+        }
+        const lower = this.discreteQuantile(pmf, tail);
+        const upper = this.discreteQuantile(pmf, 1 - tail);
+
+        return {
+          step,
+          trials,
+          observed: successes,
+          expected: trials * posterior.alpha / (posterior.alpha + posterior.beta),
+          lower,
+          upper,
+          // Two-sided tail probability of a count at least this extreme
+          pValue: Math.min(1, 2 * Math.min(below + pmf[successes], 1 - below)),
+          outside: successes < lower || successes > upper
+        };
+      });
+
+    return {
+      days,
+      flagged: days.filter(day => day.outside).length,
+      expectedFlagged: days.length * (1 - confidence)
     };
   }
 
@@ -412,6 +1392,32 @@ export class BayesianCalculator {
     });
   }
 
+  /**
+   * Re-run an A/B comparison under each of several priors
+   * @param {Object} variantA - {successes, trials}
+   * @param {Object} variantB - {successes, trials}
+   * @param {Array} priors - Array of {alpha, beta} prior parameters
+   * @param {Object} liftOptions - {confidence, method, rope} passed to calculateRelativeLift
+   * @returns {Array} [{prior, posteriorA, posteriorB, probBGreater, expectedLoss, lift}] indexed like priors
+   */
+  comparativeSensitivityAnalysis(variantA, variantB, priors, liftOptions = {}) {
+    const resultsA = this.sensitivityAnalysis(variantA.successes, variantA.trials, priors);
+    const resultsB = this.sensitivityAnalysis(variantB.successes, variantB.trials, priors);
+
+    return priors.map((prior, i) => {
+      const posteriorA = resultsA[i].posterior;
+      const posteriorB = resultsB[i].posterior;
+      return {
+        prior,
+        posteriorA,
+        posteriorB,
+        probBGreater: this.calculateProbabilityBGreaterThanA(posteriorA, posteriorB),
+        expectedLoss: this.calculateExpectedLoss(posteriorA, posteriorB),
+        lift: this.calculateRelativeLift(posteriorA, posteriorB, liftOptions)
+      };
+    });
+  }
+
   /**
    * Calculate posterior with custom prior
    * @param {number} successes - Number of successes
@@ -429,27 +1435,323 @@ export class BayesianCalculator {
   }
 
   /**
-   * Calculate Bayes Factor for model comparison
-   * @param {Object} posteriorA - Posterior for model A
-   * @param {Object} posteriorB - Posterior for model B
-   * @returns {number} Bayes Factor
+   * Gamma-Poisson posterior for count metrics (events per unit of exposure)
+   *
+   * Prior: λ ~ Gamma(a₀, b₀)
+   * Likelihood: Y|λ ~ Poisson(λ · n)
+   * Posterior: λ|Y ~ Gamma(a₀ + y, b₀ + n)
+   *
+   * @param {number} events - Total events observed
+   * @param {number} exposure - Visitors, sessions or other exposure units
+   * @param {number} shape - Prior shape
+   * @param {number} rate - Prior rate
+   * @returns {Object} Posterior parameters {shape, rate}
    */
-  calculateBayesFactor(posteriorA, posteriorB) {
-    // Simplified Bayes Factor calculation
-    const evidenceA = this.calculateEvidence(posteriorA);
-    const evidenceB = this.calculateEvidence(posteriorB);
+  calculateCountPosterior(events, exposure, shape = this.countShape, rate = this.countRate) {
+    return {
+      shape: shape + events,
+      rate: rate + exposure
+    };
+  }
+
+  /**
+   * Probability density function of the Gamma distribution
+   * @param {number} x - Value to evaluate
+   * @param {number} shape - Shape parameter
+   * @param {number} rate - Rate parameter
+   * @returns {number} PDF value
+   */
+  gammaPDF(x, shape, rate) {
+    if (x <= 0) return 0;
+    return Math.exp(shape * Math.log(rate) + (shape - 1) * Math.log(x) - rate * x - this.logGamma(shape));
+  }
+
+  /**
+   * Cumulative distribution function of the Gamma distribution
+   * @param {number} x - Value to evaluate
+   * @param {number} shape - Shape parameter
+   * @param {number} rate - Rate parameter
+   * @returns {number} CDF value
+   */
+  gammaCDF(x, shape, rate) {
+    return this.regularizedLowerIncompleteGamma(shape, rate * x);
+  }
+
+  /**
+   * Regularized lower incomplete gamma P(a, x): series expansion below a + 1,
+   * Lentz continued fraction for the upper tail above it
+   * @param {number} a - Shape parameter
+   * @param {number} x - Upper integration limit
+   * @returns {number} P(a, x)
+   */
+  regularizedLowerIncompleteGamma(a, x) {
+    if (x <= 0) return 0;
+    
+    const logFront = a * Math.log(x) - x - this.logGamma(a);
+    
+    if (x < a + 1) {
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 10000; n++) {
+        term *= x / (a + n);
+        sum += term;
+        if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+      }
+      return Math.min(1, sum * Math.exp(logFront));
+    }
+    
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 10000; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = an * d + b;
+      if (Math.abs(d) < tiny) d = tiny;
+      c = b + an / c;
+      if (Math.abs(c) < tiny) c = tiny;
+      d = 1 / d;
+      const delta = d * c;
+      h *= delta;
+      if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logFront) * h);
+  }
+
+  /**
+   * Quantile function of the Gamma distribution (bracketed Newton iteration)
+   * @param {number} p - Cumulative probability
+   * @param {number} shape - Shape parameter
+   * @param {number} rate - Rate parameter
+   * @returns {number} x such that F(x) = p
+   */
+  gammaQuantile(p, shape, rate) {
+    if (p <= 0) return 0;
+    if (p >= 1) return Infinity;
+    
+    // Wilson–Hilferty starting point
+    const z = this.inverseNormalCDF(p);
+    const wh = shape * Math.pow(1 - 1 / (9 * shape) + z / (3 * Math.sqrt(shape)), 3);
+    let x = wh > 0 ? wh : Math.pow(p * Math.exp(this.logGamma(shape + 1)), 1 / shape);
+    let lower = 0;
+    let upper = Infinity;
+    
+    for (let i = 0; i < 100; i++) {
+      const err = this.regularizedLowerIncompleteGamma(shape, x) - p;
+      if (Math.abs(err) < 1e-14) break;
+      if (err > 0) upper = x; else lower = x;
+      
+      const density = Math.exp((shape - 1) * Math.log(x) - x - this.logGamma(shape));
+      let next = density > 0 ? x - err / density : NaN;
+      if (!(next > lower && next < upper)) {
+        next = Number.isFinite(upper) ? (lower + upper) / 2 : x * 2;
+      }
+      if (Math.abs(next - x) < 1e-14 * x) {
+        x = next;
+        break;
+      }
+      x = next;
+    }
+    
+    return x / rate;
+  }
+
+  /**
+   * Credible interval for a Gamma posterior
+   * @param {Object} posterior - {shape, rate}
+   * @param {number} confidence - Confidence level
+   * @param {string} method - 'equal-tailed' or 'hdi'
+   * @returns {Object} {lower, upper} bounds
+   */
+  calculateCountCredibleInterval(posterior, confidence = 0.95, method = 'equal-tailed') {
+    const { shape, rate } = posterior;
+    const quantile = p => this.gammaQuantile(p, shape, rate);
+    
+    if (method === 'hdi') {
+      return this.findShortestInterval(quantile, confidence);
+    }
+    
+    const tail = (1 - confidence) / 2;
+    return {
+      lower: quantile(tail),
+      upper: quantile(1 - tail)
+    };
+  }
+
+  /**
+   * Exact P(λ_B > λ_A) for Gamma posteriors
+   *
+   * With U = b_A λ_A and V = b_B λ_B, U / (U + V) ~ Beta(a_A, a_B), so
+   * P(λ_B > λ_A) = I_{b_A / (b_A + b_B)}(a_A, a_B)
+   *
+   * @param {Object} posteriorA - {shape, rate} for variant A
+   * @param {Object} posteriorB - {shape, rate} for variant B
+   * @returns {number} Probability that B > A
+   */
+  calculateCountProbabilityBGreaterThanA(posteriorA, posteriorB) {
+    const x = posteriorA.rate / (posteriorA.rate + posteriorB.rate);
+    return this.regularizedIncompleteBeta(x, posteriorA.shape, posteriorB.shape);
+  }
+
+  /**
+   * Monte Carlo draws from a Gamma posterior
+   * @param {Object} posterior - {shape, rate}
+   * @param {number} samples - Number of samples
+   * @returns {Float64Array} Sampled rates
+   */
+  monteCarloSampleCount(posterior, samples = this.monteCarloSamples) {
+    return this.fillGamma(new Float64Array(samples), posterior.shape, posterior.rate);
+  }
+
+  /**
+   * Posterior of the relative rate lift λB/λA − 1 with a ROPE decision
+   * @param {Object} posteriorA - {shape, rate} for variant A
+   * @param {Object} posteriorB - {shape, rate} for variant B
+   * @param {Object} options - {confidence, method, rope} as for calculateRelativeLift
+   * @returns {Object} Result of calculateRelativeLiftFromSamples
+   */
+  calculateCountRelativeLift(posteriorA, posteriorB, options = {}) {
+    return this.estimateToPrecision(
+      (count) => [this.monteCarloSampleCount(posteriorA, count), this.monteCarloSampleCount(posteriorB, count)],
+      ([samplesA, samplesB]) => this.calculateRelativeLiftFromSamples(samplesA, samplesB, options),
+      ({ mcse }) => Math.max(mcse.probBelow, mcse.probInside, mcse.probAbove)
+    );
+  }
+
+  /**
+   * Expected loss for count metrics, in events per unit of exposure
+   * @param {Object} posteriorA - {shape, rate} for variant A
+   * @param {Object} posteriorB - {shape, rate} for variant B
+   * @returns {Object} Expected loss for choosing A or B, with {mcse, draws}; P(B > A) is exact
+   */
+  calculateCountExpectedLoss(posteriorA, posteriorB) {
+    const losses = this.estimateToPrecision(
+      (count) => [this.monteCarloSampleCount(posteriorA, count), this.monteCarloSampleCount(posteriorB, count)],
+      ([samplesA, samplesB]) => this.summarizeLosses(samplesA, samplesB),
+      ({ mcse }) => Math.max(mcse.lossA, mcse.lossB)
+    );
     
-    return evidenceB / evidenceA;
+    return {
+      ...losses,
+      probBGreater: this.calculateCountProbabilityBGreaterThanA(posteriorA, posteriorB),
+      mcse: { ...losses.mcse, probBGreater: 0 }
+    };
   }
 
   /**
-   * Calculate marginal likelihood (evidence)
+   * Plot points for Gamma posteriors on a shared axis
+   * @param {Array} posteriors - Array of {shape, rate}
+   * @param {number} numPoints - Number of points to generate
+   * @returns {Array} One array of {x, y} points per posterior
+   */
+  generateCountDistributionData(posteriors, numPoints = 100) {
+    const lower = Math.min(...posteriors.map(({ shape, rate }) => this.gammaQuantile(0.0001, shape, rate)));
+    const upper = Math.max(...posteriors.map(({ shape, rate }) => this.gammaQuantile(0.9999, shape, rate)));
+    
+    return posteriors.map(({ shape, rate }) => {
+      const data = [];
+      for (let i = 0; i <= numPoints; i++) {
+        const x = lower + (upper - lower) * i / numPoints;
+        data.push({ x, y: this.gammaPDF(x, shape, rate) });
+      }
+      return data;
+    });
+  }
+
+  /**
+   * Bayes factor BF₁₀ for a difference between the variants
+   *
+   * 'model-comparison': H0: θA = θB = θ vs H1: θA, θB independent, with every
+   * rate drawn from the shared Beta(α₀, β₀) prior. The binomial coefficients
+   * cancel, leaving
+   *   BF₁₀ = B(α_A, β_A) B(α_B, β_B) / [B(α₀, β₀) B(α_A + α_B − α₀, β_A + β_B − β₀)]
+   *
+   * 'savage-dickey': point null δ = θB − θA = 0, BF₁₀ = p(δ = 0) / p(δ = 0 | X)
+   * where the density of the difference at zero is ∫ f_A(t) f_B(t) dt.
+   *
+   * With separate priors per variant, the shared rate under H0 takes
+   * variant A's (the control's) prior.
+   *
+   * @param {Object} posteriorA - Posterior parameters for variant A
+   * @param {Object} posteriorB - Posterior parameters for variant B
+   * @param {Object} prior - Beta prior {alpha, beta} of variant A, shared unless priorB is given
+   * @param {string} method - 'model-comparison' or 'savage-dickey'
+   * @param {Object} priorB - Beta prior {alpha, beta} of variant B
+   * @returns {Object} {bayesFactor, logBayesFactor, method, evidence}, NaN when undefined
+   */
+  calculateBayesFactor(posteriorA, posteriorB, prior = { alpha: this.alpha, beta: this.beta }, method = 'model-comparison', priorB = prior) {
+    const logBayesFactor = method === 'savage-dickey'
+      ? this.logDifferenceDensityAtZero(prior, priorB) - this.logDifferenceDensityAtZero(posteriorA, posteriorB)
+      : this.calculateLogEvidence(posteriorA, prior) + this.calculateLogEvidence(posteriorB, priorB) -
+        this.calculateLogEvidence({
+          alpha: posteriorA.alpha + posteriorB.alpha - priorB.alpha,
+          beta: posteriorA.beta + posteriorB.beta - priorB.beta
+        }, prior);
+    // Priors with α₀ or β₀ ≤ 1/2 put unbounded density on δ = 0
+    if (!Number.isFinite(logBayesFactor)) {
+      return {
+        bayesFactor: NaN,
+        logBayesFactor: NaN,
+        method,
+        evidence: { label: 'Undefined under this prior', favors: null }
+      };
+    }
+
+    const bayesFactor = Math.exp(logBayesFactor);
+
+    return {
+      bayesFactor,
+      logBayesFactor,
+      method,
+      evidence: this.interpretBayesFactor(bayesFactor)
+    };
+  }
+
+  /**
+   * Log marginal likelihood of Beta-Binomial data, omitting the binomial
+   * coefficient (it cancels in every Bayes factor over the same data)
    * @param {Object} posterior - Posterior parameters
-   * @returns {number} Marginal likelihood
+   * @param {Object} prior - Prior parameters
+   * @returns {number} log p(X) + const
    */
-  calculateEvidence(posterior) {
-    const { alpha, beta } = posterior;
-    return this.betaFunction(alpha, beta);
+  calculateLogEvidence(posterior, prior) {
+    return this.logBeta(posterior.alpha, posterior.beta) - this.logBeta(prior.alpha, prior.beta);
+  }
+
+  /**
+   * Log density of θB − θA at zero for independent Beta rates:
+   * ∫ f_A(t) f_B(t) dt = B(α_A + α_B − 1, β_A + β_B − 1) / [B(α_A, β_A) B(α_B, β_B)]
+   * @param {Object} betaA - Beta parameters for θA
+   * @param {Object} betaB - Beta parameters for θB
+   * @returns {number} log p(δ = 0), Infinity when the density is unbounded
+   */
+  logDifferenceDensityAtZero(betaA, betaB) {
+    const alpha = betaA.alpha + betaB.alpha - 1;
+    const beta = betaA.beta + betaB.beta - 1;
+    if (alpha <= 0 || beta <= 0) return Infinity;
+
+    return this.logBeta(alpha, beta) - this.logBeta(betaA.alpha, betaA.beta) - this.logBeta(betaB.alpha, betaB.beta);
+  }
+
+  /**
+   * Jeffreys-scale label for a Bayes factor
+   * @param {number} bayesFactor - BF₁₀
+   * @returns {Object} {label, favors} where favors is 'H1' (difference) or 'H0' (no difference)
+   */
+  interpretBayesFactor(bayesFactor) {
+    const favors = bayesFactor >= 1 ? 'H1' : 'H0';
+    const strength = favors === 'H1' ? bayesFactor : 1 / bayesFactor;
+
+    let label;
+    if (strength < Math.sqrt(10)) label = 'Barely worth mentioning';
+    else if (strength < 10) label = 'Substantial';
+    else if (strength < Math.pow(10, 1.5)) label = 'Strong';
+    else if (strength < 100) label = 'Very strong';
+    else label = 'Decisive';
+
+    return { label, favors };
   }
 
   /**
@@ -459,6 +1761,16 @@ export class BayesianCalculator {
    * @returns {number} Beta function value
    */
   betaFunction(alpha, beta) {
-    return Math.exp(this.logGamma(alpha) + this.logGamma(beta) - this.logGamma(alpha + beta));
+    return Math.exp(this.logBeta(alpha, beta));
+  }
+
+  /**
+   * Log of the Beta function
+   * @param {number} alpha - Alpha parameter
+   * @param {number} beta - Beta parameter
+   * @returns {number} log B(α, β)
+   */
+  logBeta(alpha, beta) {
+    return this.logGamma(alpha) + this.logGamma(beta) - this.logGamma(alpha + beta);
   }
 }
@@ -0,0 +1,203 @@
+/**
+ * CUPED / regression adjustment with a pre-experiment covariate
+ *
+ * Each row is a unit (a user) or a bucket of units with outcome Y and
+ * pre-period covariate X, both totals over the row's units. With per-unit
+ * means y = Y / w and x = X / w (w = units), one pooled slope
+ *   θ = Σ w (x − x̄)(y − ȳ) / Σ w (x − x̄)²
+ * gives adjusted values z = y − θ (x − x̄). The covariate is measured before
+ * assignment, so the adjustment leaves each arm's expected mean unchanged
+ * and removes the share of variance it explains (≈ ρ²).
+ *
+ * The arm mean is a ratio of sums, so its variance is estimated from the
+ * rows: V = B/(B − 1) · Σ w² (v − m)² / (Σ w)², which is s²/n per user.
+ * To reuse the conjugate result cards, each arm becomes the Beta-Binomial
+ * (or Gamma-Poisson) data with the same mean and variance: an effective
+ * sample of n_eff = m (1 − m) / V trials, or m / V units of exposure.
+ */
+
+const requiredColumns = ['variant', 'outcome', 'covariate'];
+
+export const covariateMetricTypes = {
+  conversion: 'Conversion (0/1 per unit)',
+  count: 'Count (events per unit)'
+};
+
+export class CovariateAdjustment {
+  constructor(calculator) {
+    this.calculator = calculator;
+  }
+
+  /**
+   * Parse a per-unit CSV with a header row of variant, outcome, covariate
+   * and an optional units column for bucketed rows
+   * @param {string} text - CSV text
+   * @param {string} metricType - 'conversion' or 'count'
+   * @returns {Object} {rows: Array of {variant, outcome, covariate, units}, errors: Array of messages}
+   */
+  parseCsv(text, metricType = 'conversion') {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+    if (lines.length < 2) {
+      return { rows: [], errors: ['Add a header row and at least one data row.'] };
+    }
+
+    const header = lines[0].split(',').map(name => name.trim().toLowerCase());
+    const missing = requiredColumns.filter(column => !header.includes(column));
+    if (missing.length > 0) {
+      return { rows: [], errors: [`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}.`] };
+    }
+
+    const index = (column) => header.indexOf(column);
+    const hasUnits = header.includes('units');
+    const rows = [];
+    const errors = [];
+
+    lines.slice(1).forEach((line, i) => {
+      const cells = line.split(',').map(cell => cell.trim());
+      const lineNumber = i + 2;
+      const variant = cells[index('variant')];
+      const outcome = parseFloat(cells[index('outcome')]);
+      const covariate = parseFloat(cells[index('covariate')]);
+      const units = hasUnits ? parseFloat(cells[index('units')]) : 1;
+
+      if (!variant) {
+        errors.push(`Line ${lineNumber}: missing variant.`);
+      } else if (![outcome, covariate, units].every(Number.isFinite)) {
+        errors.push(`Line ${lineNumber}: outcome, covariate and units must be numbers.`);
+      } else if (units <= 0) {
+        errors.push(`Line ${lineNumber}: units must be positive.`);
+      } else if (outcome < 0 || (metricType === 'conversion' && outcome > units)) {
+        errors.push(`Line ${lineNumber}: conversions must be between 0 and the number of units.`);
+      } else {
+        rows.push({ variant, outcome, covariate, units });
+      }
+    });
+
+    return { rows, errors: errors.slice(0, 5).concat(errors.length > 5 ? [`…and ${errors.length - 5} more.`] : []) };
+  }
+
+  /**
+   * Weighted mean of per-unit values and the variance of that mean across rows
+   * @param {Array} values - Per-unit values, one per row
+   * @param {Array} weights - Units per row
+   * @returns {Object} {mean, variance}
+   */
+  meanWithVariance(values, weights) {
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const mean = values.reduce((sum, v, i) => sum + weights[i] * v, 0) / total;
+    const rows = values.length;
+    const spread = values.reduce((sum, v, i) => sum + (weights[i] * (v - mean)) ** 2, 0);
+    return {
+      mean,
+      variance: rows > 1 ? (rows / (rows - 1)) * spread / (total * total) : Infinity
+    };
+  }
+
+  /**
+   * Pooled CUPED slope, covariate mean and correlation
+   * @param {Array} rows - Parsed rows
+   * @returns {Object} {theta, covariateMean, correlation}
+   */
+  fitSlope(rows) {
+    let total = 0;
+    let sumX = 0;
+    let sumY = 0;
+    rows.forEach(({ outcome, covariate, units }) => {
+      total += units;
+      sumX += covariate;
+      sumY += outcome;
+    });
+    const meanX = sumX / total;
+    const meanY = sumY / total;
+
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    rows.forEach(({ outcome, covariate, units }) => {
+      const dx = covariate / units - meanX;
+      const dy = outcome / units - meanY;
+      covariance += units * dx * dy;
+      varianceX += units * dx * dx;
+      varianceY += units * dy * dy;
+    });
+
+    return {
+      theta: varianceX > 0 ? covariance / varianceX : 0,
+      covariateMean: meanX,
+      correlation: varianceX > 0 && varianceY > 0 ? covariance / Math.sqrt(varianceX * varianceY) : 0
+    };
+  }
+
+  /**
+   * Data with the same mean and variance as an arm's estimate, for the conjugate models
+   * @param {number} mean - Per-unit mean
+   * @param {number} variance - Variance of the mean
+   * @param {string} metricType - 'conversion' or 'count'
+   * @returns {Object} {successes, trials} or {events, exposure}; null when the variance is degenerate
+   */
+  effectiveData(mean, variance, metricType) {
+    if (!(variance > 0) || !Number.isFinite(variance)) return null;
+    if (metricType === 'count') {
+      const rate = Math.max(mean, 1e-9);
+      return { events: rate * rate / variance, exposure: rate / variance };
+    }
+    const rate = Math.min(1 - 1e-9, Math.max(1e-9, mean));
+    const trials = rate * (1 - rate) / variance;
+    return { successes: rate * trials, trials };
+  }
+
+  /**
+   * Unadjusted and CUPED-adjusted summaries of every arm
+   * @param {Array} rows - Parsed rows
+   * @param {string} metricType - 'conversion' or 'count'
+   * @returns {Object|null} {theta, covariateMean, correlation, arms, varianceReduction}; arms are
+   *   in order of first appearance, the first being the control. Null with fewer than two arms
+   *   of at least two rows each.
+   */
+  analyze(rows, metricType = 'conversion') {
+    const names = [...new Set(rows.map(row => row.variant))];
+    const groups = names.map(name => rows.filter(row => row.variant === name));
+    if (groups.length < 2 || groups.some(group => group.length < 2)) return null;
+
+    const { theta, covariateMean, correlation } = this.fitSlope(rows);
+
+    const arms = groups.map((group, i) => {
+      const weights = group.map(row => row.units);
+      const raw = this.meanWithVariance(group.map(row => row.outcome / row.units), weights);
+      const adjusted = this.meanWithVariance(
+        group.map(row => row.outcome / row.units - theta * (row.covariate / row.units - covariateMean)),
+        weights
+      );
+      const rawData = this.effectiveData(raw.mean, raw.variance, metricType);
+      const adjustedData = this.effectiveData(adjusted.mean, adjusted.variance, metricType);
+
+      return {
+        name: names[i],
+        rows: group.length,
+        units: weights.reduce((sum, w) => sum + w, 0),
+        outcomes: group.reduce((sum, row) => sum + row.outcome, 0),
+        mean: raw.mean,
+        variance: raw.variance,
+        adjustedMean: adjusted.mean,
+        adjustedVariance: adjusted.variance,
+        varianceReduction: raw.variance > 0 ? 1 - adjusted.variance / raw.variance : 0,
+        rawData,
+        // Fall back to the raw data when the adjusted variance is degenerate
+        adjustedData: adjustedData || rawData
+      };
+    });
+
+    // Variance of the difference against the control, the quantity the comparison depends on
+    const control = arms[0];
+    const rawDifference = arms.slice(1).reduce((sum, arm) => sum + arm.variance + control.variance, 0);
+    const adjustedDifference = arms.slice(1).reduce((sum, arm) => sum + arm.adjustedVariance + control.adjustedVariance, 0);
+
+    return {
+      theta,
+      covariateMean,
+      correlation,
+      arms,
+      varianceReduction: rawDifference > 0 ? 1 - adjustedDifference / rawDifference : 0
+    };
+  }
+}
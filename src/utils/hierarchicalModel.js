@@ -0,0 +1,144 @@
+/**
+ * Hierarchical Beta-Binomial Model for segmented experiments
+ *
+ * Segment-level conversion rates of both variants are partially pooled
+ * toward one shared population distribution:
+ *
+ * Population:  θ_s ~ Beta(μκ, (1 − μ)κ)
+ * Likelihood:  x_s | θ_s ~ Binomial(n_s, θ_s)
+ * Posterior:   θ_s | x_s ~ Beta(μκ + x_s, (1 − μ)κ + n_s − x_s)
+ *
+ * The population mean μ and concentration κ are fit by empirical Bayes,
+ * maximizing the Beta-Binomial marginal likelihood across every segment and
+ * variant. Small segments are shrunk toward μ by a factor κ / (κ + n_s), so
+ * their A and B rates are pulled together and P(B > A) moves toward 1/2.
+ */
+
+export class HierarchicalModel {
+  constructor(calculator, { minParameter = 0.1, maxConcentration = 1e6 } = {}) {
+    this.calculator = calculator;
+    // Lower bound on the population α and β; sparse or all-zero segments
+    // otherwise drive the fit to a degenerate Beta
+    this.minParameter = minParameter;
+    this.maxConcentration = maxConcentration;
+  }
+
+  /**
+   * Beta-Binomial log marginal likelihood of all segments, omitting the
+   * binomial coefficients (constant in the hyperparameters)
+   * @param {Array} segments - [{successes, trials}]
+   * @param {number} mean - Population mean μ
+   * @param {number} concentration - Population concentration κ
+   * @returns {number} log p(X | μ, κ) + const
+   */
+  logMarginalLikelihood(segments, mean, concentration) {
+    const alpha = mean * concentration;
+    const beta = (1 - mean) * concentration;
+    const logPrior = this.calculator.logBeta(alpha, beta);
+
+    return segments.reduce((sum, { successes, trials }) => (
+      sum + this.calculator.logBeta(alpha + successes, beta + trials - successes) - logPrior
+    ), 0);
+  }
+
+  /**
+   * Empirical Bayes estimate of the population Beta distribution
+   * @param {Array} segments - [{successes, trials}]
+   * @returns {Object} {alpha, beta, mean, concentration}
+   */
+  fitHyperparameters(segments) {
+    const minConcentration = 2 * this.minParameter;
+    const toMean = (logit, concentration) => {
+      const epsilon = this.minParameter / concentration;
+      return Math.min(1 - epsilon, Math.max(epsilon, 1 / (1 + Math.exp(-logit))));
+    };
+
+    // Profile out μ for each κ: maximize over logit μ, then over log κ
+    const bestMeanFor = (concentration) => toMean(
+      this.calculator.goldenSectionMinimize(
+        (logit) => -this.logMarginalLikelihood(segments, toMean(logit, concentration), concentration),
+        -12,
+        12
+      ),
+      concentration
+    );
+
+    // A single group carries no information about between-segment spread
+    const logConcentration = segments.length < 2
+      ? Math.log(minConcentration)
+      : this.calculator.goldenSectionMinimize(
+          (logKappa) => {
+            const concentration = Math.exp(logKappa);
+            return -this.logMarginalLikelihood(segments, bestMeanFor(concentration), concentration);
+          },
+          Math.log(minConcentration),
+          Math.log(this.maxConcentration)
+        );
+
+    const concentration = Math.exp(logConcentration);
+    const mean = bestMeanFor(concentration);
+
+    return {
+      alpha: mean * concentration,
+      beta: (1 - mean) * concentration,
+      mean,
+      concentration
+    };
+  }
+
+  /**
+   * Shrunken Beta posteriors for each segment under the fitted population
+   * @param {Array} segments - [{successes, trials}]
+   * @param {Object} population - {alpha, beta, concentration}
+   * @returns {Array} [{alpha, beta, shrinkage}]
+   */
+  calculateSegmentPosteriors(segments, population) {
+    return segments.map(({ successes, trials }) => ({
+      alpha: population.alpha + successes,
+      beta: population.beta + trials - successes,
+      shrinkage: population.concentration / (population.concentration + trials)
+    }));
+  }
+
+  /**
+   * Compare variants within every segment with and without partial pooling
+   * @param {Array} segments - [{name, variantA: {successes, trials}, variantB: {successes, trials}}]
+   * @param {Object} options - {confidence, method, prior} where prior is the unpooled Beta prior
+   * @returns {Object} {population, segments}
+   */
+  analyze(segments, { confidence = 0.95, method = 'equal-tailed', prior = { alpha: 1, beta: 1 } } = {}) {
+    const dataA = segments.map(segment => segment.variantA);
+    const dataB = segments.map(segment => segment.variantB);
+    const population = this.fitHyperparameters([...dataA, ...dataB]);
+    const pooledA = this.calculateSegmentPosteriors(dataA, population);
+    const pooledB = this.calculateSegmentPosteriors(dataB, population);
+
+    const results = segments.map((segment, index) => {
+      const posteriorA = pooledA[index];
+      const posteriorB = pooledB[index];
+      const unpooledA = this.calculator.calculatePosterior(segment.variantA.successes, segment.variantA.trials, prior.alpha, prior.beta);
+      const unpooledB = this.calculator.calculatePosterior(segment.variantB.successes, segment.variantB.trials, prior.alpha, prior.beta);
+      const lift = this.calculator.calculateRelativeLift(posteriorA, posteriorB, { confidence, method });
+
+      return {
+        name: segment.name,
+        posteriorA,
+        posteriorB,
+        probBGreater: this.calculator.calculateProbabilityBGreaterThanA(posteriorA, posteriorB),
+        unpooledProbBGreater: this.calculator.calculateProbabilityBGreaterThanA(unpooledA, unpooledB),
+        lift: {
+          mean: lift.mean,
+          credibleInterval: lift.credibleInterval
+        },
+        rawLift: segment.variantA.successes > 0 && segment.variantB.trials > 0
+          ? (segment.variantB.successes / segment.variantB.trials) / (segment.variantA.successes / segment.variantA.trials) - 1
+          : null
+      };
+    });
+
+    return {
+      population,
+      segments: results
+    };
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * Joint prior on the control rate and the treatment effect
+ *
+ * Control:  θA ~ Beta(α₀, β₀)
+ * Effect:   δ = logit θB − logit θA ~ Normal(0, σ²)   (skeptical: centred at zero lift)
+ * Data:     x_A ~ Binomial(n_A, θA),  x_B ~ Binomial(n_B, θB)
+ *
+ * The posterior has no closed form, so it is evaluated on a grid over
+ * (u = logit θA, δ). The grid also yields the marginal likelihood, giving a
+ * Bayes factor against a shared rate θA = θB ~ Beta(α₀, β₀), and the
+ * posterior density of δ at zero for the Savage–Dickey ratio.
+ */
+
+export class JointPriorModel {
+  constructor(calculator, { gridSize = 240, samples = 10000 } = {}) {
+    this.calculator = calculator;
+    this.gridSize = gridSize;
+    this.samples = samples;
+  }
+
+  /**
+   * Normal scale for the log-odds ratio from "P(|lift| < bound) = probability",
+   * using log(1 + lift) ≈ δ for low conversion rates
+   * @param {number} liftBound - Relative lift bound, e.g. 0.2 for ±20%
+   * @param {number} probability - Prior probability inside the bound
+   * @returns {number} σ
+   */
+  effectScaleFromLift(liftBound, probability = 0.95) {
+    return Math.log(1 + liftBound) / this.calculator.inverseNormalCDF((1 + probability) / 2);
+  }
+
+  /**
+   * Unnormalized log posterior on the (logit θA, δ) scale, omitting
+   * binomial coefficients; includes the Jacobian θA(1 − θA) of the logit
+   */
+  logJointDensity(u, delta, variantA, variantB, prior, effectScale) {
+    const logThetaA = -Math.log1p(Math.exp(-u));
+    const log1mThetaA = -Math.log1p(Math.exp(u));
+    const v = u + delta;
+    const logThetaB = -Math.log1p(Math.exp(-v));
+    const log1mThetaB = -Math.log1p(Math.exp(v));
+
+    return (prior.alpha + variantA.successes) * logThetaA +
+      (prior.beta + variantA.trials - variantA.successes) * log1mThetaA -
+      this.calculator.logBeta(prior.alpha, prior.beta) +
+      variantB.successes * logThetaB +
+      (variantB.trials - variantB.successes) * log1mThetaB -
+      0.5 * (delta / effectScale) ** 2 - Math.log(effectScale * Math.sqrt(2 * Math.PI));
+  }
+
+  /**
+   * Grid bounds covering the posterior: each arm's own logit posterior ±6 sd
+   * for u, and the range between zero and the data's log-odds ratio for δ
+   */
+  gridBounds(variantA, variantB, prior, effectScale) {
+    const logitMoments = (successes, trials) => {
+      // Logit of a Beta(a, b) variable has mean ψ(a) − ψ(b) ≈ log(a / b) and variance ≈ 1/a + 1/b
+      const a = prior.alpha + successes;
+      const b = prior.beta + trials - successes;
+      return { mean: Math.log(a / b), sd: Math.sqrt(1 / a + 1 / b) };
+    };
+    const momentsA = logitMoments(variantA.successes, variantA.trials);
+    const momentsB = logitMoments(variantB.successes, variantB.trials);
+    const dataEffect = momentsB.mean - momentsA.mean;
+    const dataEffectSd = Math.sqrt(momentsA.sd ** 2 + momentsB.sd ** 2);
+
+    return {
+      u: [
+        Math.min(momentsA.mean - 6 * momentsA.sd, momentsB.mean - 6 * momentsB.sd),
+        Math.max(momentsA.mean + 6 * momentsA.sd, momentsB.mean + 6 * momentsB.sd)
+      ],
+      delta: [
+        Math.max(-8 * effectScale, Math.min(0, dataEffect) - 6 * dataEffectSd),
+        Math.min(8 * effectScale, Math.max(0, dataEffect) + 6 * dataEffectSd)
+      ]
+    };
+  }
+
+  /**
+   * Evaluate the posterior on the grid
+   * @returns {Object} {us, deltas, weights (normalized, row-major by u), cellArea, logEvidence}
+   */
+  fitGrid(variantA, variantB, prior, effectScale) {
+    const n = this.gridSize;
+    const bounds = this.gridBounds(variantA, variantB, prior, effectScale);
+    const du = (bounds.u[1] - bounds.u[0]) / n;
+    const dDelta = (bounds.delta[1] - bounds.delta[0]) / n;
+    const us = Array.from({ length: n }, (_, i) => bounds.u[0] + (i + 0.5) * du);
+    const deltas = Array.from({ length: n }, (_, j) => bounds.delta[0] + (j + 0.5) * dDelta);
+
+    const logDensity = new Float64Array(n * n);
+    let maxLog = -Infinity;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        const value = this.logJointDensity(us[i], deltas[j], variantA, variantB, prior, effectScale);
+        logDensity[i * n + j] = value;
+        if (value > maxLog) maxLog = value;
+      }
+    }
+
+    const weights = new Float64Array(n * n);
+    let total = 0;
+    for (let k = 0; k < n * n; k++) {
+      weights[k] = Math.exp(logDensity[k] - maxLog);
+      total += weights[k];
+    }
+    for (let k = 0; k < n * n; k++) {
+      weights[k] /= total;
+    }
+
+    return {
+      us,
+      deltas,
+      weights,
+      cellArea: du * dDelta,
+      logEvidence: maxLog + Math.log(total * du * dDelta)
+    };
+  }
+
+  /**
+   * Posterior summaries of an A/B comparison under the joint prior
+   * @param {Object} variantA - {successes, trials}
+   * @param {Object} variantB - {successes, trials}
+   * @param {Object} jointPrior - {control: {alpha, beta}, effectScale}
+   * @param {Object} options - {confidence, method, rope} as for calculateRelativeLift
+   * @returns {Object} {probBGreater, expectedLoss, credibleIntervalA, credibleIntervalB, lift, posteriorA, posteriorB, effect, logEvidence}
+   */
+  analyze(variantA, variantB, { control, effectScale }, { confidence = 0.95, method = 'equal-tailed', rope } = {}) {
+    const grid = this.fitGrid(variantA, variantB, control, effectScale);
+    const n = this.gridSize;
+    const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+    let probBGreater = 0;
+    let lossA = 0;
+    let lossB = 0;
+    const effectMarginal = new Float64Array(n);
+
+    for (let i = 0; i < n; i++) {
+      const thetaA = sigmoid(grid.us[i]);
+      for (let j = 0; j < n; j++) {
+        const w = grid.weights[i * n + j];
+        if (w === 0) continue;
+        const thetaB = sigmoid(grid.us[i] + grid.deltas[j]);
+        if (grid.deltas[j] > 0) probBGreater += w;
+        lossA += w * Math.max(thetaB - thetaA, 0);
+        lossB += w * Math.max(thetaA - thetaB, 0);
+        effectMarginal[j] += w;
+      }
+    }
+
+    // Draws from the grid (uniform jitter within each cell) for intervals and the lift
+    const { samplesA, samplesB } = this.sampleGrid(grid);
+    const lift = this.calculator.calculateRelativeLiftFromSamples(samplesA, samplesB, { confidence, method, rope });
+    const { posteriorA, posteriorB } = this.gridMarginals(grid);
+
+    return {
+      probBGreater,
+      expectedLoss: { lossA, lossB, probBGreater },
+      credibleIntervalA: this.calculator.calculateSampleInterval(samplesA, confidence, method),
+      credibleIntervalB: this.calculator.calculateSampleInterval(samplesB, confidence, method),
+      lift,
+      posteriorA,
+      posteriorB,
+      effect: this.summarizeEffect(grid, effectMarginal, effectScale, confidence),
+      logEvidence: grid.logEvidence
+    };
+  }
+
+  /**
+   * Moment-matched Beta approximations of both marginal posteriors, for
+   * charts and predictive checks. Fits the grid only, without the draws that
+   * analyze takes for intervals and the lift.
+   * @param {Object} variantA - {successes, trials}
+   * @param {Object} variantB - {successes, trials}
+   * @param {Object} jointPrior - {control: {alpha, beta}, effectScale}
+   * @returns {Object} {posteriorA, posteriorB}
+   */
+  marginalPosteriors(variantA, variantB, { control, effectScale }) {
+    return this.gridMarginals(this.fitGrid(variantA, variantB, control, effectScale));
+  }
+
+  /**
+   * Moment-matched Beta marginals of a fitted grid
+   * @param {Object} grid - Result of fitGrid
+   * @returns {Object} {posteriorA, posteriorB}
+   */
+  gridMarginals(grid) {
+    const n = this.gridSize;
+    const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+    const momentsA = { mean: 0, square: 0 };
+    const momentsB = { mean: 0, square: 0 };
+
+    for (let i = 0; i < n; i++) {
+      const thetaA = sigmoid(grid.us[i]);
+      for (let j = 0; j < n; j++) {
+        const w = grid.weights[i * n + j];
+        if (w === 0) continue;
+        const thetaB = sigmoid(grid.us[i] + grid.deltas[j]);
+        momentsA.mean += w * thetaA;
+        momentsA.square += w * thetaA * thetaA;
+        momentsB.mean += w * thetaB;
+        momentsB.square += w * thetaB * thetaB;
+      }
+    }
+
+    return {
+      posteriorA: this.momentMatchedBeta(momentsA),
+      posteriorB: this.momentMatchedBeta(momentsB)
+    };
+  }
+
+  /**
+   * Bayes factor for a real difference under the joint prior
+   * 'model-comparison': p(X | joint prior) / p(X | θA = θB ~ Beta(α₀, β₀))
+   * 'savage-dickey':    p(δ = 0) / p(δ = 0 | X)
+   * The two agree up to grid error because δ = 0 nests the shared-rate model
+   * @param {Object} variantA - {successes, trials}
+   * @param {Object} variantB - {successes, trials}
+   * @param {Object} analysis - Result of analyze
+   * @param {Object} control - Control Beta prior {alpha, beta}
+   * @param {string} method - 'model-comparison' or 'savage-dickey'
+   * @returns {Object} {bayesFactor, logBayesFactor, method, evidence}, NaN when undefined
+   */
+  calculateBayesFactor(variantA, variantB, analysis, control, method = 'model-comparison') {
+    const logBayesFactor = method === 'savage-dickey'
+      ? analysis.effect.logPriorDensityAtZero - analysis.effect.logPosteriorDensityAtZero
+      : analysis.logEvidence - this.calculator.calculateLogEvidence({
+          alpha: control.alpha + variantA.successes + variantB.successes,
+          beta: control.beta + variantA.trials - variantA.successes + variantB.trials - variantB.successes
+        }, control);
+
+    if (!Number.isFinite(logBayesFactor)) {
+      return {
+        bayesFactor: NaN,
+        logBayesFactor: NaN,
+        method,
+        evidence: { label: 'Undefined under this prior', favors: null }
+      };
+    }
+
+    const bayesFactor = Math.exp(logBayesFactor);
+    return {
+      bayesFactor,
+      logBayesFactor,
+      method,
+      evidence: this.calculator.interpretBayesFactor(bayesFactor)
+    };
+  }
+
+  /**
+   * Posterior of the log-odds ratio δ: mean, equal-tailed interval, and densities at zero
+   */
+  summarizeEffect(grid, marginal, effectScale, confidence) {
+    const tail = (1 - confidence) / 2;
+    const dDelta = grid.deltas[1] - grid.deltas[0];
+    let mean = 0;
+    let cumulative = 0;
+    let lower = grid.deltas[0];
+    let upper = grid.deltas[grid.deltas.length - 1];
+    grid.deltas.forEach((delta, j) => {
+      mean += marginal[j] * delta;
+      const next = cumulative + marginal[j];
+      if (cumulative < tail && next >= tail) lower = delta;
+      if (cumulative < 1 - tail && next >= 1 - tail) upper = delta;
+      cumulative = next;
+    });
+
+    // Linear interpolation of the marginal density at δ = 0
+    const position = (0 - grid.deltas[0]) / dDelta;
+    const j = Math.floor(position);
+    const density = (index) => (index >= 0 && index < marginal.length ? marginal[index] / dDelta : 0);
+    const densityAtZero = density(j) + (position - j) * (density(j + 1) - density(j));
+
+    return {
+      mean,
+      credibleInterval: { lower, upper },
+      logPriorDensityAtZero: -Math.log(effectScale * Math.sqrt(2 * Math.PI)),
+      logPosteriorDensityAtZero: Math.log(densityAtZero)
+    };
+  }
+
+  /**
+   * Draw (θA, θB) pairs from the gridded posterior
+   */
+  sampleGrid(grid) {
+    const n = this.gridSize;
+    const cumulative = new Float64Array(n * n);
+    let running = 0;
+    for (let k = 0; k < n * n; k++) {
+      running += grid.weights[k];
+      cumulative[k] = running;
+    }
+
+    const du = grid.us[1] - grid.us[0];
+    const dDelta = grid.deltas[1] - grid.deltas[0];
+    const samplesA = new Array(this.samples);
+    const samplesB = new Array(this.samples);
+
+    for (let s = 0; s < this.samples; s++) {
+      const target = this.calculator.random() * running;
+      let low = 0;
+      let high = n * n - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (cumulative[mid] < target) low = mid + 1;
+        else high = mid;
+      }
+      const u = grid.us[Math.floor(low / n)] + (this.calculator.random() - 0.5) * du;
+      const delta = grid.deltas[low % n] + (this.calculator.random() - 0.5) * dDelta;
+      samplesA[s] = 1 / (1 + Math.exp(-u));
+      samplesB[s] = 1 / (1 + Math.exp(-(u + delta)));
+    }
+
+    return { samplesA, samplesB };
+  }
+
+  /**
+   * Beta distribution with the same mean and variance as the given moments
+   */
+  momentMatchedBeta({ mean, square }) {
+    const variance = Math.max(square - mean * mean, 1e-12);
+    const concentration = mean * (1 - mean) / variance - 1;
+    return {
+      alpha: mean * concentration,
+      beta: (1 - mean) * concentration
+    };
+  }
+}
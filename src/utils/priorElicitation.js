@@ -0,0 +1,111 @@
+/**
+ * Beta prior elicitation from stated quantiles
+ *
+ * Beliefs such as "around 12%, 90% sure it is between 8% and 16%" become
+ * three target quantiles: the median and the (1 ± c)/2 quantiles. For each
+ * concentration κ = α + β the mean is solved so the median matches exactly;
+ * κ is then chosen to best match the interval ends on the log-odds scale.
+ */
+
+export class QuantilePriorElicitation {
+  constructor(calculator, { minConcentration = 0.5, maxConcentration = 1e6 } = {}) {
+    this.calculator = calculator;
+    this.minConcentration = minConcentration;
+    this.maxConcentration = maxConcentration;
+  }
+
+  /**
+   * Problems with stated beliefs that prevent a fit
+   * @param {Object} beliefs - {median, lower, upper, probability}
+   * @returns {Array} Error messages (empty when the beliefs are usable)
+   */
+  validate({ median, lower, upper, probability }) {
+    const errors = [];
+    if (![median, lower, upper, probability].every(Number.isFinite)) {
+      errors.push('Enter a value for every belief.');
+      return errors;
+    }
+    if (!(lower > 0 && upper < 1)) {
+      errors.push('The range must lie strictly between 0% and 100%.');
+    }
+    if (!(lower < median && median < upper)) {
+      errors.push('The typical value must lie inside the range.');
+    }
+    if (!(probability > 0 && probability < 1)) {
+      errors.push('Certainty must be between 0% and 100%.');
+    }
+    return errors;
+  }
+
+  /**
+   * Beta distribution that best matches the stated quantiles
+   * @param {Object} beliefs - {median, lower, upper, probability} with rates in (0, 1)
+   * @returns {Object|null} {alpha, beta, mean, targets, fitted, massInRange}, or null when the beliefs are invalid
+   */
+  solve(beliefs) {
+    if (this.validate(beliefs).length > 0) return null;
+
+    const { median, lower, upper, probability } = beliefs;
+    const targets = [
+      { p: (1 - probability) / 2, x: lower },
+      { p: 0.5, x: median },
+      { p: (1 + probability) / 2, x: upper }
+    ];
+    const logit = (x) => Math.log(x / (1 - x));
+    const clamp = (x) => Math.min(1 - 1e-12, Math.max(1e-12, x));
+
+    const loss = (logConcentration) => {
+      const { alpha, beta } = this.matchMedian(median, Math.exp(logConcentration));
+      return [targets[0], targets[2]].reduce((sum, { p, x }) => (
+        sum + (logit(clamp(this.calculator.betaQuantile(p, alpha, beta))) - logit(x)) ** 2
+      ), 0);
+    };
+
+    const logConcentration = this.calculator.goldenSectionMinimize(
+      loss,
+      Math.log(this.minConcentration),
+      Math.log(this.maxConcentration)
+    );
+    const { alpha, beta } = this.matchMedian(median, Math.exp(logConcentration));
+    const quantile = (p) => this.calculator.betaQuantile(p, alpha, beta);
+
+    return {
+      alpha,
+      beta,
+      mean: alpha / (alpha + beta),
+      targets,
+      fitted: {
+        lower: quantile(targets[0].p),
+        median: quantile(0.5),
+        upper: quantile(targets[2].p)
+      },
+      massInRange: this.calculator.betaCDF(upper, alpha, beta) - this.calculator.betaCDF(lower, alpha, beta)
+    };
+  }
+
+  /**
+   * Beta(μκ, (1 − μ)κ) whose median equals the target; the median
+   * increases with μ, so bisection on the log-odds of μ converges
+   * @param {number} median - Target median
+   * @param {number} concentration - κ = α + β
+   * @returns {Object} {alpha, beta}
+   */
+  matchMedian(median, concentration) {
+    let low = -30;
+    let high = 30;
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      const mean = 1 / (1 + Math.exp(-mid));
+      if (this.calculator.betaQuantile(0.5, mean * concentration, (1 - mean) * concentration) < median) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    const mean = 1 / (1 + Math.exp(-(low + high) / 2));
+    return {
+      alpha: mean * concentration,
+      beta: (1 - mean) * concentration
+    };
+  }
+}
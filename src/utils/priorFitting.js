@@ -0,0 +1,88 @@
+import { HierarchicalModel } from './hierarchicalModel';
+
+/**
+ * Empirical-Bayes Beta prior fitted from past experiments
+ *
+ * Control-arm results of saved tests are treated as draws
+ * x_i ~ Binomial(n_i, θ_i) with θ_i ~ Beta(α, β), and (α, β) are estimated by:
+ * - Method of moments: observed spread of the rates minus binomial noise
+ * - Marginal maximum likelihood: Beta-Binomial fit shared with HierarchicalModel
+ */
+
+export const priorFittingMethods = {
+  moments: 'Method of Moments',
+  'marginal-likelihood': 'Marginal Likelihood'
+};
+
+export class EmpiricalBayesPrior {
+  constructor(calculator, { maxConcentration = 1e4 } = {}) {
+    this.calculator = calculator;
+    // Caps the prior's pseudo-observations so a history with no detectable
+    // spread between tests cannot swamp a new test's data
+    this.maxConcentration = maxConcentration;
+    this.model = new HierarchicalModel(calculator, { maxConcentration });
+  }
+
+  /**
+   * Control arms of saved conversion tests
+   * @param {Array} results - Records from DatabaseService.getTestResults
+   * @returns {Array} [{successes, trials, rate}]
+   */
+  extractControlArms(results) {
+    return results
+      .filter(result => result.metricType !== 'count' && result.variantA && result.variantA.trials > 0)
+      .map(({ variantA }) => ({
+        successes: variantA.successes,
+        trials: variantA.trials,
+        rate: variantA.successes / variantA.trials
+      }));
+  }
+
+  /**
+   * Method-of-moments estimate, removing binomial sampling noise from the
+   * observed variance: Var(p̂) ≈ V + (m(1 − m) − V) · mean(1/n)
+   * @param {Array} arms - [{successes, trials}]
+   * @returns {Object} {mean, concentration}
+   */
+  fitMethodOfMoments(arms) {
+    const k = arms.length;
+    const rates = arms.map(arm => arm.successes / arm.trials);
+    const mean = rates.reduce((sum, rate) => sum + rate, 0) / k;
+    const observedVariance = rates.reduce((sum, rate) => sum + (rate - mean) ** 2, 0) / (k - 1);
+    const meanInverseTrials = arms.reduce((sum, arm) => sum + 1 / arm.trials, 0) / k;
+    const variance = (observedVariance - mean * (1 - mean) * meanInverseTrials) / (1 - meanInverseTrials);
+
+    return {
+      mean,
+      concentration: variance > 0 ? mean * (1 - mean) / variance - 1 : Infinity
+    };
+  }
+
+  /**
+   * Fit a Beta prior to historical control arms
+   * @param {Array} arms - [{successes, trials}]
+   * @param {string} method - 'moments' | 'marginal-likelihood'
+   * @returns {Object|null} {alpha, beta, mean, concentration, method, count}, or null with fewer than two arms
+   */
+  fit(arms, method = 'marginal-likelihood') {
+    if (arms.length < 2) return null;
+
+    const estimate = method === 'moments'
+      ? this.fitMethodOfMoments(arms)
+      : this.model.fitHyperparameters(arms);
+
+    // All-zero or all-converting histories leave the mean on the boundary
+    const epsilon = 1e-4;
+    const mean = Math.min(1 - epsilon, Math.max(epsilon, estimate.mean));
+    const concentration = Math.min(this.maxConcentration, Math.max(2 * this.model.minParameter, estimate.concentration));
+
+    return {
+      alpha: mean * concentration,
+      beta: (1 - mean) * concentration,
+      mean,
+      concentration,
+      method,
+      count: arms.length
+    };
+  }
+}
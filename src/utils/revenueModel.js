@@ -0,0 +1,173 @@
+/**
+ * Revenue-per-Visitor Model for zero-inflated continuous metrics
+ *
+ * Revenue per visitor factors into whether a visitor converts and how much
+ * they spend when they do:
+ *
+ * Conversion:   θ | X ~ Beta(α₀ + x, β₀ + n - x)
+ * Order value:  log(v) | μ, τ ~ Normal(μ, 1/τ)
+ * Prior:        (μ, τ) ~ Normal-Gamma(μ₀, κ₀, a₀, b₀)
+ * RPV:          θ · E[v | μ, τ] = θ · exp(μ + 1/(2τ))
+ *
+ * The Normal-Gamma prior is conjugate for the log-normal order values, so the
+ * posterior is sampled directly and paired with draws of θ from the
+ * conversion posterior of BayesianCalculator.
+ */
+
+export class RevenueModel {
+  constructor(calculator, prior = { mu: 0, kappa: 0.01, shape: 1, rate: 1 }) {
+    this.calculator = calculator;
+    this.prior = prior;
+  }
+
+  /**
+   * Sufficient statistics of the log order values from raw order amounts
+   * @param {Array} values - Individual order values (> 0)
+   * @returns {Object} {orders, meanLog, varLog}
+   */
+  summarizeOrderValues(values) {
+    const logs = values.filter(value => value > 0).map(value => Math.log(value));
+    const orders = logs.length;
+    if (orders === 0) return { orders: 0, meanLog: 0, varLog: 0 };
+
+    const meanLog = logs.reduce((sum, value) => sum + value, 0) / orders;
+    const varLog = logs.reduce((sum, value) => sum + (value - meanLog) ** 2, 0) / orders;
+
+    return { orders, meanLog, varLog };
+  }
+
+  /**
+   * Log-normal sufficient statistics matched to an average order value and
+   * its standard deviation (method of moments)
+   * @param {number} orders - Number of orders
+   * @param {number} averageOrderValue - Mean order value
+   * @param {number} orderValueStdDev - Standard deviation of order values
+   * @returns {Object} {orders, meanLog, varLog}
+   */
+  summarizeFromMoments(orders, averageOrderValue, orderValueStdDev) {
+    if (orders <= 0 || averageOrderValue <= 0) return { orders: 0, meanLog: 0, varLog: 0 };
+
+    const varLog = Math.log(1 + (orderValueStdDev / averageOrderValue) ** 2);
+    const meanLog = Math.log(averageOrderValue) - varLog / 2;
+
+    return { orders, meanLog, varLog };
+  }
+
+  /**
+   * Normal-Gamma posterior over the log order value mean and precision
+   * @param {Object} stats - {orders, meanLog, varLog}
+   * @returns {Object} {mu, kappa, shape, rate}
+   */
+  calculateOrderValuePosterior({ orders, meanLog, varLog }) {
+    const { mu, kappa, shape, rate } = this.prior;
+    const kappaN = kappa + orders;
+
+    return {
+      mu: (kappa * mu + orders * meanLog) / kappaN,
+      kappa: kappaN,
+      shape: shape + orders / 2,
+      rate: rate + 0.5 * orders * varLog + (kappa * orders * (meanLog - mu) ** 2) / (2 * kappaN)
+    };
+  }
+
+  /**
+   * Joint posterior for one variant
+   * @param {Object} variant - {successes, trials, orderStats}
+   * @returns {Object} {conversion, orderValue}
+   */
+  calculatePosterior(variant) {
+    return {
+      conversion: variant.posterior || this.calculator.calculatePosterior(variant.successes, variant.trials),
+      orderValue: this.calculateOrderValuePosterior(variant.orderStats)
+    };
+  }
+
+  /**
+   * Draw revenue-per-visitor samples from the joint posterior
+   * @param {Object} posterior - {conversion, orderValue}
+   * @param {number} samples - Number of draws
+   * @returns {Object} {revenue, orderValue} sample arrays
+   */
+  sampleRevenuePerVisitor(posterior, samples = this.calculator.monteCarloSamples) {
+    const { conversion, orderValue } = posterior;
+    const revenue = new Array(samples);
+    const orderValues = new Array(samples);
+
+    for (let i = 0; i < samples; i++) {
+      const rate = this.calculator.sampleBeta(conversion.alpha, conversion.beta);
+      const precision = this.calculator.sampleGamma(orderValue.shape, orderValue.rate);
+      const mu = this.calculator.sampleNormal(orderValue.mu, 1 / Math.sqrt(orderValue.kappa * precision));
+      const meanOrderValue = Math.exp(mu + 1 / (2 * precision));
+
+      orderValues[i] = meanOrderValue;
+      revenue[i] = rate * meanOrderValue;
+    }
+
+    return { revenue, orderValue: orderValues };
+  }
+
+  /**
+   * Compare revenue per visitor between two variants
+   * @param {Object} variantA - {successes, trials, orderStats}
+   * @param {Object} variantB - {successes, trials, orderStats}
+   * @param {Object} options - {confidence, method} for the credible intervals
+   * @returns {Object} P(B > A), expected loss and intervals on revenue per visitor, with their
+   *   Monte Carlo standard errors in mcse
+   */
+  analyze(variantA, variantB, { confidence = 0.95, method = 'equal-tailed' } = {}) {
+    const posteriorA = this.calculatePosterior(variantA);
+    const posteriorB = this.calculatePosterior(variantB);
+    const samplesA = this.sampleRevenuePerVisitor(posteriorA);
+    const samplesB = this.sampleRevenuePerVisitor(posteriorB);
+    const n = samplesA.revenue.length;
+
+    let wins = 0;
+    let lossA = 0;
+    let lossB = 0;
+    let squaresA = 0;
+    let squaresB = 0;
+    let sumA = 0;
+    let sumB = 0;
+
+    for (let i = 0; i < n; i++) {
+      const a = samplesA.revenue[i];
+      const b = samplesB.revenue[i];
+      if (b > a) wins++;
+      lossA += Math.max(0, b - a);
+      lossB += Math.max(0, a - b);
+      squaresA += Math.max(0, b - a) ** 2;
+      squaresB += Math.max(0, a - b) ** 2;
+      sumA += a;
+      sumB += b;
+    }
+
+    const meanA = sumA / n;
+    const meanB = sumB / n;
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    return {
+      posteriorA,
+      posteriorB,
+      probBGreater: wins / n,
+      expectedLoss: {
+        lossA: lossA / n,
+        lossB: lossB / n
+      },
+      meanA,
+      meanB,
+      relativeLift: meanA > 0 ? meanB / meanA - 1 : 0,
+      averageOrderValueA: mean(samplesA.orderValue),
+      averageOrderValueB: mean(samplesB.orderValue),
+      credibleIntervalA: this.calculator.calculateSampleInterval(samplesA.revenue, confidence, method),
+      credibleIntervalB: this.calculator.calculateSampleInterval(samplesB.revenue, confidence, method),
+      samplesA: samplesA.revenue,
+      samplesB: samplesB.revenue,
+      mcse: {
+        probBGreater: this.calculator.meanStandardError(wins, wins, n),
+        lossA: this.calculator.meanStandardError(lossA, squaresA, n),
+        lossB: this.calculator.meanStandardError(lossB, squaresB, n)
+      },
+      draws: n
+    };
+  }
+}
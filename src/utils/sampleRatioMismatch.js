@@ -0,0 +1,117 @@
+/**
+ * Sample ratio mismatch (SRM) detection
+ *
+ * Compares the visitors each variant received with the intended allocation π.
+ * A broken split (redirect losses, bot filtering, assignment bugs) biases
+ * every downstream comparison, so a detected mismatch should block decisions.
+ *
+ * Frequentist: Pearson χ² goodness of fit, Σ (n_i − N π_i)² / (N π_i) ~ χ²(k − 1)
+ * Bayesian:    H0: p = π exactly, against H1: p ~ Dirichlet(κ π). The
+ *              multinomial coefficient cancels, leaving
+ *              BF₁₀ = B(κπ + n) / [B(κπ) Π π_i^{n_i}]
+ *              with B the multivariate Beta function.
+ */
+
+export class SampleRatioMismatchCheck {
+  constructor(calculator, { pValueThreshold = 0.001, bayesFactorThreshold = 100 } = {}) {
+    this.calculator = calculator;
+    this.pValueThreshold = pValueThreshold;
+    this.bayesFactorThreshold = bayesFactorThreshold;
+  }
+
+  /**
+   * Intended shares from allocation weights; equal shares when no weights are given
+   * @param {Array} weights - Positive allocation weights, one per variant
+   * @param {number} count - Number of variants
+   * @returns {Array|null} Shares summing to one, or null when a weight is missing or not positive
+   */
+  normalizeAllocation(weights, count) {
+    if (weights == null) return new Array(count).fill(1 / count);
+    const valid = Array.isArray(weights) && weights.length === count &&
+      weights.every(weight => Number.isFinite(weight) && weight > 0);
+    if (!valid) return null;
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    return weights.map(weight => weight / total);
+  }
+
+  /**
+   * Pearson χ² goodness-of-fit test of observed counts against the allocation
+   * @param {Array} counts - Visitors per variant
+   * @param {Array} allocation - Intended shares summing to one
+   * @returns {Object} {statistic, degreesOfFreedom, pValue}
+   */
+  chiSquareTest(counts, allocation) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    const statistic = counts.reduce((sum, count, i) => {
+      const expected = total * allocation[i];
+      return sum + (count - expected) ** 2 / expected;
+    }, 0);
+    const degreesOfFreedom = counts.length - 1;
+
+    return {
+      statistic,
+      degreesOfFreedom,
+      // Upper tail of χ²(k − 1) = Gamma(shape (k − 1)/2, rate 1/2)
+      pValue: Math.max(0, 1 - this.calculator.regularizedLowerIncompleteGamma(degreesOfFreedom / 2, statistic / 2))
+    };
+  }
+
+  /**
+   * Dirichlet-multinomial Bayes factor for a mismatch. The Dirichlet is
+   * centred on the allocation with concentration κ = k, so a 50/50 test
+   * uses a uniform prior on A's share.
+   * @param {Array} counts - Visitors per variant
+   * @param {Array} allocation - Intended shares summing to one
+   * @returns {Object} {bayesFactor, logBayesFactor, posteriorShares, evidence}
+   */
+  dirichletMultinomialTest(counts, allocation) {
+    const calculator = this.calculator;
+    const concentration = counts.length;
+    const priorParams = allocation.map(share => share * concentration);
+    const posteriorParams = priorParams.map((param, i) => param + counts[i]);
+    const logMultivariateBeta = (params) => (
+      params.reduce((sum, param) => sum + calculator.logGamma(param), 0) -
+      calculator.logGamma(params.reduce((sum, param) => sum + param, 0))
+    );
+
+    const logBayesFactor = logMultivariateBeta(posteriorParams) - logMultivariateBeta(priorParams) -
+      counts.reduce((sum, count, i) => sum + count * Math.log(allocation[i]), 0);
+    const bayesFactor = Math.exp(logBayesFactor);
+    const posteriorTotal = posteriorParams.reduce((sum, param) => sum + param, 0);
+
+    return {
+      bayesFactor,
+      logBayesFactor,
+      posteriorShares: posteriorParams.map(param => param / posteriorTotal),
+      evidence: calculator.interpretBayesFactor(bayesFactor)
+    };
+  }
+
+  /**
+   * Full SRM check of a traffic split
+   * @param {Array} counts - Visitors per variant
+   * @param {Array} weights - Intended allocation weights, one per variant
+   * @returns {Object|null} {counts, allocation, observedShares, expectedCounts,
+   *   chiSquare, bayes, mismatch}, or null when there is no traffic yet or
+   *   the weights are invalid
+   */
+  check(counts, weights) {
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (counts.length < 2 || !(total > 0)) return null;
+
+    const allocation = this.normalizeAllocation(weights, counts.length);
+    if (!allocation) return null;
+    const chiSquare = this.chiSquareTest(counts, allocation);
+    const bayes = this.dirichletMultinomialTest(counts, allocation);
+
+    return {
+      counts,
+      allocation,
+      observedShares: counts.map(count => count / total),
+      expectedCounts: allocation.map(share => share * total),
+      chiSquare,
+      bayes,
+      mismatch: chiSquare.pValue < this.pValueThreshold || bayes.bayesFactor > this.bayesFactorThreshold
+    };
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Configurable stopping rules for sequential Bayesian tests
+ *
+ * Efficacy rules (either or both, combined with 'any' or 'all'):
+ * - Probability:   stop when P(B > A) ≥ t or P(B > A) ≤ 1 − t
+ * - Expected loss: stop when min(E[loss | A], E[loss | B]) < ε ("threshold of caring")
+ *
+ * Guards and limits:
+ * - Minimum sample per variant and minimum duration before efficacy rules may fire
+ * - Maximum duration after which the test stops regardless of the evidence
+ */
+
+export const defaultStoppingRules = {
+  probabilityThreshold: 0.95,
+  expectedLossThreshold: null,
+  minSamples: 0,
+  minSteps: 1,
+  maxSteps: null,
+  combine: 'any'
+};
+
+export class StoppingRuleEngine {
+  constructor(rules = {}) {
+    this.rules = { ...defaultStoppingRules, ...rules };
+  }
+
+  /**
+   * Decide whether a sequential test should stop at the current look
+   * @param {Object} snapshot - {step, trialsA, trialsB, probBGreater, expectedLoss: {lossA, lossB}}
+   * @returns {Object} {shouldStop, rule, winner, reason, checks}
+   */
+  evaluate({ step, trialsA, trialsB, probBGreater, expectedLoss }) {
+    const { probabilityThreshold, expectedLossThreshold, minSamples, minSteps, maxSteps, combine } = this.rules;
+    const checks = [];
+
+    if (probabilityThreshold !== null) {
+      const passed = probBGreater >= probabilityThreshold || probBGreater <= 1 - probabilityThreshold;
+      checks.push({
+        rule: 'probability',
+        passed,
+        detail: `P(B > A) = ${this.formatPercent(probBGreater, 1)} ${passed ? 'outside' : 'inside'} ${this.formatPercent(1 - probabilityThreshold, 0)}–${this.formatPercent(probabilityThreshold, 0)}`
+      });
+    }
+
+    if (expectedLossThreshold !== null && expectedLoss) {
+      const minLoss = Math.min(expectedLoss.lossA, expectedLoss.lossB);
+      const passed = minLoss < expectedLossThreshold;
+      checks.push({
+        rule: 'expected-loss',
+        passed,
+        detail: `min expected loss ${this.formatPercent(minLoss, 3)} ${passed ? '<' : '≥'} ε = ${this.formatPercent(expectedLossThreshold, 3)}`
+      });
+    }
+
+    const efficacyMet = checks.length > 0 && (combine === 'all'
+      ? checks.every(check => check.passed)
+      : checks.some(check => check.passed));
+    const samplesMet = Math.min(trialsA, trialsB) >= minSamples;
+    const durationMet = step >= minSteps;
+    const maxReached = maxSteps !== null && step >= maxSteps;
+    const winner = this.pickWinner(probBGreater, expectedLoss);
+
+    if (efficacyMet && samplesMet && durationMet) {
+      const fired = checks.filter(check => check.passed);
+      return {
+        shouldStop: true,
+        rule: fired.map(check => check.rule).join('+'),
+        winner,
+        reason: `Choose ${winner}: ${fired.map(check => check.detail).join(' and ')}`,
+        checks
+      };
+    }
+
+    if (maxReached) {
+      return {
+        shouldStop: true,
+        rule: 'max-duration',
+        winner: null,
+        reason: `Maximum duration of ${maxSteps} steps reached without meeting the stopping rule; leaning ${winner}`,
+        checks
+      };
+    }
+
+    let reason;
+    if (!samplesMet) {
+      reason = `Minimum sample not reached (${Math.min(trialsA, trialsB).toLocaleString()} / ${minSamples.toLocaleString()} per variant)`;
+    } else if (!durationMet) {
+      reason = `Minimum duration not reached (step ${step} of ${minSteps})`;
+    } else if (checks.length === 0) {
+      reason = 'No efficacy rule enabled';
+    } else {
+      reason = `Continue: ${checks.filter(check => !check.passed).map(check => check.detail).join('; ')}`;
+    }
+
+    return {
+      shouldStop: false,
+      rule: null,
+      winner: null,
+      reason,
+      checks
+    };
+  }
+
+  /**
+   * Variant favoured at the current look: the one with the smaller expected
+   * loss when available, otherwise the more probable winner
+   */
+  pickWinner(probBGreater, expectedLoss) {
+    if (expectedLoss) {
+      return expectedLoss.lossB <= expectedLoss.lossA ? 'B' : 'A';
+    }
+    return probBGreater >= 0.5 ? 'B' : 'A';
+  }
+
+  formatPercent(value, digits) {
+    return `${(value * 100).toFixed(digits)}%`;
+  }
+}
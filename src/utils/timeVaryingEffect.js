@@ -0,0 +1,270 @@
+/**
+ * Time-varying treatment effect on daily or weekly data
+ *
+ * Each period gives a log-odds ratio estimate with a normal approximation
+ *   d_t = logit p̂_B,t − logit p̂_A,t,  v_t = Σ 1/(x + ½) + 1/(n − x + ½)
+ * which feeds two models of the effect δ_t:
+ *
+ * Random walk:  δ_t = δ_{t−1} + η_t, η_t ~ N(0, τ²), δ_1 ~ N(0, s²). A Kalman
+ *               filter and RTS smoother give the trajectory; τ is chosen by
+ *               marginal likelihood over a grid (τ = 0 is a constant effect).
+ * Changepoint:  δ_t = δ₁ before day c and δ₂ from day c on, each δ ~ N(0, s²),
+ *               against a single constant effect. Both segment marginals are
+ *               closed form, giving the exact posterior over c.
+ */
+
+const defaultVolatilityGrid = [0, 0.005, 0.01, 0.02, 0.04, 0.08, 0.15, 0.3];
+
+export const effectPatterns = {
+  stable: 'Stable effect',
+  decay: 'Decaying effect (novelty)',
+  growth: 'Growing effect (learning)'
+};
+
+export class TimeVaryingEffectModel {
+  constructor(calculator, { effectScale = 0.2, changeProbability = 0.5, volatilityGrid = defaultVolatilityGrid } = {}) {
+    this.calculator = calculator;
+    this.effectScale = effectScale;
+    this.changeProbability = changeProbability;
+    this.volatilityGrid = volatilityGrid;
+  }
+
+  /**
+   * Per-period counts for both arms
+   * @param {Array} dataA - Array of {successes, trials} for variant A
+   * @param {Array} dataB - Array of {successes, trials} for variant B
+   * @param {string} dataMode - 'cumulative' or 'increments'
+   * @param {number} periodLength - Days per period (7 for weekly)
+   * @returns {Array} Array of {step, label, a, b}
+   */
+  aggregate(dataA, dataB, dataMode = 'increments', periodLength = 1) {
+    const toDaily = (data) => {
+      const totals = this.calculator.toCumulativeTotals(data, dataMode);
+      return totals.map((total, i) => ({
+        successes: total.successes - (i > 0 ? totals[i - 1].successes : 0),
+        trials: total.trials - (i > 0 ? totals[i - 1].trials : 0)
+      }));
+    };
+    const dailyA = toDaily(dataA);
+    const dailyB = toDaily(dataB);
+    const days = Math.min(dailyA.length, dailyB.length);
+    const periods = [];
+
+    for (let start = 0; start < days; start += periodLength) {
+      const end = Math.min(days, start + periodLength);
+      const sum = (daily) => daily.slice(start, end).reduce((total, day) => ({
+        successes: total.successes + day.successes,
+        trials: total.trials + day.trials
+      }), { successes: 0, trials: 0 });
+
+      periods.push({
+        step: periods.length + 1,
+        label: periodLength === 1 ? `Day ${start + 1}` : `Week ${periods.length + 1}`,
+        a: sum(dailyA),
+        b: sum(dailyB)
+      });
+    }
+
+    return periods;
+  }
+
+  /**
+   * Log-odds ratio estimate of one period; the variance is infinite when an arm has no traffic
+   * @param {Object} period - {a, b} counts
+   * @returns {Object} {estimate, variance, baseline}
+   */
+  observe({ a, b }) {
+    const baseline = (a.successes + 0.5) / (a.trials + 1);
+    if (a.trials === 0 || b.trials === 0) {
+      return { estimate: 0, variance: Infinity, baseline };
+    }
+    const logOdds = ({ successes, trials }) => Math.log((successes + 0.5) / (trials - successes + 0.5));
+    const inverseCounts = ({ successes, trials }) => 1 / (successes + 0.5) + 1 / (trials - successes + 0.5);
+
+    return {
+      estimate: logOdds(b) - logOdds(a),
+      variance: inverseCounts(a) + inverseCounts(b),
+      baseline
+    };
+  }
+
+  /**
+   * Kalman filter and RTS smoother for the random-walk effect
+   * @param {Array} observations - Array of {estimate, variance}
+   * @param {number} volatility - Random-walk step sd τ
+   * @returns {Object} {logLikelihood, states: Array of {mean, variance}}
+   */
+  randomWalk(observations, volatility) {
+    const count = observations.length;
+    const filtered = [];
+    const predicted = [];
+    let mean = 0;
+    let variance = this.effectScale ** 2;
+    let logLikelihood = 0;
+
+    for (let t = 0; t < count; t++) {
+      if (t > 0) variance += volatility ** 2;
+      predicted.push({ mean, variance });
+
+      const { estimate, variance: noise } = observations[t];
+      if (Number.isFinite(noise)) {
+        const total = variance + noise;
+        logLikelihood += -0.5 * (Math.log(2 * Math.PI * total) + (estimate - mean) ** 2 / total);
+        const gain = variance / total;
+        mean += gain * (estimate - mean);
+        variance *= 1 - gain;
+      }
+      filtered.push({ mean, variance });
+    }
+
+    const states = filtered.slice();
+    for (let t = count - 2; t >= 0; t--) {
+      const next = predicted[t + 1];
+      const smoothing = next.variance > 0 ? filtered[t].variance / next.variance : 0;
+      states[t] = {
+        mean: filtered[t].mean + smoothing * (states[t + 1].mean - next.mean),
+        variance: filtered[t].variance + smoothing ** 2 * (states[t + 1].variance - next.variance)
+      };
+    }
+
+    return { logLikelihood, states };
+  }
+
+  /**
+   * Log marginal likelihood of a constant effect δ ~ N(0, s²) over a segment,
+   * together with the posterior of δ
+   * @param {Array} observations - Array of {estimate, variance}
+   * @returns {Object} {logMarginal, mean, variance}
+   */
+  segmentMarginal(observations) {
+    const priorPrecision = 1 / this.effectScale ** 2;
+    let base = 0;
+    let precision = 0;
+    let weightedSum = 0;
+
+    observations.forEach(({ estimate, variance }) => {
+      if (!Number.isFinite(variance)) return;
+      base += -0.5 * (Math.log(2 * Math.PI * variance) + estimate ** 2 / variance);
+      precision += 1 / variance;
+      weightedSum += estimate / variance;
+    });
+
+    const posteriorPrecision = precision + priorPrecision;
+    return {
+      logMarginal: base + 0.5 * Math.log(priorPrecision / posteriorPrecision) + weightedSum ** 2 / (2 * posteriorPrecision),
+      mean: weightedSum / posteriorPrecision,
+      variance: 1 / posteriorPrecision
+    };
+  }
+
+  /**
+   * Posterior over a single changepoint in the effect
+   * @param {Array} observations - Array of {estimate, variance}
+   * @returns {Object} {probabilityOfChange, probabilities, best} where
+   *   probabilities[t] is P(the effect shifts at period t + 1) and best holds
+   *   the most probable step with the effect before and after it
+   */
+  changepoint(observations) {
+    const observed = (segment) => segment.some(observation => Number.isFinite(observation.variance));
+    const candidates = [];
+    for (let c = 1; c < observations.length; c++) {
+      const before = observations.slice(0, c);
+      const after = observations.slice(c);
+      if (!observed(before) || !observed(after)) continue;
+      const beforeFit = this.segmentMarginal(before);
+      const afterFit = this.segmentMarginal(after);
+      candidates.push({ step: c + 1, logMarginal: beforeFit.logMarginal + afterFit.logMarginal, before: beforeFit, after: afterFit });
+    }
+
+    const probabilities = new Array(observations.length).fill(0);
+    if (candidates.length === 0) {
+      return { probabilityOfChange: 0, probabilities, best: null };
+    }
+
+    const logNoChange = Math.log(1 - this.changeProbability) + this.segmentMarginal(observations).logMarginal;
+    const logChanges = candidates.map(candidate => (
+      Math.log(this.changeProbability / candidates.length) + candidate.logMarginal
+    ));
+    const logTotal = this.calculator.logSumExp([logNoChange, ...logChanges]);
+
+    candidates.forEach((candidate, i) => {
+      probabilities[candidate.step - 1] = Math.exp(logChanges[i] - logTotal);
+    });
+    const best = candidates[logChanges.indexOf(Math.max(...logChanges))];
+
+    return {
+      probabilityOfChange: 1 - Math.exp(logNoChange - logTotal),
+      probabilities,
+      best: { step: best.step, before: best.before, after: best.after }
+    };
+  }
+
+  /**
+   * Relative lift B / A − 1 implied by log-odds ratio δ at a control rate
+   * @param {number} delta - Log-odds ratio
+   * @param {number} baseline - Control conversion rate
+   * @returns {number} Relative lift
+   */
+  liftFromEffect(delta, baseline) {
+    const treated = 1 / (1 + Math.exp(-(Math.log(baseline / (1 - baseline)) + delta)));
+    return treated / baseline - 1;
+  }
+
+  /**
+   * Lift trajectory and changepoint analysis of a daily series
+   * @param {Array} dataA - Array of {successes, trials} for variant A
+   * @param {Array} dataB - Array of {successes, trials} for variant B
+   * @param {Object} options - {dataMode, periodLength, confidence}
+   * @returns {Object|null} {periods, volatility, changepoint, pattern}, or
+   *   null with fewer than two periods
+   */
+  analyze(dataA, dataB, { dataMode = 'increments', periodLength = 1, confidence = 0.95 } = {}) {
+    const periods = this.aggregate(dataA, dataB, dataMode, periodLength);
+    if (periods.length < 2) return null;
+
+    const observations = periods.map(period => this.observe(period));
+    const fits = this.volatilityGrid.map(volatility => ({ volatility, ...this.randomWalk(observations, volatility) }));
+    const fit = fits.reduce((best, candidate) => (candidate.logLikelihood > best.logLikelihood ? candidate : best));
+    const z = this.calculator.inverseNormalCDF((1 + confidence) / 2);
+    const pooledA = periods.reduce((total, { a }) => ({
+      successes: total.successes + a.successes,
+      trials: total.trials + a.trials
+    }), { successes: 0, trials: 0 });
+    const pooledBaseline = (pooledA.successes + 0.5) / (pooledA.trials + 1);
+
+    const changepoint = this.changepoint(observations);
+    let pattern = 'stable';
+    if (changepoint.best && changepoint.probabilityOfChange > 0.5) {
+      pattern = changepoint.best.after.mean < changepoint.best.before.mean ? 'decay' : 'growth';
+    }
+
+    return {
+      periods: periods.map((period, t) => {
+        const { mean, variance } = fit.states[t];
+        const sd = Math.sqrt(variance);
+        const { baseline } = observations[t];
+        const rateA = period.a.trials > 0 ? period.a.successes / period.a.trials : null;
+        const rateB = period.b.trials > 0 ? period.b.successes / period.b.trials : null;
+        return {
+          ...period,
+          effect: { mean, sd },
+          lift: {
+            mean: this.liftFromEffect(mean, baseline),
+            lower: this.liftFromEffect(mean - z * sd, baseline),
+            upper: this.liftFromEffect(mean + z * sd, baseline)
+          },
+          observedLift: rateA > 0 && rateB !== null ? rateB / rateA - 1 : null
+        };
+      }),
+      volatility: fit.volatility,
+      changepoint: {
+        ...changepoint,
+        ...(changepoint.best && {
+          liftBefore: this.liftFromEffect(changepoint.best.before.mean, pooledBaseline),
+          liftAfter: this.liftFromEffect(changepoint.best.after.mean, pooledBaseline)
+        })
+      },
+      pattern
+    };
+  }
+}
@@ -0,0 +1,23 @@
+/* eslint-env worker */
+import { calculatorTasks } from './calculatorTasks';
+
+/**
+ * Calculator Web Worker
+ *
+ * Messages in:  {id, task, payload}
+ * Messages out: {id, type: 'progress', progress}
+ *               {id, type: 'result', result}
+ *               {id, type: 'error', message}
+ *
+ * Cancellation terminates the worker, since a running task never yields.
+ */
+onmessage = ({ data: { id, task, payload } }) => {
+  try {
+    const result = calculatorTasks[task](payload, (progress) => {
+      postMessage({ id, type: 'progress', progress });
+    });
+    postMessage({ id, type: 'result', result });
+  } catch (error) {
+    postMessage({ id, type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,321 @@
+import { BayesianCalculator } from '../utils/bayesianCalculator';
+import { SeededRandom } from '../utils/random';
+import { RevenueModel } from '../utils/revenueModel';
+import { JointPriorModel } from '../utils/jointPriorModel';
+import { BanditEngine } from '../utils/banditEngine';
+import { DataSimulationService } from '../services/dataSimulationService';
+
+/**
+ * Heavy calculator workloads, run by calculator.worker.js off the main thread
+ *
+ * Every task builds its own seeded calculator from a plain, cloneable payload,
+ * so results depend only on the payload and identical inputs reproduce
+ * identical Monte Carlo output. Tasks report progress in [0, 1] through the
+ * reportProgress callback.
+ */
+
+const createCalculator = (seed, { prior = { alpha: 1, beta: 1 }, draws = null, precisionTarget = null } = {}) => {
+  const calculator = new BayesianCalculator(prior.alpha, prior.beta, new SeededRandom(seed));
+  if (draws) calculator.monteCarloSamples = draws;
+  calculator.setPrecisionTarget(precisionTarget);
+  return calculator;
+};
+
+/**
+ * Mean and standard deviation of a set of draws
+ * @param {Array|Float64Array} samples - Draws
+ * @returns {Object} {mean, sd}
+ */
+const sampleMoments = (samples) => {
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i];
+    sumSquares += samples[i] * samples[i];
+  }
+  const mean = sum / samples.length;
+  return { mean, sd: Math.sqrt(Math.max(0, sumSquares / samples.length - mean * mean)) };
+};
+
+/**
+ * Wall-clock time of a computation
+ * @param {Function} run - Computation
+ * @returns {Object} {value, milliseconds}
+ */
+const timed = (run) => {
+  const start = performance.now();
+  const value = run();
+  return { value, milliseconds: performance.now() - start };
+};
+
+/**
+ * Full two-arm analysis behind the dashboard results
+ * @param {Object} payload - {testData, intervalSettings, seed, ropeWidth, bayesFactorMethod, draws, precisionTarget}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Object} Results for the dashboard
+ */
+const analyzeTest = ({ testData, intervalSettings, seed, ropeWidth, bayesFactorMethod, draws, precisionTarget }, reportProgress) => {
+  const calculator = createCalculator(seed, { draws, precisionTarget });
+  const revenueModel = new RevenueModel(calculator);
+  const jointModel = new JointPriorModel(calculator);
+  const { variantA, variantB, prior } = testData;
+  const posteriorA = variantA.posterior;
+  const posteriorB = variantB.posterior;
+
+  const liftOptions = {
+    confidence: intervalSettings.level,
+    method: intervalSettings.method,
+    rope: { lower: -ropeWidth, upper: ropeWidth }
+  };
+
+  if (testData.metricType === 'count') {
+    const lift = calculator.calculateCountRelativeLift(posteriorA, posteriorB, liftOptions);
+    reportProgress(0.5);
+
+    return {
+      metricType: 'count',
+      probBGreater: calculator.calculateCountProbabilityBGreaterThanA(posteriorA, posteriorB),
+      expectedLoss: calculator.calculateCountExpectedLoss(posteriorA, posteriorB),
+      credibleIntervalA: calculator.calculateCountCredibleInterval(posteriorA, intervalSettings.level, intervalSettings.method),
+      credibleIntervalB: calculator.calculateCountCredibleInterval(posteriorB, intervalSettings.level, intervalSettings.method),
+      lift,
+      posteriorA,
+      posteriorB,
+      prior,
+      seed,
+      draws: calculator.monteCarloSamples,
+      precisionTarget: calculator.precisionTarget,
+      covariateAdjustment: testData.covariateAdjustment || null
+    };
+  }
+
+  // Under the joint prior the posterior is gridded, so every measure comes from the grid;
+  // the variants' Beta posteriors are only moment-matched approximations
+  const priorMode = testData.priorMode || 'shared';
+  const jointPrior = priorMode === 'joint' ? testData.jointPrior : null;
+  const joint = jointPrior ? jointModel.analyze(variantA, variantB, jointPrior, liftOptions) : null;
+
+  // Calculate all statistical measures
+  const probBGreater = joint ? joint.probBGreater : calculator.calculateProbabilityBGreaterThanA(posteriorA, posteriorB);
+  const expectedLoss = joint ? joint.expectedLoss : calculator.calculateExpectedLoss(posteriorA, posteriorB);
+  reportProgress(0.3);
+  const credibleIntervalA = joint
+    ? joint.credibleIntervalA
+    : calculator.calculateCredibleInterval(posteriorA, intervalSettings.level, intervalSettings.method);
+  const credibleIntervalB = joint
+    ? joint.credibleIntervalB
+    : calculator.calculateCredibleInterval(posteriorB, intervalSettings.level, intervalSettings.method);
+  const bayesFactor = joint
+    ? jointModel.calculateBayesFactor(variantA, variantB, joint, jointPrior.control, bayesFactorMethod)
+    : calculator.calculateBayesFactor(posteriorA, posteriorB, prior, bayesFactorMethod, testData.priors ? testData.priors[1] : prior);
+  const lift = joint ? joint.lift : calculator.calculateRelativeLift(posteriorA, posteriorB, liftOptions);
+  reportProgress(0.6);
+
+  // Posterior predictive distributions
+  const predictiveA = calculator.posteriorPredictive(posteriorA, 1000, intervalSettings.level);
+  const predictiveB = calculator.posteriorPredictive(posteriorB, 1000, intervalSettings.level);
+
+  // Revenue per visitor, when order values were supplied for both variants
+  const hasRevenue = variantA.revenue && variantB.revenue &&
+    variantA.successes > 0 && variantB.successes > 0 &&
+    variantA.revenue.averageOrderValue > 0 && variantB.revenue.averageOrderValue > 0;
+  const revenue = hasRevenue
+    ? revenueModel.analyze(
+        {
+          ...variantA,
+          orderStats: revenueModel.summarizeFromMoments(variantA.successes, variantA.revenue.averageOrderValue, variantA.revenue.orderValueStdDev)
+        },
+        {
+          ...variantB,
+          orderStats: revenueModel.summarizeFromMoments(variantB.successes, variantB.revenue.averageOrderValue, variantB.revenue.orderValueStdDev)
+        },
+        { confidence: intervalSettings.level, method: intervalSettings.method }
+      )
+    : null;
+  reportProgress(0.85);
+
+  // Reseeded so the chart shows the same draws for the same seed on its own
+  calculator.setSeed(seed);
+  const differenceHistogram = calculator.sampleDifferenceHistogram(posteriorA, posteriorB);
+
+  return {
+    metricType: testData.metricType || 'conversion',
+    probBGreater,
+    expectedLoss,
+    credibleIntervalA,
+    credibleIntervalB,
+    bayesFactor,
+    lift,
+    predictiveA,
+    predictiveB,
+    differenceHistogram,
+    posteriorA,
+    posteriorB,
+    prior,
+    priorMode,
+    priors: testData.priors,
+    jointPrior,
+    effect: joint ? joint.effect : null,
+    seed,
+    draws: calculator.monteCarloSamples,
+    precisionTarget: calculator.precisionTarget,
+    covariateAdjustment: testData.covariateAdjustment || null,
+    revenue
+  };
+};
+
+/**
+ * A/B/n comparison against the control
+ * @param {Object} payload - {variants, metricType, intervalSettings, seed, draws, precisionTarget}
+ * @returns {Object} Result of analyzeMultiVariant
+ */
+const analyzeMultiVariant = ({ variants, metricType, intervalSettings, seed, draws, precisionTarget }) => (
+  createCalculator(seed, { draws, precisionTarget }).analyzeMultiVariant(variants, 0, {
+    confidence: intervalSettings.level,
+    method: intervalSettings.method,
+    metricType
+  })
+);
+
+/**
+ * Sequential test with stopping rules, reporting progress per step
+ * @param {Object} payload - {variantA, variantB, rules, dataMode, prior, seed}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Array} Result of sequentialTest
+ */
+const sequentialTest = ({ variantA, variantB, rules, dataMode, prior, seed }, reportProgress) => (
+  createCalculator(seed, { prior }).sequentialTest(variantA, variantB, rules, dataMode, reportProgress)
+);
+
+/**
+ * The two-arm comparison re-run under each of a list of priors
+ * @param {Object} payload - {variantA, variantB, priors, intervalSettings, ropeWidth, seed, draws, precisionTarget}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Array} Result of comparativeSensitivityAnalysis, one entry per prior
+ */
+const priorSensitivity = ({ variantA, variantB, priors, intervalSettings, ropeWidth, seed, draws, precisionTarget }, reportProgress) => {
+  const calculator = createCalculator(seed, { draws, precisionTarget });
+  const liftOptions = {
+    confidence: intervalSettings.level,
+    method: intervalSettings.method,
+    rope: { lower: -ropeWidth, upper: ropeWidth }
+  };
+
+  return priors.map((prior, i) => {
+    reportProgress(i / priors.length);
+    return calculator.comparativeSensitivityAnalysis(variantA, variantB, [prior], liftOptions)[0];
+  });
+};
+
+/**
+ * Bayesian assurance curve for the sample size planner
+ * @param {Object} payload - Options of DataSimulationService.simulateAssurance plus {seed, monteCarloSamples}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Array} One point per sample size
+ */
+const simulateAssurance = ({ seed, monteCarloSamples = 1000, ...options }, reportProgress) => {
+  // Expected loss is estimated for every simulated test, so each gets a small draw count
+  const calculator = createCalculator(seed, { draws: monteCarloSamples });
+  return new DataSimulationService(calculator.rng, calculator).simulateAssurance(options, reportProgress);
+};
+
+/**
+ * Operating characteristics of a stopping rule over many synthetic sequential tests
+ * @param {Object} payload - Options of DataSimulationService.simulateOperatingCharacteristics
+ *   plus {seed, monteCarloSamples}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Array} One summary per lift
+ */
+const simulateOperatingCharacteristics = ({ seed, monteCarloSamples = 300, ...options }, reportProgress) => {
+  // Expected loss is recomputed at every daily look; a few hundred draws per
+  // look keep thousands of experiments tractable
+  const calculator = createCalculator(seed, { draws: monteCarloSamples });
+  return new DataSimulationService(calculator.rng, calculator).simulateOperatingCharacteristics(options, reportProgress);
+};
+
+/**
+ * Next-period traffic recommendation for a set of bandit arms
+ * @param {Object} payload - {arms, policy, visitors, prior, epsilon, seed}
+ * @returns {Object} Result of BanditEngine.recommend
+ */
+const recommendBanditAllocation = ({ arms, policy, visitors, prior, epsilon, seed }) => (
+  new BanditEngine(createCalculator(seed)).recommend(arms, { policy, visitors, prior, epsilon })
+);
+
+/**
+ * Cumulative regret of bandit policies on the built-in scenarios
+ * @param {Object} payload - Options of DataSimulationService.simulateBanditRegret plus {seed}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Array} One entry per scenario
+ */
+const simulateBanditRegret = ({ seed, ...options }, reportProgress) => {
+  const calculator = createCalculator(seed);
+  return new DataSimulationService(calculator.rng, calculator).simulateBanditRegret(options, reportProgress);
+};
+
+/**
+ * Throughput of the per-draw sampler against the typed-array batch sampler,
+ * plus a full expected loss and lift analysis at the same number of draws
+ * @param {Object} payload - {posteriorA, posteriorB, draws, seed}
+ * @param {Function} reportProgress - Progress callback
+ * @returns {Object} {draws, exact, samplers, analysis}
+ */
+const benchmarkSamplers = ({ posteriorA, posteriorB, draws, seed }, reportProgress) => {
+  const calculator = createCalculator(seed, { draws });
+  const summarize = (key, label, { value, milliseconds }) => ({
+    key,
+    label,
+    milliseconds,
+    drawsPerSecond: (2 * draws) / (milliseconds / 1000),
+    ...sampleMoments(value.samplesA)
+  });
+
+  const scalar = timed(() => {
+    const samplesA = [];
+    const samplesB = [];
+    for (let i = 0; i < draws; i++) {
+      samplesA.push(calculator.sampleBeta(posteriorA.alpha, posteriorA.beta));
+      samplesB.push(calculator.sampleBeta(posteriorB.alpha, posteriorB.beta));
+    }
+    return { samplesA, samplesB };
+  });
+  reportProgress(0.3);
+
+  const batch = timed(() => calculator.monteCarloSamplePair(posteriorA, posteriorB, draws));
+  reportProgress(0.5);
+
+  const analysis = timed(() => ({
+    expectedLoss: calculator.calculateExpectedLoss(posteriorA, posteriorB),
+    lift: calculator.calculateRelativeLift(posteriorA, posteriorB)
+  }));
+
+  return {
+    draws,
+    exact: {
+      mean: calculator.calculateExpectedValue(posteriorA),
+      sd: Math.sqrt(calculator.calculateVariance(posteriorA))
+    },
+    samplers: [
+      summarize('scalar', 'Per-draw sampleBeta into an Array', scalar),
+      summarize('batch', 'Batched Float64Array (monteCarloSamplePair)', batch)
+    ],
+    analysis: {
+      milliseconds: analysis.milliseconds,
+      probBGreater: analysis.value.expectedLoss.probBGreater,
+      expectedLoss: Math.min(analysis.value.expectedLoss.lossA, analysis.value.expectedLoss.lossB),
+      liftInterval: analysis.value.lift.credibleInterval
+    }
+  };
+};
+
+export const calculatorTasks = {
+  analyzeTest,
+  analyzeMultiVariant,
+  sequentialTest,
+  priorSensitivity,
+  simulateAssurance,
+  simulateOperatingCharacteristics,
+  recommendBanditAllocation,
+  simulateBanditRegret,
+  benchmarkSamplers
+};